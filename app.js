@@ -2,16 +2,31 @@ const express = require('express')
 const morgan = require('morgan')
 const jsxEngine = require('jsx-view-engine')
 const methodOverride = require('method-override')
+const cookieParser = require('cookie-parser')
 const userRoutes = require('./controllers/auth/routeController')
 const fruitsRouter = require('./controllers/fruits/routeController')
+const tagsRouter = require('./controllers/tags/routeController')
 const apiRoutes = require('./routes/apiRoutes')
+const docsRoutes = require('./routes/docsRoutes')
+const graphqlRoutes = require('./routes/graphqlRoutes')
+const uploadRoutes = require('./routes/uploadRoutes')
+const imageStorage = require('./services/imageStorage')
+const { errorHandler, notFound } = require('./errors')
 const app = express()
 
+// behind a proxy req.ip (used for login throttling) needs this, e.g. TRUST_PROXY=1
+// for one hop or TRUST_PROXY=loopback for a list of trusted addresses
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy)
+}
+
 app.set('view engine', 'jsx')
 app.engine('jsx', jsxEngine())
 
-app.use(express.json()) // this is new this for the api
+app.use(express.json({ type: ['application/json', 'application/*+json'] })) // the api, PATCH bodies are +json types
 app.use(express.urlencoded({ extended: true })) // req.body
+app.use(cookieParser()) // req.cookies, the web UI keeps its session token here
 app.use(methodOverride('_method')) // <====== add method override
 app.use((req, res, next) => {
     res.locals.data = {}
@@ -19,12 +34,27 @@ app.use((req, res, next) => {
 })
 app.use(express.static('public'))
 app.use(morgan('dev'))
+app.use(imageStorage.UPLOADS_PATH, uploadRoutes) // fruit photos, for the users who can see the fruit
 
 // Web routes (for views)
 app.use('/users', userRoutes)
 app.use('/fruits', fruitsRouter)
+app.use('/tags', tagsRouter)
 
 // API routes (for JSON responses)
-app.use('/api', apiRoutes)
+app.use('/api/v1', apiRoutes, notFound)
+app.use('/api', docsRoutes) // /api/openapi.json and /api/docs
+// the unversioned paths from before v1, kept working for old clients but
+// pointing them at the new ones
+app.use('/api', (req, res, next) => {
+    res.set('Deprecation', 'true')
+    res.append('Link', `</api/v1${req.path}>; rel="successor-version"`)
+    next()
+}, apiRoutes)
+app.use('/graphql', graphqlRoutes)
+
+// every error, web or api, ends up here, see errors/index.js
+app.use(notFound)
+app.use(errorHandler)
 
 module.exports = app
\ No newline at end of file
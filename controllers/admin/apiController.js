@@ -0,0 +1,29 @@
+// Admin API controllers - returns JSON responses
+const apiController = {
+  // List accounts
+  users(req, res) {
+    res.json(res.locals.data.users)
+  },
+
+  // Single account after a moderation action
+  user(req, res) {
+    res.json(res.locals.data.user)
+  },
+
+  // User deleted
+  userDeleted(req, res) {
+    res.json({ message: 'User deleted successfully' })
+  },
+
+  // List fruits across every account
+  fruits(req, res) {
+    res.json(res.locals.data.fruits)
+  },
+
+  // Fruit deleted
+  fruitDeleted(req, res) {
+    res.json({ message: 'Fruit successfully deleted' })
+  }
+}
+
+module.exports = apiController
\ No newline at end of file
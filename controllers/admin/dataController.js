@@ -0,0 +1,110 @@
+const User = require('../../models/user')
+const Fruit = require('../../models/fruit.js')
+const FruitRevision = require('../../models/fruitRevision')
+const fruitImages = require('../../services/fruitImages')
+const webhooks = require('../../services/webhooks')
+const accounts = require('../../services/accounts')
+const Session = require('../../models/session')
+const { ForbiddenError, NotFoundError } = require('../../errors')
+
+// admin only - these look across every account, so they must sit behind requireRole('admin')
+const dataController = {}
+
+dataController.listUsers = async (req, res, next) => {
+    try {
+      const filter = {}
+      if(req.query.suspended !== undefined){
+        filter.suspended = req.query.suspended === 'true'
+      }
+      res.locals.data.users = await User.find(filter)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.findUser = async (req, res, next) => {
+    try {
+      res.locals.data.user = await User.findById(req.params.id)
+      if(!res.locals.data.user){
+        return next(new NotFoundError('User not found'))
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.suspendUser = async (req, res, next) => {
+    try {
+      const user = res.locals.data.user
+      if(user._id.equals(req.user._id)){
+        return next(new ForbiddenError('You cannot suspend your own account'))
+      }
+      user.suspended = true
+      await user.save()
+      // kick them out of every session they already have
+      await Session.revokeAll(user._id)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.unsuspendUser = async (req, res, next) => {
+    try {
+      res.locals.data.user.suspended = false
+      await res.locals.data.user.save()
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.deleteUser = async (req, res, next) => {
+    try {
+      const user = res.locals.data.user
+      if(user._id.equals(req.user._id)){
+        return next(new ForbiddenError('You cannot delete your own account from the admin api'))
+      }
+      await accounts.removeUser(user)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.listFruits = async (req, res, next) => {
+    try {
+      const filter = {}
+      if(req.query.owner){
+        filter.owner = req.query.owner
+      }
+      res.locals.data.fruits = await Fruit.find(filter).populate('owner', 'name email')
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.deleteFruit = async (req, res, next) => {
+    try {
+      const fruit = await Fruit.findByIdAndDelete(req.params.id)
+      if(!fruit){
+        return next(new NotFoundError(`could not locate a fruit with the id ${req.params.id}`))
+      }
+      // keep the owner's fruits array in sync
+      await User.updateOne({ _id: fruit.owner }, { $pull: { fruits: fruit._id } })
+      await FruitRevision.deleteMany({ fruit: fruit._id })
+      await fruitImages.remove(fruit.image)
+      // a fruit in the trash sent its fruit.deleted when it was put there
+      if(!fruit.deletedAt){
+        await webhooks.notify('fruit.deleted', fruit, req.user)
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+module.exports = dataController
\ No newline at end of file
@@ -1,86 +1,372 @@
 const User = require('../../models/user')
+const Session = require('../../models/session')
+const AccessToken = require('../../models/accessToken')
+const accounts = require('../../services/accounts')
+const passwordReset = require('../../services/passwordReset')
+const emailVerification = require('../../services/emailVerification')
+const loginThrottle = require('../../services/loginThrottle')
+const twoFactor = require('../../services/twoFactor')
+const { validate } = require('../../validation')
+const { applyPatch } = require('../../validation/patches')
+const schemas = require('../../validation/schemas')
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, ValidationError, TooManyRequestsError } = require('../../errors')
 const bcrypt = require('bcrypt')
-const jwt = require('jsonwebtoken')
 
-// API Authentication middleware - uses headers instead of query params
+// API Authentication middleware - uses headers instead of query params.
+// takes either a login token (full access) or a personal access token (only its scopes)
 exports.auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization').replace('Bearer ', '')
-    const data = jwt.verify(token, 'secret')
-    const user = await User.findOne({ _id: data._id })
-    if (!user) {
-      throw new Error()
+    if (AccessToken.isPersonalToken(token)) {
+      const { user, accessToken } = await User.findByAccessToken(token)
+      req.user = user
+      req.accessToken = accessToken
+      req.scopes = accessToken.scopes
+    } else {
+      const { user, session } = await User.findByAuthToken(token)
+      req.user = user
+      req.authSession = session
+      req.scopes = ['*']
     }
-    req.user = user
     next()
   } catch (error) {
-    res.status(401).send('Not authorized')
+    // expired and revoked tokens say so, anything else stays vague
+    next(new UnauthorizedError(error.reason || 'Not authorized'))
+  }
+}
+
+// API Permission check - use after auth, e.g. requireRole('admin')
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return next(new ForbiddenError())
   }
+  next()
 }
 
-// API User creation
-exports.createUser = async (req, res) => {
+// API Scope check - every api route names the scope it needs, e.g. requireScope('fruits:read')
+exports.requireScope = (scope) => (req, res, next) => {
+  if (!req.scopes.includes('*') && !req.scopes.includes(scope)) {
+    return next(new ForbiddenError(`This token is missing the ${scope} scope`))
+  }
+  next()
+}
+
+// API Session check - for things a personal access token must never do, like minting more tokens
+exports.requireSession = (req, res, next) => {
+  if (!req.authSession) {
+    return next(new ForbiddenError('This action needs a login session, not a personal access token'))
+  }
+  next()
+}
+
+// API Verified email check - new accounts can look around but not add anything yet
+exports.requireVerified = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return next(new ForbiddenError('Please verify your email address first'))
+  }
+  next()
+}
+
+// API User creation - req.body has already been through validateBody(schemas.createUser)
+exports.createUser = async (req, res, next) => {
   try {
-    // Validate required fields
-    if (!req.body.name || !req.body.email || !req.body.password) {
-      return res.status(400).json({ message: 'Name, email, and password are required' })
-    }
-    
     const user = new User(req.body)
     await user.save()
-    const token = await user.generateAuthToken()
-    res.status(201).json({ user, token })
+    await emailVerification.sendVerification(user)
+    const { token, refreshToken } = await user.createSession()
+    res.status(201).json({ user, token, refreshToken })
   } catch (error) {
-    res.status(400).json({ message: error.message })
+    next(error)
   }
 }
 
 // API User login
-exports.loginUser = async (req, res) => {
+exports.loginUser = async (req, res, next) => {
   try {
+    const throttleKeys = loginThrottle.keysFor(req, req.body.email)
+    const retryAfter = await loginThrottle.check(throttleKeys)
+    if (retryAfter) {
+      return next(new TooManyRequestsError('Too many failed login attempts, please try again later', retryAfter))
+    }
     const user = await User.findOne({ email: req.body.email })
     if (!user || !await bcrypt.compare(req.body.password, user.password)) {
-      return res.status(400).json({ message: 'Invalid login credentials' })
+      await loginThrottle.registerFailure(throttleKeys)
+      return next(new UnauthorizedError('Invalid login credentials'))
+    }
+    if (user.suspended) {
+      return next(new ForbiddenError('Account suspended'))
+    }
+    // the failure count is only cleared once the second step passes too
+    if (user.twoFactor.enabled) {
+      return res.json({ twoFactorRequired: true, challenge: user.signTwoFactorChallenge() })
+    }
+    await loginThrottle.reset(throttleKeys)
+    const { token, refreshToken } = await user.createSession()
+    res.json({ user, token, refreshToken })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API User login, second step - trades the challenge plus a 2fa code for tokens
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findByTwoFactorChallenge(req.body.challenge)
+    const throttleKeys = loginThrottle.keysFor(req, user.email)
+    const retryAfter = await loginThrottle.check(throttleKeys)
+    if (retryAfter) {
+      return next(new TooManyRequestsError('Too many failed login attempts, please try again later', retryAfter))
+    }
+    if (!await twoFactor.verify(user, req.body.code)) {
+      await loginThrottle.registerFailure(throttleKeys)
+      return next(new UnauthorizedError('Invalid two-factor code'))
+    }
+    await loginThrottle.reset(throttleKeys)
+    const { token, refreshToken } = await user.createSession()
+    res.json({ user, token, refreshToken })
+  } catch (error) {
+    next(error.reason ? new UnauthorizedError(error.reason) : error)
+  }
+}
+
+// API token refresh - swaps a refresh token for a new access/refresh pair
+exports.refreshToken = async (req, res, next) => {
+  try {
+    if (!req.body.refreshToken) {
+      return next(new ValidationError({ refreshToken: 'is required' }))
+    }
+    const { token, refreshToken } = await User.refreshSession(req.body.refreshToken)
+    res.json({ token, refreshToken })
+  } catch (error) {
+    next(error.reason ? new UnauthorizedError(error.reason) : error)
+  }
+}
+
+// API User logout - revokes the session behind the current token
+exports.logoutUser = async (req, res, next) => {
+  try {
+    await req.authSession.revoke()
+    res.json({ message: 'Logged out successfully' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API User logout everywhere - revokes every session the user has
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await Session.revokeAll(req.user._id)
+    res.json({ message: 'Logged out of all sessions' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API Password reset request - same answer whether or not the email exists
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    if (!req.body.email) {
+      return next(new ValidationError({ email: 'is required' }))
+    }
+    await passwordReset.requestReset(req.body.email)
+    res.status(202).json({ message: 'If that account exists, a reset link is on its way' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API Password reset confirmation - uses up the emailed token
+exports.resetPassword = async (req, res, next) => {
+  try {
+    if (!req.body.token || !req.body.password) {
+      return next(new ValidationError({ ...(!req.body.token && { token: 'is required' }), ...(!req.body.password && { password: 'is required' }) }))
+    }
+    const user = await passwordReset.resetPassword(req.body.token, req.body.password)
+    if (!user) {
+      return next(new BadRequestError('Invalid or expired reset token'))
+    }
+    res.json({ message: 'Password updated, please log in again' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API Email verification - uses up the emailed token
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    if (!req.body.token) {
+      return next(new ValidationError({ token: 'is required' }))
+    }
+    const user = await emailVerification.verifyEmail(req.body.token)
+    if (!user) {
+      return next(new BadRequestError('Invalid or expired verification token'))
     }
-    const token = await user.generateAuthToken()
-    res.json({ user, token })
+    res.json({ message: 'Email verified', user })
   } catch (error) {
-    res.status(400).json({ message: error.message })
+    next(error)
+  }
+}
+
+// API Resend verification email
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return next(new ConflictError('Email is already verified'))
+    }
+    await emailVerification.sendVerification(req.user)
+    res.status(202).json({ message: 'Verification email sent' })
+  } catch (error) {
+    next(error)
   }
 }
 
 // API User update
-exports.updateUser = async (req, res) => {
+exports.updateUser = async (req, res, next) => {
   try {
     const updates = Object.keys(req.body)
     const user = await User.findOne({ _id: req.params.id })
     if (!user) {
-      return res.status(404).json({ message: 'User not found' })
+      return next(new NotFoundError('User not found'))
+    }
+    if (!user._id.equals(req.user._id)) {
+      return next(new ForbiddenError('You can only update your own account'))
     }
     updates.forEach(update => user[update] = req.body[update])
+    // a new address has to be verified all over again
+    const emailChanged = user.isModified('email')
+    if (emailChanged) {
+      user.emailVerified = false
+    }
     await user.save()
+    if (emailChanged) {
+      await emailVerification.sendVerification(user)
+    }
     res.json(user)
   } catch (error) {
-    res.status(400).json({ message: error.message })
+    next(error)
+  }
+}
+
+// API PATCH: the patch applies to the account's name and email (adding a
+// password changes it too), the result is validated and goes on to updateUser
+// like a PUT body
+exports.patchUser = (req, res, next) => {
+  if (req.params.id !== req.user._id.toString()) {
+    return next(new ForbiddenError('You can only update your own account'))
+  }
+  try {
+    const { value, errors } = validate(schemas.patchedUser, applyPatch(req, { name: req.user.name, email: req.user.email }))
+    if (errors) {
+      return next(new ValidationError(errors))
+    }
+    req.body = value
+    next()
+  } catch (error) {
+    next(error)
   }
 }
 
 // API User deletion
-exports.deleteUser = async (req, res) => {
+exports.deleteUser = async (req, res, next) => {
   try {
-    await req.user.deleteOne()
+    if (req.params.id !== req.user._id.toString()) {
+      return next(new ForbiddenError('You can only delete your own account'))
+    }
+    await accounts.removeUser(req.user)
     res.json({ message: 'User deleted successfully' })
   } catch (error) {
-    res.status(400).json({ message: error.message })
+    next(error)
+  }
+}
+
+// API 2FA enrollment - hands out a secret for the authenticator app
+exports.enrollTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return next(new ConflictError('Two-factor authentication is already enabled'))
+    }
+    const { secret, otpauthUrl } = await twoFactor.enroll(req.user)
+    res.json({ secret, otpauthUrl })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API 2FA confirmation - first valid code switches 2fa on, backup codes are only shown here
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return next(new ConflictError('Two-factor authentication is already enabled'))
+    }
+    const backupCodes = await twoFactor.confirm(req.user, req.body.code)
+    if (!backupCodes) {
+      return next(new BadRequestError('Invalid two-factor code'))
+    }
+    res.json({ message: 'Two-factor authentication enabled', backupCodes })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API 2FA removal - needs a current code (or backup code)
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    if (!await twoFactor.verify(req.user, req.body.code)) {
+      return next(new BadRequestError('Invalid two-factor code'))
+    }
+    await twoFactor.disable(req.user)
+    res.json({ message: 'Two-factor authentication disabled' })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API Personal access token creation - the raw token is only ever shown here
+exports.createAccessToken = async (req, res, next) => {
+  try {
+    if (req.body.scopes.includes('admin') && req.user.role !== 'admin') {
+      return next(new ValidationError({ scopes: 'admin is only available to admins' }))
+    }
+    const { accessToken, token } = await AccessToken.generate(req.user, req.body)
+    res.status(201).json({ accessToken, token })
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API Personal access token list
+exports.listAccessTokens = async (req, res, next) => {
+  try {
+    const accessTokens = await AccessToken.find({ user: req.user._id, revokedAt: null }).sort({ createdAt: -1 })
+    res.json(accessTokens)
+  } catch (error) {
+    next(error)
+  }
+}
+
+// API Personal access token revocation
+exports.revokeAccessToken = async (req, res, next) => {
+  try {
+    const accessToken = await AccessToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    )
+    if (!accessToken) {
+      return next(new NotFoundError('Access token not found'))
+    }
+    res.json({ message: 'Access token revoked' })
+  } catch (error) {
+    next(error)
   }
 }
 
 // API Get user profile
-exports.getProfile = async (req, res) => {
+exports.getProfile = async (req, res, next) => {
   try {
     await req.user.populate('fruits')
     res.json({ user: req.user })
   } catch (error) {
-    res.status(400).json({ message: error.message })
+    next(error)
   }
 } 
\ No newline at end of file
@@ -1,6 +1,28 @@
 const User = require('../../models/user')
+const Session = require('../../models/session')
+const accounts = require('../../services/accounts')
+const passwordReset = require('../../services/passwordReset')
+const emailVerification = require('../../services/emailVerification')
+const loginThrottle = require('../../services/loginThrottle')
+const twoFactor = require('../../services/twoFactor')
+const { fieldErrors } = require('../../validation')
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../../errors')
 const bcrypt = require('bcrypt')
-const jwt = require('jsonwebtoken')
+
+// the web UI keeps its tokens in httpOnly cookies so they never show up in
+// urls, logs or referrers. set COOKIE_SECURE=false to test over plain http
+const SESSION_COOKIE = 'token'
+const REFRESH_COOKIE = 'refreshToken'
+const sessionCookieOptions = {
+  httpOnly: true,
+  secure: process.env.COOKIE_SECURE !== 'false',
+  sameSite: 'lax'
+}
+
+const setSessionCookies = (res, { session, token, refreshToken }) => {
+  res.cookie(SESSION_COOKIE, token, sessionCookieOptions)
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...sessionCookieOptions, expires: session.expiresAt })
+}
 
 // instead of creating an object we can use the exports object directly
 // this is how
@@ -8,73 +30,216 @@ const jwt = require('jsonwebtoken')
 exports.auth = async (req, res, next) => {
   try {
     let token
-    if(req.query.token){
-      token = req.query.token
+    if(req.cookies && req.cookies[SESSION_COOKIE]){
+      token = req.cookies[SESSION_COOKIE]
     }else if(req.header('Authorization')){
       token = req.header('Authorization').replace('Bearer ', '')
     }else {
       throw new Error('No token provided')
     }
-    const data = jwt.verify(token, 'secret')
-    const user = await User.findOne({ _id: data._id })
-    if (!user) {
-      throw new Error()
+    let auth
+    try {
+      auth = await User.findByAuthToken(token)
+    } catch (error) {
+      // access tokens only live a few minutes, so quietly renew them from the refresh cookie
+      if (error.reason !== 'Token expired' || !req.cookies[REFRESH_COOKIE]) {
+        throw error
+      }
+      auth = await User.refreshSession(req.cookies[REFRESH_COOKIE])
+      setSessionCookies(res, auth)
     }
-    req.user = user
-    res.locals.data.token = token
+    req.user = auth.user
+    req.authSession = auth.session
+    res.locals.data.user = auth.user
     next()
   } catch (error) {
-    res.status(401).send('Not authorized')
+    next(new UnauthorizedError(error.reason || 'Not authorized'))
   }
 } // check
 
+// web pages only, the api has its own in controllers/auth/apiController.js
+exports.requireVerified = (req, res, next) => {
+  if(!req.user.emailVerified){
+    return res.status(403).render('auth/Verify', { unverified: true })
+  }
+  next()
+}
+
 exports.createUser = async (req, res, next) => {
   try{
     const user = new User(req.body)
     await user.save()
-    const token = await user.generateAuthToken()
-    res.locals.data.token = token 
+    await emailVerification.sendVerification(user)
+    // the new user signs in next, a session made here would never be used
     req.user = user
     next()
   } catch(error){
-    res.status(400).json({message: error.message})
+    const errors = fieldErrors(error)
+    if(errors){
+      return res.status(422).render('auth/SignUp', { errors, values: { name: req.body.name, email: req.body.email } })
+    }
+    next(error)
   }
 }// good but needs to change
 
 exports.loginUser = async (req, res, next) => {
   try{
+    const throttleKeys = loginThrottle.keysFor(req, req.body.email)
+    const retryAfter = await loginThrottle.check(throttleKeys)
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter))
+      return res.status(429).render('auth/SignIn', {
+        email: req.body.email,
+        error: `Too many failed sign in attempts. Please wait ${retryAfter} seconds and try again.`
+      })
+    }
     const user = await User.findOne({ email: req.body.email })
     if (!user || !await bcrypt.compare(req.body.password, user.password)) {
-      res.status(400).send('Invalid login credentials')
+      await loginThrottle.registerFailure(throttleKeys)
+      res.status(400).render('auth/SignIn', { email: req.body.email, error: 'Invalid email or password.' })
+    } else if (user.suspended) {
+      res.status(403).render('auth/SignIn', { email: req.body.email, error: 'This account has been suspended.' })
+    } else if (user.twoFactor.enabled) {
+      // password was right, now ask for the code
+      res.render('auth/TwoFactor', { challenge: user.signTwoFactorChallenge() })
     } else {
-      const token = await user.generateAuthToken()
-      res.locals.data.token = token 
+      await loginThrottle.reset(throttleKeys)
+      const auth = await user.createSession()
+      res.locals.data.token = auth.token
+      setSessionCookies(res, auth)
       req.user = user
       next()
     }
   } catch(error){
-    res.status(400).json({message: error.message})
+    next(error)
+  }
+}
+
+exports.loginTwoFactor = async (req, res, next) => {
+  try{
+    const user = await User.findByTwoFactorChallenge(req.body.challenge)
+    const throttleKeys = loginThrottle.keysFor(req, user.email)
+    const retryAfter = await loginThrottle.check(throttleKeys)
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter))
+      return res.status(429).render('auth/TwoFactor', {
+        challenge: req.body.challenge,
+        error: `Too many failed attempts. Please wait ${retryAfter} seconds and try again.`
+      })
+    }
+    if (!await twoFactor.verify(user, req.body.code)) {
+      await loginThrottle.registerFailure(throttleKeys)
+      return res.status(400).render('auth/TwoFactor', { challenge: req.body.challenge, error: 'That code is not right, please try again.' })
+    }
+    await loginThrottle.reset(throttleKeys)
+    const auth = await user.createSession()
+    res.locals.data.token = auth.token
+    setSessionCookies(res, auth)
+    req.user = user
+    next()
+  } catch(error){
+    if(error.reason){
+      // the challenge ran out or was tampered with, start over
+      return res.status(401).render('auth/SignIn', { error: 'Your sign in took too long, please try again.' })
+    }
+    next(error)
   }
 }
 
-exports.updateUser = async (req, res) => {
+exports.logoutUser = async (req, res, next) => {
+  try{
+    if(req.cookies[REFRESH_COOKIE]){
+      await Session.revokeByRefreshToken(req.cookies[REFRESH_COOKIE])
+    }
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions)
+    res.clearCookie(REFRESH_COOKIE, sessionCookieOptions)
+    next()
+  }catch(error){
+    next(error)
+  }
+}
+
+exports.requestPasswordReset = async (req, res, next) => {
+  try{
+    if(req.body.email){
+      await passwordReset.requestReset(req.body.email)
+    }
+    res.locals.data.sent = true
+    next()
+  }catch(error){
+    next(error)
+  }
+}
+
+exports.resetPassword = async (req, res, next) => {
+  try{
+    const user = req.body.token && req.body.password
+      ? await passwordReset.resetPassword(req.body.token, req.body.password)
+      : null
+    if(!user){
+      return res.status(400).render('auth/ResetPassword', { token: req.body.token, error: 'This reset link is invalid or has expired.' })
+    }
+    next()
+  }catch(error){
+    next(error)
+  }
+}
+
+exports.verifyEmail = async (req, res, next) => {
+  try{
+    const user = await emailVerification.verifyEmail(req.body.token)
+    res.locals.data.verified = Boolean(user)
+    next()
+  }catch(error){
+    next(error)
+  }
+}
+
+exports.resendVerification = async (req, res, next) => {
+  try{
+    if(!req.user.emailVerified){
+      await emailVerification.sendVerification(req.user)
+    }
+    next()
+  }catch(error){
+    next(error)
+  }
+}
+
+exports.updateUser = async (req, res, next) => {
   try{
     const updates = Object.keys(req.body)
     const user = await User.findOne({ _id: req.params.id })
+    if(!user){
+      return next(new NotFoundError('User not found'))
+    }
+    if(!user._id.equals(req.user._id)){
+      return next(new ForbiddenError('You can only update your own account'))
+    }
     updates.forEach(update => user[update] = req.body[update])
+    const emailChanged = user.isModified('email')
+    if(emailChanged){
+      user.emailVerified = false
+    }
     await user.save()
+    if(emailChanged){
+      await emailVerification.sendVerification(user)
+    }
     res.json(user)
   }catch(error){
-    res.status(400).json({message: error.message})
+    next(error)
   }
   
 }
 
-exports.deleteUser = async (req, res) => {
+exports.deleteUser = async (req, res, next) => {
   try{
-    await req.user.deleteOne()
+    if(req.params.id !== req.user._id.toString()){
+      return next(new ForbiddenError('You can only delete your own account'))
+    }
+    await accounts.removeUser(req.user)
     res.json({ message: 'User deleted' })
   }catch(error){
-    res.status(400).json({message: error.message})
+    next(error)
   }
 }
\ No newline at end of file
@@ -3,12 +3,23 @@ const router = express.Router()
 const dataController = require('./dataController')
 const viewController = require('./viewController')
 const fruitsViewController = require('../fruits/viewController')
+const { validateBody } = require('../../validation')
+const schemas = require('../../validation/schemas')
 
-router.post('/', dataController.createUser, viewController.redirectToLogin)// signup user => login page
+router.post('/', validateBody(schemas.createUser, { render: viewController.signUpErrors }), dataController.createUser, viewController.redirectToLogin)// signup user => login page
 router.get('/', viewController.signUp) // show sign up form
-router.post('/login', dataController.loginUser, fruitsViewController.redirectHome)
+router.post('/login', validateBody(schemas.login, { render: viewController.signInErrors }), dataController.loginUser, fruitsViewController.redirectHome)
+router.post('/login/2fa', validateBody(schemas.twoFactorLogin, { render: viewController.twoFactorErrors }), dataController.loginTwoFactor, fruitsViewController.redirectHome) // second step when 2fa is on
 router.get('/login', viewController.signIn) // show login form
-router.put('/:id', dataController.updateUser)
+router.get('/password/forgot', viewController.forgotPassword) // show forgot password form
+router.post('/password/forgot', validateBody(schemas.forgotPassword, { render: viewController.forgotPasswordErrors }), dataController.requestPasswordReset, viewController.forgotPassword) // email a reset link
+router.get('/password/reset', viewController.resetPassword) // show reset form from the emailed link
+router.post('/password/reset', validateBody(schemas.resetPassword, { render: viewController.resetPasswordErrors }), dataController.resetPassword, viewController.redirectToLogin) // set the new password
+router.get('/verify', viewController.confirmVerify) // emailed verification link, asks to confirm
+router.post('/verify', validateBody(schemas.verifyEmail, { render: viewController.verifyErrors }), dataController.verifyEmail, viewController.verify) // verify the email
+router.post('/verification/resend', dataController.auth, dataController.resendVerification, fruitsViewController.redirectHome)
+router.post('/logout', dataController.logoutUser, viewController.redirectToLogin) // clear the session cookie
+router.put('/:id', dataController.auth, validateBody(schemas.updateUser, { partial: true }), dataController.updateUser)
 router.delete('/:id', dataController.auth, dataController.deleteUser)
 
 module.exports = router
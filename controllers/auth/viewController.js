@@ -5,11 +5,44 @@ const viewController = {
   signIn(req, res, next){
     res.render('auth/SignIn')
   },
+  forgotPassword(req, res, next){
+    res.render('auth/ForgotPassword', res.locals.data)
+  },
+  // the emailed link only shows a button, opening it must not use up the token
+  // (mail scanners and link previews open links too)
+  confirmVerify(req, res, next){
+    res.render('auth/Verify', { token: req.query.token })
+  },
+  verify(req, res, next){
+    res.render('auth/Verify', res.locals.data)
+  },
+  resetPassword(req, res, next){
+    res.render('auth/ResetPassword', { token: req.query.token })
+  },
   apiAuth(req, res, next){
     res.json({user: req.user, token: res.locals.data.token})
   },
   redirectToLogin(req, res, next){
     res.redirect('/users/login')
+  },
+  // render callbacks for validateBody, they show the form again with the errors
+  signUpErrors(req, res, errors){
+    res.render('auth/SignUp', { errors, values: { name: req.body.name, email: req.body.email } })
+  },
+  signInErrors(req, res, errors){
+    res.render('auth/SignIn', { email: req.body.email, error: 'Please enter a valid email and password.' })
+  },
+  forgotPasswordErrors(req, res, errors){
+    res.render('auth/ForgotPassword', { errors })
+  },
+  twoFactorErrors(req, res, errors){
+    res.render('auth/TwoFactor', { challenge: req.body.challenge, error: 'Please enter the code from your authenticator app.' })
+  },
+  resetPasswordErrors(req, res, errors){
+    res.render('auth/ResetPassword', { token: req.body.token, errors })
+  },
+  verifyErrors(req, res, errors){
+    res.render('auth/Verify', { verified: false })
   }
 
 }
@@ -1,4 +1,8 @@
 const Fruit = require('../../models/fruit.js')
+const { pipeline } = require('stream/promises')
+const fruitLifecycle = require('../../services/fruitLifecycle')
+
+const EXPORT_TYPES = { csv: 'text/csv; charset=utf-8', json: 'application/json; charset=utf-8' }
 
 // API Fruit controllers - returns JSON responses
 const apiController = {
@@ -7,19 +11,88 @@ const apiController = {
     res.json(res.locals.data.fruits)
   },
 
-  // Get single fruit
+  // Get single fruit, also the answer to changes. the ETag is the fruit's
+  // version, send it back in If-None-Match to get a 304 when nothing changed
+  // or in If-Match so a PUT or DELETE only applies to that version
   show(req, res) {
+    res.set('ETag', res.locals.data.fruit.etag)
+    if (req.method === 'GET' && req.fresh) {
+      return res.status(304).end()
+    }
     res.json(res.locals.data.fruit)
   },
 
   // Create new fruit
   create(req, res) {
+    res.set('ETag', res.locals.data.fruit.etag)
     res.status(201).json(res.locals.data.fruit)
   },
 
+  // Bulk operations - 200 with a result per operation, 422 if an atomic batch was rolled back
+  bulk(req, res) {
+    const { results, rolledBack } = res.locals.data.bulk
+    const failed = results.filter(result => result.status >= 400).length
+    res.status(rolledBack ? 422 : 200).json({
+      ...(rolledBack && { error: { code: 'rolled_back', message: 'Bulk operation rolled back' } }),
+      atomic: Boolean(req.body.atomic),
+      succeeded: rolledBack ? 0 : results.length - failed,
+      failed,
+      results
+    })
+  },
+
+  // Collection download, streamed as it is read from the database
+  async export(req, res) {
+    const { format, stream } = res.locals.data.export
+    res.attachment(`fruits-${new Date().toISOString().slice(0, 10)}.${format}`)
+    res.type(EXPORT_TYPES[format])
+    try {
+      await pipeline(stream, res)
+    } catch (error) {
+      // the headers are gone already, all that is left is to cut the download short
+      res.destroy(error)
+    }
+  },
+
+  // Photo or thumbnail. the keys are never reused, so browsers may keep them
+  photo(req, res) {
+    res.set('Cache-Control', 'private, max-age=86400, immutable')
+    res.type('image/webp').send(res.locals.data.photo)
+  },
+
+  // Import report, one entry per row of the file
+  imported(req, res) {
+    res.json(res.locals.data.report)
+  },
+
+  // Change history, newest version first
+  history(req, res) {
+    res.json(res.locals.data.history)
+  },
+
+  // Fruits in the trash, each with the date it will be purged
+  trash(req, res) {
+    res.json(res.locals.data.fruits.map(fruit => ({ ...fruit.toJSON(), purgeAt: fruitLifecycle.purgeDate(fruit) })))
+  },
+
+  // Collection shares given and received
+  shares(req, res) {
+    res.json(res.locals.data.shares)
+  },
+
+  // Collection share created or changed
+  share(req, res) {
+    res.json(res.locals.data.share)
+  },
+
+  // Collection share removed
+  unshared(req, res) {
+    res.json({ message: 'Share removed' })
+  },
+
   // Delete fruit
   destroy(req, res) {
-    res.status(200).json({ message: 'Fruit successfully deleted' })
+    res.status(200).json({ message: 'Fruit moved to trash' })
   }
 }
 
@@ -1,40 +1,351 @@
 const Fruit = require('../../models/fruit.js')
+const User = require('../../models/user')
+const CollectionShare = require('../../models/collectionShare')
+const Tag = require('../../models/tag')
+const { validate } = require('../../validation')
+const { applyPatch } = require('../../validation/patches')
+const { ForbiddenError, NotFoundError, PreconditionFailedError, ValidationError } = require('../../errors')
+const schemas = require('../../validation/schemas')
+const fruitLifecycle = require('../../services/fruitLifecycle')
+const bulkFruits = require('../../services/bulkFruits')
+const fruitHistory = require('../../services/fruitHistory')
+const fruitImages = require('../../services/fruitImages')
+const imageStorage = require('../../services/imageStorage')
+const fruitTransfer = require('../../services/fruitTransfer')
+const webhooks = require('../../services/webhooks')
+const FruitRevision = require('../../models/fruitRevision')
+
+const DEFAULT_LIMIT = 20
+const SORTABLE_FIELDS = ['name', 'color', 'readyToEat', 'quantity', 'purchasedAt', 'ripeAt', 'expiresAt', 'createdAt', 'updatedAt']
+
+// every lookup by id is scoped to the logged in user so nobody can reach
+// someone else's fruit just by guessing its id
+const ownedFruit = (req) => ({ _id: req.params.id, owner: req.user._id })
+
+// same, but fruits shared with the user count too. need is 'viewer' or 'editor'
+const accessibleFruit = async (req, need = 'viewer') => {
+  req.access = req.access || await Fruit.accessFor(req.user)
+  return { _id: req.params.id, ...req.access.filter(need) }
+}
+
+const fruitNotFound = (req) => new NotFoundError(`could not locate a fruit with the id ${req.params.id}`)
+
+// a change was refused: 403 if the user can at least see the fruit, 404 if not
+const notEditable = async (req) => {
+  if (await Fruit.exists(await accessibleFruit(req, 'viewer'))) {
+    return new ForbiddenError('You only have viewer access to this fruit')
+  }
+  return fruitNotFound(req)
+}
+
+// If-Match turns a change into "only if it is still this version", * (or no
+// header) lets it apply to whatever version there is. fruits saved before
+// versions existed have none stored and show as v1, like in fruitHistory.change.
+// it goes in an $and so it can sit next to the $or of the access filter
+const matchingVersion = (req) => {
+  const ifMatch = req.get('If-Match')
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return {}
+  }
+  const versions = Fruit.versionsIn(ifMatch)
+  const matching = { version: { $in: versions } }
+  return { $and: [versions.includes(1) ? { $or: [matching, { version: { $exists: false } }] } : matching] }
+}
+
+// a change that matched nothing: 412 when the fruit is there but has moved on
+// from the If-Match version, otherwise 403 or 404 as in notEditable
+const changeRefused = async (req) => {
+  if (req.get('If-Match') && await Fruit.exists(await accessibleFruit(req, 'editor'))) {
+    return new PreconditionFailedError('The fruit has changed since you fetched it, get it again and retry')
+  }
+  return notEditable(req)
+}
+
+// the photo in req.file (see validateImage) is resized and stored before the
+// fruit is written, so a bad image is refused before anything changes. the
+// caller removes the files again if the write does not happen
+const storeImage = async (req) => {
+  if(!req.file){
+    return undefined
+  }
+  try {
+    return await fruitImages.store(req.file.buffer)
+  } catch (error) {
+    if(error.reason === 'Invalid image'){
+      throw new ValidationError({ image: error.message })
+    }
+    throw error
+  }
+}
+
+// the owner's webhooks hear about every change made through here, see
+// services/webhooks.js. the change is done by then, so failing to queue the
+// deliveries is only logged
+const notify = (event, fruit, req) => webhooks.notify(event, fruit, req.user)
+
+// the user a fruit or collection is being shared with, by email
+const findRecipient = async (req) => {
+  const recipient = await User.findOne({ email: req.body.email })
+  if (!recipient) {
+    throw new NotFoundError('could not locate a user with that email')
+  }
+  if (recipient._id.equals(req.user._id)) {
+    throw new ValidationError({ email: 'is your own account' })
+  }
+  return recipient
+}
+
+// fruits can only carry tags that belong to their owner
+const foreignTags = async (owner, tags) => Boolean(tags && tags.length) && !await Tag.allOwnedBy(owner, tags)
+const FOREIGN_TAGS = { tags: "must be existing tags of the fruit's owner" }
+
+// what a fruit gets in the fields a PUT or PATCH leaves out, same as a new fruit
+const FRUIT_DEFAULTS = { readyToEat: false, quantity: 1, purchasedAt: null, ripeAt: null, expiresAt: null, tags: [] }
+
+// the fields a PATCH works on, the way a client would send them
+const editableFields = (fruit) => ({
+  name: fruit.name,
+  color: fruit.color,
+  readyToEat: Boolean(fruit.readyToEat),
+  quantity: fruit.quantity,
+  purchasedAt: fruit.purchasedAt ? fruit.purchasedAt.toISOString() : null,
+  ripeAt: fruit.ripeAt ? fruit.ripeAt.toISOString() : null,
+  expiresAt: fruit.expiresAt ? fruit.expiresAt.toISOString() : null,
+  tags: fruit.tags.map(String)
+})
+
+// ?tag= takes a tag id or the name of one of the user's own tags
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i
+const findTagId = async (req, tag) => {
+  if (OBJECT_ID_PATTERN.test(tag)) {
+    return tag
+  }
+  const found = await Tag.findByName(req.user._id, tag)
+  return found && found._id
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// ?sort=name,-createdAt becomes { name: 1, createdAt: -1, _id: 1 }. _id keeps
+// the order stable so a fruit never shows up on two pages
+const parseSort = (sort = 'createdAt') => {
+  const order = {}
+  for (const part of sort.split(',').filter(Boolean)) {
+    const field = part.replace(/^[-+]/, '')
+    if (!SORTABLE_FIELDS.includes(field)) {
+      return null
+    }
+    order[field] = part.startsWith('-') ? -1 : 1
+  }
+  order._id = order._id || 1
+  return order
+}
+
+// rel links for the Link header, keeping every other query param as it was
+const pageLinks = (req, page, pages) => {
+  const link = (target, rel) => {
+    const params = new URLSearchParams(req.query)
+    params.set('page', target)
+    return `<${req.baseUrl}${req.path}?${params}>; rel="${rel}"`
+  }
+  const links = [link(1, 'first'), link(pages, 'last')]
+  if (page > 1) links.push(link(page - 1, 'prev'))
+  if (page < pages) links.push(link(page + 1, 'next'))
+  return links.join(', ')
+}
 
 const dataController = {}
 dataController.index = async (req,res,next) => {
+   const { value: query, errors } = validate(schemas.fruitQuery, req.query, { allowUnknown: true })
+   const sort = parseSort(query.sort)
+   if(errors || !sort){
+    return next(new ValidationError({ ...errors, ...(!sort && { sort: `can only use ${SORTABLE_FIELDS.join(', ')}` }) }))
+   }
    try {
-    const user = await req.user.populate('fruits')
-    res.locals.data.fruits = user.fruits
+    const access = await Fruit.accessFor(req.user)
+    const filter = query.expiringWithin
+      ? { ...access.filter(), ...fruitLifecycle.expiringWithin(query.expiringWithin) }
+      : access.filter()
+    if(query.color){
+      filter.color = new RegExp(`^${escapeRegex(query.color)}$`, 'i')
+    }
+    if(query.readyToEat !== undefined){
+      filter.readyToEat = query.readyToEat
+    }
+    if(query.q){
+      filter.name = new RegExp(escapeRegex(query.q), 'i')
+    }
+    if(query.tag){
+      const tagId = await findTagId(req, query.tag)
+      // an unknown tag name matches nothing
+      filter.tags = { $in: tagId ? [tagId] : [] }
+    }
+    const limit = query.limit || DEFAULT_LIMIT
+    const page = query.page || 1
+    const [fruits, total] = await Promise.all([
+      Fruit.find(filter).sort(sort).skip((page - 1) * limit).limit(limit).populate('tags', 'name'),
+      Fruit.countDocuments(filter)
+    ])
+    const pages = Math.max(Math.ceil(total / limit), 1)
+    res.set('X-Total-Count', String(total))
+    res.append('Link', pageLinks(req, page, pages))
+    fruits.forEach(fruit => { fruit.permission = access.permissionOf(fruit) })
+    res.locals.data.fruits = fruits
+    res.locals.data.pagination = { page, pages, limit, total }
+    res.locals.data.expiringWithin = query.expiringWithin
+    res.locals.data.tag = query.tag
     next()
    } catch(error) {
-    res.status(400).send({ message: error.message })
+    next(error)
   }
 }
 
+// deleting only moves the fruit to the trash, services/fruitLifecycle.js purges it later
 dataController.destroy = async (req, res, next ) => {
     try {
-         await Fruit.findOneAndDelete({'_id': req.params.id }).then(() => {
-            next()
-         })
+      const filter = { ...await accessibleFruit(req, 'editor'), ...matchingVersion(req) }
+      const fruit = await fruitHistory.change(filter, { deletedAt: new Date() }, { action: 'delete', actor: req.user })
+      if(!fruit){
+        return next(await changeRefused(req))
+      }
+      // an editor may delete a shared fruit, it still leaves the owner's list
+      await User.updateOne({ _id: fruit.owner }, { $pull: { fruits: fruit._id } })
+      await notify('fruit.deleted', fruit, req)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.trash = async (req, res, next) => {
+    try {
+      res.locals.data.fruits = await Fruit.find({ owner: req.user._id, deletedAt: { $ne: null } }).sort({ deletedAt: -1 })
+      res.locals.data.retentionDays = fruitLifecycle.TRASH_RETENTION_DAYS
+      next()
     } catch (error) {
-      res.status(400).send({ message: error.message })
+      next(error)
+    }
+}
+
+dataController.restore = async (req, res, next) => {
+    try {
+      res.locals.data.fruit = await fruitHistory.change(
+        { ...await accessibleFruit(req, 'editor'), deletedAt: { $ne: null } },
+        { deletedAt: null },
+        { action: 'restore', actor: req.user }
+      )
+      if(!res.locals.data.fruit){
+        return next(new NotFoundError(`could not locate a deleted fruit with the id ${req.params.id}`))
+      }
+      await User.updateOne({ _id: res.locals.data.fruit.owner }, { $addToSet: { fruits: res.locals.data.fruit._id } })
+      await notify('fruit.updated', res.locals.data.fruit, req)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// the edit form sends the version it was opened at. it is checked like an
+// If-Match from the api, so saving can't quietly undo someone else's change
+dataController.formVersion = (req, res, next) => {
+    if(req.body && req.body.version !== undefined){
+      res.locals.data.version = req.body.version
+      req.headers['if-match'] = `"v${req.body.version}"`
+      delete req.body.version
     }
+    next()
+}
+
+// error middleware after a web update: when the fruit moved on from the form's
+// version, loads it as it is now for viewController.editConflict
+dataController.staleEdit = async (error, req, res, next) => {
+    if(!(error instanceof PreconditionFailedError)){
+      return next(error)
+    }
+    try {
+      res.locals.data.current = await Fruit.findOne(await accessibleFruit(req)).populate('tags', 'name')
+    } catch (lookupError) {
+      return next(lookupError)
+    }
+    next(error)
 }
 
+// changes only the fields in req.body, for GraphQL's updateFruit
 dataController.update = async (req, res, next) => {
-    if(req.body.readyToEat === 'on'){
-        req.body.readyToEat = true;
-    } else if(req.body.readyToEat !== true) {
-        req.body.readyToEat = false;
+    try {
+      const filter = { ...await accessibleFruit(req, 'editor'), ...matchingVersion(req) }
+      if(req.body.tags){
+        const fruit = await Fruit.findOne(filter)
+        if(!fruit){
+          return next(await changeRefused(req))
+        }
+        if(await foreignTags(fruit.owner, req.body.tags)){
+          return next(new ValidationError(FOREIGN_TAGS))
+        }
+      }
+      res.locals.data.fruit = await fruitHistory.change(filter, (fruit) => fruitLifecycle.applyDates({ ...req.body }, fruit), { actor: req.user })
+      if(!res.locals.data.fruit){
+        return next(await changeRefused(req))
+      }
+      await res.locals.data.fruit.populate('tags', 'name')
+      await notify('fruit.updated', res.locals.data.fruit, req)
+      next()
+    } catch (error) {
+      next(error)
     }
+}
+
+// PUT and PATCH set every editable field. fieldsOf(fruit) gives the new
+// fields from the fruit as it is when the change is made, anything it leaves
+// out goes back to FRUIT_DEFAULTS
+const replaceFruit = async (req, res, next, fieldsOf) => {
     try {
-      res.locals.data.fruit = await Fruit.findByIdAndUpdate(req.params.id, req.body, { new: true })
+      const filter = { ...await accessibleFruit(req, 'editor'), ...matchingVersion(req) }
+      // the edit form can send a new photo along, the photo is kept otherwise
+      const image = await storeImage(req)
+      let previousImage
+      try {
+        res.locals.data.fruit = await fruitHistory.change(filter, async (fruit) => {
+          const fields = fieldsOf(fruit)
+          if(await foreignTags(fruit.owner, fields.tags)){
+            throw new ValidationError(FOREIGN_TAGS)
+          }
+          const changes = { ...FRUIT_DEFAULTS, ...fields, ...(image && { image }) }
+          previousImage = fruit.toObject().image
+          return fruitLifecycle.applyDates(changes, fruit)
+        }, { actor: req.user })
+      } catch (error) {
+        await fruitImages.remove(image)
+        throw error
+      }
+      if(!res.locals.data.fruit){
+        await fruitImages.remove(image)
+        return next(await changeRefused(req))
+      }
+      if(image){
+        await fruitImages.remove(previousImage)
+      }
+      await res.locals.data.fruit.populate('tags', 'name')
+      await notify('fruit.updated', res.locals.data.fruit, req)
       next()
     } catch (error) {
-      res.status(400).send({ message: error.message })
+      next(error)
     }
 }
 
+// PUT from the api and the edit form, req.body has been validated in full
+dataController.replace = (req, res, next) => replaceFruit(req, res, next, () => req.body)
+
+// PATCH: the patch applies to the fruit's editable fields and the result is
+// validated like a PUT body. nothing is saved unless all of it works out
+dataController.patch = (req, res, next) => replaceFruit(req, res, next, (fruit) => {
+    const { value, errors } = validate(schemas.fruit, applyPatch(req, editableFields(fruit)))
+    if(errors){
+      throw new ValidationError(errors)
+    }
+    return value
+})
+
 dataController.create = async (req, res, next) => {
     if(req.body.readyToEat === 'on'){
         req.body.readyToEat = true;
@@ -42,26 +353,257 @@ dataController.create = async (req, res, next) => {
         req.body.readyToEat = false;
     }
     try {
-      res.locals.data.fruit = await Fruit.create(req.body)
+      if(await foreignTags(req.user._id, req.body.tags)){
+        return next(new ValidationError(FOREIGN_TAGS))
+      }
+      const image = await storeImage(req)
+      try {
+        res.locals.data.fruit = await Fruit.create(fruitLifecycle.applyDates({ ...req.body, ...(image && { image }), owner: req.user._id }))
+      } catch (error) {
+        await fruitImages.remove(image)
+        throw error
+      }
+      await fruitHistory.created(res.locals.data.fruit, req.user)
       req.user.fruits.addToSet({_id: res.locals.data.fruit._id })
       await req.user.save()
+      await res.locals.data.fruit.populate('tags', 'name')
+      await notify('fruit.created', res.locals.data.fruit, req)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.bulk = async (req, res, next) => {
+    try {
+      res.locals.data.bulk = await bulkFruits.run(req.user, req.body.operations, { atomic: req.body.atomic })
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// the user's own collection as a csv or json download, see services/fruitTransfer.js
+dataController.exportFruits = (req, res, next) => {
+    const { value: query, errors } = validate(schemas.exportFruits, req.query, { allowUnknown: true })
+    if(errors){
+      return next(new ValidationError(errors))
+    }
+    const format = query.format || 'csv'
+    res.locals.data.export = { format, stream: fruitTransfer.exportStream(req.user, format) }
+    next()
+}
+
+// req.file (see validateImportFile) into the user's collection, req.body has the options
+dataController.importFruits = async (req, res, next) => {
+    try {
+      res.locals.data.report = await fruitTransfer.importFile(req.user, req.file, req.body)
       next()
     } catch (error) {
-      res.status(400).send({ message: error.message })
+      if(error.reason === 'Invalid file'){
+        return next(new ValidationError({ file: error.message }))
+      }
+      next(error)
+    }
+}
+
+// POST /fruits/:id/image: req.file (see validateImage) becomes the fruit's
+// photo, replacing any old one. like any change it bumps the version and is
+// recorded, and If-Match applies
+dataController.saveImage = async (req, res, next) => {
+    try {
+      const filter = { ...await accessibleFruit(req, 'editor'), ...matchingVersion(req) }
+      if(!await Fruit.exists(filter)){
+        return next(await changeRefused(req))
+      }
+      const image = await storeImage(req)
+      let previousImage
+      try {
+        res.locals.data.fruit = await fruitHistory.change(filter, (fruit) => {
+          previousImage = fruit.toObject().image
+          return { image }
+        }, { actor: req.user })
+      } catch (error) {
+        await fruitImages.remove(image)
+        throw error
+      }
+      if(!res.locals.data.fruit){
+        await fruitImages.remove(image)
+        return next(await changeRefused(req))
+      }
+      await fruitImages.remove(previousImage)
+      await res.locals.data.fruit.populate('tags', 'name')
+      await notify('fruit.updated', res.locals.data.fruit, req)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.removeImage = async (req, res, next) => {
+    try {
+      let previousImage
+      res.locals.data.fruit = await fruitHistory.change({ ...await accessibleFruit(req, 'editor'), ...matchingVersion(req) }, (fruit) => {
+        previousImage = fruit.toObject().image
+        return { $unset: { image: 1 } }
+      }, { actor: req.user })
+      if(!res.locals.data.fruit){
+        return next(await changeRefused(req))
+      }
+      await fruitImages.remove(previousImage)
+      await res.locals.data.fruit.populate('tags', 'name')
+      await notify('fruit.updated', res.locals.data.fruit, req)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// the photo or thumbnail stored under req.params.key, for users who can see its
+// fruit. trashed fruits only show theirs to the owner
+dataController.photo = async (req, res, next) => {
+    try {
+      const { key } = req.params
+      const fruit = await Fruit.findOne({ $or: [{ 'image.key': key }, { 'image.thumbnailKey': key }] }, null, { withDeleted: true })
+      req.access = req.access || await Fruit.accessFor(req.user)
+      const visible = fruit && (fruit.deletedAt ? fruit.owner.equals(req.user._id) : req.access.permissionOf(fruit))
+      res.locals.data.photo = visible ? await imageStorage.read(key) : null
+      if(!res.locals.data.photo){
+        return next(new NotFoundError('could not locate that photo'))
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// use after show, adds the fruit's change history newest first
+dataController.history = async (req, res, next) => {
+    try {
+      res.locals.data.history = await fruitHistory.list(res.locals.data.fruit._id)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.revert = async (req, res, next) => {
+    try {
+      const filter = await accessibleFruit(req, 'editor')
+      if(!await Fruit.exists(filter)){
+        return next(await notEditable(req))
+      }
+      const revision = await FruitRevision.findOne({ fruit: req.params.id, version: Number(req.params.version) || 0 })
+      if(!revision){
+        return next(new NotFoundError(`could not locate version ${req.params.version} of the fruit with the id ${req.params.id}`))
+      }
+      res.locals.data.fruit = await fruitHistory.revert(filter, revision, req.user)
+      if(!res.locals.data.fruit){
+        return next(fruitNotFound(req))
+      }
+      await notify('fruit.updated', res.locals.data.fruit, req)
+      next()
+    } catch (error) {
+      next(error)
     }
 }
 
 dataController.show = async (req, res, next) => {
     try {
-        res.locals.data.fruit = await Fruit.findById(req.params.id)
+        res.locals.data.fruit = await Fruit.findOne(await accessibleFruit(req)).populate('tags', 'name')
         if(!res.locals.data.fruit){
-            throw new error(`could not locate a fruit with the id ${req.params.id}`)
+            return next(fruitNotFound(req))
+        }
+        res.locals.data.fruit.permission = req.access.permissionOf(res.locals.data.fruit)
+        // only the owner gets to see who else has it
+        if(res.locals.data.fruit.permission === 'owner'){
+            await res.locals.data.fruit.populate('shares.user', 'name email')
         }
         next()
     } catch (error) {
-      res.status(400).send({ message: error.message })
+      next(error)
+    }
+}
+
+// sharing a single fruit is up to its owner, sharing again changes the permission.
+// both go through the history so the version, and with it the etag, moves on.
+// the revision lists no changes, who a fruit is shared with stays out of the
+// history the people it is shared with can read
+dataController.shareFruit = async (req, res, next) => {
+    try {
+      const recipient = await findRecipient(req)
+      const fruit = await fruitHistory.change(ownedFruit(req), (fruit) => {
+        const share = { user: recipient._id, permission: req.body.permission }
+        const shared = fruit.shares.some(({ user }) => user.equals(recipient._id))
+        return { shares: shared ? fruit.shares.map(existing => existing.user.equals(recipient._id) ? share : existing) : [...fruit.shares, share] }
+      }, { actor: req.user })
+      if(!fruit){
+        return next(fruitNotFound(req))
+      }
+      fruit.permission = 'owner'
+      res.locals.data.fruit = await fruit.populate('shares.user', 'name email')
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.unshareFruit = async (req, res, next) => {
+    try {
+      const fruit = await fruitHistory.change(ownedFruit(req), { $pull: { shares: { user: req.params.userId } } }, { actor: req.user })
+      if(!fruit){
+        return next(fruitNotFound(req))
+      }
+      fruit.permission = 'owner'
+      res.locals.data.fruit = await fruit.populate('shares.user', 'name email')
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// collections shared by the user and with the user
+dataController.listShares = async (req, res, next) => {
+    try {
+      const [given, received] = await Promise.all([
+        CollectionShare.find({ owner: req.user._id }).populate('user', 'name email'),
+        CollectionShare.find({ user: req.user._id }).populate('owner', 'name email')
+      ])
+      res.locals.data.shares = { given, received }
+      next()
+    } catch (error) {
+      next(error)
     }
 }
 
+dataController.shareCollection = async (req, res, next) => {
+    try {
+      const recipient = await findRecipient(req)
+      res.locals.data.share = await CollectionShare.findOneAndUpdate(
+        { owner: req.user._id, user: recipient._id },
+        { permission: req.body.permission },
+        { new: true, upsert: true, runValidators: true }
+      )
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// either side can end a collection share
+dataController.unshareCollection = async (req, res, next) => {
+    try {
+      const share = await CollectionShare.findOneAndDelete({
+        _id: req.params.id,
+        $or: [{ owner: req.user._id }, { user: req.user._id }]
+      })
+      if(!share){
+        return next(new NotFoundError(`could not locate a share with the id ${req.params.id}`))
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
 
 module.exports = dataController
\ No newline at end of file
@@ -3,26 +3,46 @@ const router = express.Router();
 const viewController = require('./viewController.js')
 const dataController = require('./dataController.js')
 const authDataController = require('../auth/dataController.js')
+const tagDataController = require('../tags/dataController.js')
+const { validateBody } = require('../../validation')
+const { validateImage } = require('../../validation/images')
+const { validateImportFile } = require('../../validation/imports')
+const schemas = require('../../validation/schemas')
 // add routes
 // Index
 router.get('/', authDataController.auth
-    /* check if the token exists in the header or the query, set req.user and res.locals.data.token */ , 
+    /* check if the token exists in the session cookie or the header, set req.user */ , 
     dataController.index
     /*grab and save the logged in user's fruits */, 
     viewController.index
-    /* display the logged in users fruits and also the link to the new page with the token*/
+    /* display the logged in users fruits and also the link to the new page */
 );
 // New
-router.get('/new', authDataController.auth, viewController.newView );
+router.get('/new', authDataController.auth, authDataController.requireVerified, tagDataController.index, viewController.newView );
+// Export
+router.get('/export', authDataController.auth, dataController.exportFruits, viewController.export);
+// Import
+router.get('/import', authDataController.auth, authDataController.requireVerified, viewController.importView);
+router.post('/import', authDataController.auth, authDataController.requireVerified, validateImportFile({ render: viewController.importErrors }), validateBody(schemas.importFruits, { render: viewController.importErrors }), dataController.importFruits, viewController.imported);
+// Trash
+router.get('/trash', authDataController.auth, dataController.trash, viewController.trash);
+// Restore
+router.post('/:id/restore', authDataController.auth, dataController.restore, viewController.redirectShow);
+// Share
+router.post('/:id/shares', authDataController.auth, validateBody(schemas.share), dataController.shareFruit, viewController.redirectShow);
+// Unshare
+router.delete('/:id/shares/:userId', authDataController.auth, dataController.unshareFruit, viewController.redirectShow);
+// Revert
+router.post('/:id/revert/:version', authDataController.auth, dataController.revert, viewController.redirectShow);
 // Delete
 router.delete('/:id',authDataController.auth, dataController.destroy, viewController.redirectHome);
 // Update
-router.put('/:id',authDataController.auth, dataController.update, viewController.redirectShow);
+router.put('/:id',authDataController.auth, dataController.show, tagDataController.index, validateImage({ render: viewController.editErrors }), dataController.formVersion, validateBody(schemas.fruit, { render: viewController.editErrors }), dataController.replace, viewController.redirectShow, dataController.staleEdit, viewController.editConflict);
 // Create
-router.post('/', authDataController.auth, dataController.create, viewController.redirectHome);
+router.post('/', authDataController.auth, authDataController.requireVerified, tagDataController.index, validateImage({ render: viewController.newErrors }), validateBody(schemas.fruit, { render: viewController.newErrors }), dataController.create, viewController.redirectHome);
 // Edit
-router.get('/:id/edit', authDataController.auth, dataController.show, viewController.edit);
+router.get('/:id/edit', authDataController.auth, dataController.show, tagDataController.index, viewController.edit);
 // Show
-router.get('/:id', authDataController.auth, dataController.show, viewController.show);
+router.get('/:id', authDataController.auth, dataController.show, dataController.history, viewController.show);
 // export router
 module.exports = router;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const RESOURCE_PATH = '/fruits'
+const apiController = require('./apiController.js')
 const viewController = {
   signUp(req, res, next){
     res.render('/auth/SignUp')
@@ -15,22 +16,49 @@ const viewController = {
   edit(req, res, next){
     res.render('fruits/Edit', res.locals.data)
   },
+  trash(req, res, next){
+    res.render('fruits/Trash', res.locals.data)
+  },
+  importView(req, res, next){
+    res.render('fruits/Import', res.locals.data)
+  },
+  imported(req, res, next){
+    res.render('fruits/Import', { ...res.locals.data, values: req.body })
+  },
+  // the download is the same file the api sends
+  export: apiController.export,
   newView(req, res, next){
     res.render('fruits/New', res.locals.data)
   },
   redirectHome(req, res, next){
-    if(res.locals.data.token){
-      res.redirect(`${RESOURCE_PATH}?token=${res.locals.data.token}`)
-    }else {
-      res.redirect(RESOURCE_PATH)
-    } 
+    res.redirect(RESOURCE_PATH)
   },
   redirectShow(req, res, next){
-     if(res.locals.data.token){
-      res.redirect(`${RESOURCE_PATH}/${req.params.id}?token=${res.locals.data.token}`)
-    }else {
-      res.redirect(`${RESOURCE_PATH}/${req.params.id}`)
-    } 
+    res.redirect(`${RESOURCE_PATH}/${req.params.id}`)
+  },
+  // render callbacks for validateBody, they show the form again with the errors
+  newErrors(req, res, errors){
+    res.render('fruits/New', { ...res.locals.data, errors, values: req.body })
+  },
+  importErrors(req, res, errors){
+    res.render('fruits/Import', { ...res.locals.data, errors, values: req.body })
+  },
+  editErrors(req, res, errors){
+    res.render('fruits/Edit', { ...res.locals.data, errors, fruit: { ...req.body, _id: req.params.id } })
+  },
+  // someone saved the fruit after the form was opened: the form again with
+  // what was typed, a warning and the current version so saving again is a
+  // deliberate overwrite
+  editConflict(error, req, res, next){
+    const { current } = res.locals.data
+    if(!current){
+      return next(error)
+    }
+    res.status(412).render('fruits/Edit', {
+      ...res.locals.data,
+      fruit: { ...req.body, _id: req.params.id, image: current.image },
+      version: current.version
+    })
   }
 }
 
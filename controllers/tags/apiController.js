@@ -0,0 +1,24 @@
+// API Tag controllers - returns JSON responses
+const apiController = {
+  // List the user's tags
+  index(req, res) {
+    res.json(res.locals.data.tags)
+  },
+
+  // Single tag
+  show(req, res) {
+    res.json(res.locals.data.tag)
+  },
+
+  // Create new tag
+  create(req, res) {
+    res.status(201).json(res.locals.data.tag)
+  },
+
+  // Delete tag
+  destroy(req, res) {
+    res.json({ message: 'Tag successfully deleted' })
+  }
+}
+
+module.exports = apiController
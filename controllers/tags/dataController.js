@@ -0,0 +1,76 @@
+const Tag = require('../../models/tag')
+const Fruit = require('../../models/fruit.js')
+const fruitHistory = require('../../services/fruitHistory')
+const webhooks = require('../../services/webhooks')
+const { ConflictError, NotFoundError } = require('../../errors')
+
+const ownedTag = (req) => ({ _id: req.params.id, owner: req.user._id })
+
+// tag names only clash with the owner's other tags
+const nameTaken = (error) => error && error.code === 11000
+const nameTakenError = () => new ConflictError('You already have a tag with that name', { fields: { name: 'is already in use' } })
+
+const dataController = {}
+
+// the tags to pick from. on the edit page of a shared fruit those are the owner's tags
+dataController.index = async (req, res, next) => {
+    try {
+      const fruit = res.locals.data.fruit
+      res.locals.data.tags = await Tag.find({ owner: fruit ? fruit.owner : req.user._id }).sort({ name: 1 })
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.create = async (req, res, next) => {
+    try {
+      res.locals.data.tag = await Tag.create({ name: req.body.name, owner: req.user._id })
+      next()
+    } catch (error) {
+      if(nameTaken(error)){
+        return next(nameTakenError())
+      }
+      next(error)
+    }
+}
+
+// renaming keeps the id, so every fruit carrying the tag shows the new name
+dataController.update = async (req, res, next) => {
+    try {
+      res.locals.data.tag = await Tag.findOneAndUpdate(ownedTag(req), { name: req.body.name }, { new: true, runValidators: true })
+      if(!res.locals.data.tag){
+        return next(new NotFoundError(`could not locate a tag with the id ${req.params.id}`))
+      }
+      next()
+    } catch (error) {
+      if(nameTaken(error)){
+        return next(nameTakenError())
+      }
+      next(error)
+    }
+}
+
+dataController.destroy = async (req, res, next) => {
+    try {
+      const tag = await Tag.findOneAndDelete(ownedTag(req))
+      if(!tag){
+        return next(new NotFoundError(`could not locate a tag with the id ${req.params.id}`))
+      }
+      // the tag comes off every fruit it was on, trashed ones too so a restore
+      // doesn't bring it back. each is a change of that fruit, so its version
+      // moves on and the history shows the tag going
+      const tagged = await Fruit.find({ tags: tag._id }, '_id deletedAt', { withDeleted: true })
+      for (const { _id, deletedAt } of tagged) {
+        const fruit = await fruitHistory.change({ _id, deletedAt }, { $pull: { tags: tag._id } }, { actor: req.user })
+        if(fruit && !deletedAt){
+          await webhooks.notify('fruit.updated', fruit, req.user)
+        }
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+module.exports = dataController
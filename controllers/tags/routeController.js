@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const viewController = require('./viewController.js')
+const dataController = require('./dataController.js')
+const authDataController = require('../auth/dataController.js')
+const { validateBody } = require('../../validation')
+const schemas = require('../../validation/schemas')
+// Index
+router.get('/', authDataController.auth, dataController.index, viewController.index);
+// Create
+router.post('/', authDataController.auth, dataController.index, validateBody(schemas.tag, { render: viewController.indexErrors }), dataController.create, viewController.redirectHome);
+// Rename
+router.put('/:id', authDataController.auth, dataController.index, validateBody(schemas.tag, { render: viewController.indexErrors }), dataController.update, viewController.redirectHome);
+// Delete
+router.delete('/:id', authDataController.auth, dataController.destroy, viewController.redirectHome);
+// export router
+module.exports = router;
@@ -0,0 +1,15 @@
+const RESOURCE_PATH = '/tags'
+const viewController = {
+  index(req, res, next){
+    res.render('tags/Index', res.locals.data)
+  },
+  redirectHome(req, res, next){
+    res.redirect(RESOURCE_PATH)
+  },
+  // render callback for validateBody, shows the tag list again with the error
+  indexErrors(req, res, errors){
+    res.render('tags/Index', { ...res.locals.data, errors, editing: req.params.id })
+  }
+}
+
+module.exports = viewController
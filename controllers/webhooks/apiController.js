@@ -0,0 +1,41 @@
+// API Webhook controllers - returns JSON responses
+const apiController = {
+  // List the user's webhooks
+  index(req, res) {
+    res.json(res.locals.data.webhooks)
+  },
+
+  // Single webhook
+  show(req, res) {
+    res.json(res.locals.data.webhook)
+  },
+
+  // Create new webhook, the only time the secret is sent
+  create(req, res) {
+    const { webhook } = res.locals.data
+    res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret })
+  },
+
+  // New secret, sent once like on create
+  secret(req, res) {
+    const { webhook } = res.locals.data
+    res.json({ ...webhook.toJSON(), secret: webhook.secret })
+  },
+
+  // Delete webhook
+  destroy(req, res) {
+    res.json({ message: 'Webhook successfully deleted' })
+  },
+
+  // Delivery log
+  deliveries(req, res) {
+    res.json(res.locals.data.deliveries)
+  },
+
+  // Redelivery queued, it is sent in the background
+  redelivered(req, res) {
+    res.status(202).json(res.locals.data.delivery)
+  }
+}
+
+module.exports = apiController
@@ -0,0 +1,137 @@
+const Webhook = require('../../models/webhook')
+const WebhookDelivery = require('../../models/webhookDelivery')
+const webhooks = require('../../services/webhooks')
+const { validate } = require('../../validation')
+const { NotFoundError, ValidationError } = require('../../errors')
+const schemas = require('../../validation/schemas')
+
+const DEFAULT_DELIVERY_LIMIT = 20
+
+// users only ever see their own webhooks
+const ownedWebhook = (req) => ({ _id: req.params.id, owner: req.user._id })
+const webhookNotFound = (req) => new NotFoundError(`could not locate a webhook with the id ${req.params.id}`)
+
+// what a replaced webhook has in the fields a PUT leaves out
+const WEBHOOK_DEFAULTS = { description: null, active: true }
+
+const dataController = {}
+
+dataController.index = async (req, res, next) => {
+    try {
+      res.locals.data.webhooks = await Webhook.find({ owner: req.user._id }).sort({ createdAt: 1 })
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// webhooks can only point at public addresses, see webhooks.refusedUrl
+dataController.checkUrl = async (req, res, next) => {
+    try {
+      const refused = await webhooks.refusedUrl(req.body.url)
+      if(refused){
+        return next(new ValidationError({ url: refused }))
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// the secret is generated here and shown once, by apiController.create
+dataController.create = async (req, res, next) => {
+    try {
+      res.locals.data.webhook = await Webhook.create({ ...req.body, owner: req.user._id, secret: Webhook.generateSecret() })
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.show = async (req, res, next) => {
+    try {
+      res.locals.data.webhook = await Webhook.findOne(ownedWebhook(req))
+      if(!res.locals.data.webhook){
+        return next(webhookNotFound(req))
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+dataController.update = async (req, res, next) => {
+    try {
+      res.locals.data.webhook = await Webhook.findOneAndUpdate(
+        ownedWebhook(req),
+        { ...WEBHOOK_DEFAULTS, ...req.body },
+        { new: true, runValidators: true }
+      )
+      if(!res.locals.data.webhook){
+        return next(webhookNotFound(req))
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// queued deliveries are dropped along with the log
+dataController.destroy = async (req, res, next) => {
+    try {
+      const webhook = await Webhook.findOneAndDelete(ownedWebhook(req))
+      if(!webhook){
+        return next(webhookNotFound(req))
+      }
+      await WebhookDelivery.deleteMany({ webhook: webhook._id })
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// deliveries still queued are signed with the new secret too
+dataController.rotateSecret = async (req, res, next) => {
+    try {
+      res.locals.data.webhook = await Webhook.findOneAndUpdate(ownedWebhook(req), { secret: Webhook.generateSecret() }, { new: true })
+      if(!res.locals.data.webhook){
+        return next(webhookNotFound(req))
+      }
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// the delivery log of res.locals.data.webhook (see show), newest first
+dataController.deliveries = async (req, res, next) => {
+    const { value: query, errors } = validate(schemas.webhookDeliveryQuery, req.query, { allowUnknown: true })
+    if(errors){
+      return next(new ValidationError(errors))
+    }
+    try {
+      res.locals.data.deliveries = await WebhookDelivery.find({
+        webhook: res.locals.data.webhook._id,
+        ...(query.status && { status: query.status })
+      }).sort({ createdAt: -1 }).limit(query.limit || DEFAULT_DELIVERY_LIMIT)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+// sends one of the webhook's deliveries again, as a new delivery
+dataController.redeliver = async (req, res, next) => {
+    try {
+      const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: res.locals.data.webhook._id })
+      if(!delivery){
+        return next(new NotFoundError(`could not locate a delivery with the id ${req.params.deliveryId}`))
+      }
+      res.locals.data.delivery = await webhooks.redeliver(delivery)
+      next()
+    } catch (error) {
+      next(error)
+    }
+}
+
+module.exports = dataController
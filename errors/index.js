@@ -0,0 +1,153 @@
+// typed errors for controllers to pass to next(), errorHandler below turns
+// them into the one json error body every route answers with:
+//   { error: { code: 'not_found', message: 'could not locate...', fields? } }
+// fields is the { field: message } map of validation and conflict errors
+class HttpError extends Error {
+  constructor(status, code, message, { fields, ...extra } = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+    this.code = code
+    this.fields = fields
+    this.extra = extra
+  }
+
+  toJSON() {
+    return { error: { code: this.code, message: this.message, ...(this.fields && { fields: this.fields }), ...this.extra } }
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message, details) {
+    super(400, 'bad_request', message, details)
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Not authorized', details) {
+    super(401, 'unauthorized', message, details)
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden', details) {
+    super(403, 'forbidden', message, details)
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found', details) {
+    super(404, 'not_found', message, details)
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = 'Conflict', details) {
+    super(409, 'conflict', message, details)
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(message = 'Precondition failed', details) {
+    super(412, 'precondition_failed', message, details)
+  }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message = 'Unsupported media type', details) {
+    super(415, 'unsupported_media_type', message, details)
+  }
+}
+
+class ValidationError extends HttpError {
+  constructor(fields, message = 'Validation failed') {
+    super(422, 'validation_failed', message, { fields })
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message, retryAfter) {
+    super(429, 'too_many_requests', message, { retryAfter })
+  }
+}
+
+// turns mongoose validation and duplicate key errors into the same field map,
+// returns null for anything else
+const fieldErrors = (error) => {
+  if (error && error.code === 11000) {
+    const errors = {}
+    Object.keys(error.keyValue || error.keyPattern || {}).forEach(field => {
+      errors[field] = 'is already in use'
+    })
+    return errors
+  }
+  if (error && error.name === 'ValidationError' && error.errors) {
+    const errors = {}
+    Object.entries(error.errors).forEach(([field, detail]) => {
+      errors[field] = detail.kind === 'required' ? 'is required' : detail.message
+    })
+    return errors
+  }
+  return null
+}
+
+// mongoose and body parser errors that are the client's fault
+const fromKnownError = (error) => {
+  const fields = fieldErrors(error)
+  if (fields) {
+    return error.code === 11000 ? new ConflictError('Already exists', { fields }) : new ValidationError(fields)
+  }
+  // a malformed id can't match anything
+  if (error.name === 'CastError' && error.path === '_id') {
+    return new NotFoundError(`could not locate a record with the id ${error.value}`)
+  }
+  if (error.name === 'CastError') {
+    return new ValidationError({ [error.path]: 'is not valid' })
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid json')
+  }
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new HttpError(error.status, 'bad_request', error.message)
+  }
+  return null
+}
+
+// last middleware of the app. anything it does not recognise is a bug on our
+// side, logged and answered with a 500 that gives nothing away
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error)
+  }
+  let httpError = error instanceof HttpError ? error : fromKnownError(error)
+  if (!httpError) {
+    console.error(error)
+    httpError = new HttpError(500, 'internal_error', 'Something went wrong')
+  }
+  if (httpError.extra.retryAfter) {
+    res.set('Retry-After', String(httpError.extra.retryAfter))
+  }
+  res.status(httpError.status).json(httpError.toJSON())
+}
+
+// for paths no route matched
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`${req.method} ${req.originalUrl} does not exist`))
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+  TooManyRequestsError,
+  fieldErrors,
+  fromKnownError,
+  errorHandler,
+  notFound
+}
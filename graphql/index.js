@@ -0,0 +1,105 @@
+const { parse, validate, specifiedRules, execute, getOperationAST, GraphQLError, Kind } = require('graphql')
+const schema = require('./schema')
+const { createLoaders } = require('./loaders')
+const { HttpError, BadRequestError, fromKnownError } = require('../errors')
+
+// the same codes the rest api uses, in the place graphql clients look for them:
+//   { errors: [{ message, path, extensions: { code: 'not_found', fields? } }] }
+// anything unrecognised is logged and hidden behind a generic message
+const formatError = (error) => {
+  const original = error.originalError
+  if (!original || original instanceof GraphQLError) {
+    return { ...error.toJSON(), extensions: { code: 'bad_request' } }
+  }
+  const httpError = original instanceof HttpError ? original : fromKnownError(original)
+  if (!httpError) {
+    console.error(original)
+    return { message: 'Something went wrong', locations: error.locations, path: error.path, extensions: { code: 'internal_error' } }
+  }
+  const { error: { message, ...extensions } } = httpError.toJSON()
+  return { message, locations: error.locations, path: error.path, extensions }
+}
+
+// how deep fields may nest. the schema loops (a fruit's owner has fruits,
+// which have owners...), so without a limit a short query could ask for an
+// answer that multiplies with every level
+const MAX_DEPTH = 5
+
+const depthLimit = (maxDepth) => (context) => {
+  const fragments = new Map(context.getDocument().definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(fragment => [fragment.name.value, fragment]))
+  // fragments count where they are spread, one that spreads itself stops there
+  const depthOf = (selectionSet, spread) => Math.max(0, ...selectionSet.selections.map(selection => {
+    if (selection.kind === Kind.FIELD) {
+      return 1 + (selection.selectionSet ? depthOf(selection.selectionSet, spread) : 0)
+    }
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      return depthOf(selection.selectionSet, spread)
+    }
+    const fragment = fragments.get(selection.name.value)
+    if (!fragment || spread.has(fragment)) {
+      return 0
+    }
+    return depthOf(fragment.selectionSet, new Set([...spread, fragment]))
+  }))
+  return {
+    OperationDefinition(operation) {
+      const depth = depthOf(operation.selectionSet, new Set())
+      if (depth > maxDepth) {
+        context.reportError(new GraphQLError(`The query nests ${depth} fields deep, at most ${maxDepth} are allowed`, { nodes: [operation] }))
+      }
+    }
+  }
+}
+
+const rules = [...specifiedRules, depthLimit(MAX_DEPTH)]
+
+// GET and POST /graphql, after the api auth middleware. documents that do not
+// parse or do not fit the schema are a 400, errors while resolving come back
+// with a 200 next to whatever data could still be resolved
+const handleGraphql = async (req, res, next) => {
+  const params = req.method === 'GET' ? req.query : req.body || {}
+  if (typeof params.query !== 'string') {
+    return next(new BadRequestError('query is required'))
+  }
+  let variables = params.variables
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables)
+    } catch (error) {
+      return next(new BadRequestError('variables must be json'))
+    }
+  }
+
+  let document
+  try {
+    document = parse(params.query)
+  } catch (error) {
+    return res.status(400).json({ errors: [formatError(error)] })
+  }
+  const invalid = validate(schema, document, rules)
+  if (invalid.length) {
+    return res.status(400).json({ errors: invalid.map(formatError) })
+  }
+  const operation = getOperationAST(document, params.operationName)
+  if (req.method === 'GET' && operation && operation.operation !== 'query') {
+    res.set('Allow', 'POST')
+    return next(new HttpError(405, 'method_not_allowed', 'Mutations need a POST'))
+  }
+
+  try {
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName: params.operationName,
+      contextValue: { req, loaders: createLoaders(req) }
+    })
+    res.json({ ...(result.errors && { errors: result.errors.map(formatError) }), data: result.data })
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = { handleGraphql, schema }
@@ -0,0 +1,34 @@
+const DataLoader = require('dataloader')
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const Tag = require('../models/tag')
+
+// the documents for ids, in the order of ids, null where there is none
+const byId = (documents, ids) => {
+  const found = new Map(documents.map(document => [String(document._id), document]))
+  return ids.map(id => found.get(String(id)) || null)
+}
+
+// one set per graphql request, so every owner or tag a query touches is
+// looked up once with $in instead of once per fruit. fruits a user owns only
+// include the ones the caller may see, the same filter GET /api/v1/fruits uses
+const createLoaders = (req) => {
+  let access
+  const accessFor = () => {
+    access = access || Fruit.accessFor(req.user)
+    return access
+  }
+
+  return {
+    accessFor,
+    user: new DataLoader(async (ids) => byId(await User.find({ _id: { $in: ids } }), ids)),
+    tag: new DataLoader(async (ids) => byId(await Tag.find({ _id: { $in: ids } }), ids)),
+    fruitsByOwner: new DataLoader(async (owners) => {
+      const { filter } = await accessFor()
+      const fruits = await Fruit.find({ $and: [filter(), { owner: { $in: owners } }] }).sort({ createdAt: 1, _id: 1 })
+      return owners.map(owner => fruits.filter(fruit => fruit.owner.equals(owner)))
+    })
+  }
+}
+
+module.exports = { createLoaders }
@@ -0,0 +1,267 @@
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLScalarType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLID,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLBoolean,
+  Kind
+} = require('graphql')
+const userApiController = require('../controllers/auth/apiController')
+const fruitDataController = require('../controllers/fruits/dataController')
+const { validateBody } = require('../validation')
+const schemas = require('../validation/schemas')
+
+// resolvers run the same middleware as the rest api routes, so scopes, the
+// verified email rule, validation, sharing permissions and fruit history all
+// behave the same whichever api a client uses. each call gets its own copy of
+// the request with the params, query and body the middleware expect, and
+// resolves with what the chain left in res.locals.data
+const perform = async (req, middlewares, { params = {}, query = {}, body } = {}) => {
+  const request = Object.create(req, {
+    params: { value: params, writable: true },
+    query: { value: query, writable: true },
+    body: { value: body, writable: true }
+  })
+  const response = { locals: { data: {} }, set() { return this }, append() { return this } }
+  for (const middleware of middlewares.flat()) {
+    const error = await new Promise(resolve => {
+      Promise.resolve(middleware(request, response, resolve)).catch(resolve)
+    })
+    if (error) {
+      throw error
+    }
+  }
+  return response.locals.data
+}
+
+// graphql leaves out arguments that were not given, the middleware expect the
+// same of a query string or json body
+const given = (args) => Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined))
+
+const nonNull = (type) => new GraphQLNonNull(type)
+const listOf = (type) => nonNull(new GraphQLList(nonNull(type)))
+
+const DateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'An ISO 8601 date and time, dates without a time are read as midnight UTC',
+  serialize: (value) => new Date(value).toISOString(),
+  parseValue: (value) => value,
+  parseLiteral: (ast) => ast.kind === Kind.STRING ? ast.value : undefined
+})
+
+const id = { type: nonNull(GraphQLID), resolve: (document) => String(document._id) }
+
+const { requireScope, requireVerified } = userApiController
+
+// lists that are not paged stop here, the same as the largest page of the rest api
+const MAX_LIST_SIZE = 100
+
+// nested fields reach data the top level field's scope does not cover, so they
+// check their own scope before resolving
+const withScope = (scope, resolve) => async (source, args, context, info) => {
+  await perform(context.req, [requireScope(scope)])
+  return resolve(source, args, context, info)
+}
+
+const User = new GraphQLObjectType({
+  name: 'User',
+  fields: () => ({
+    id,
+    name: { type: GraphQLString },
+    email: {
+      type: GraphQLString,
+      description: 'Only shown on your own account',
+      resolve: (user, args, { req }) => user._id.equals(req.user._id) ? user.email : null
+    },
+    fruits: {
+      type: new GraphQLList(nonNull(Fruit)),
+      description: `The fruits of this user you can see, oldest first. At most ${MAX_LIST_SIZE}`,
+      args: { limit: { type: nonNull(GraphQLInt), defaultValue: MAX_LIST_SIZE } },
+      resolve: withScope('fruits:read', async (user, { limit }, { loaders }) => {
+        const fruits = await loaders.fruitsByOwner.load(user._id)
+        return fruits.slice(0, Math.min(Math.max(limit, 0), MAX_LIST_SIZE))
+      })
+    }
+  })
+})
+
+const Tag = new GraphQLObjectType({
+  name: 'Tag',
+  fields: {
+    id,
+    name: { type: nonNull(GraphQLString) }
+  }
+})
+
+const FruitImage = new GraphQLObjectType({
+  name: 'FruitImage',
+  fields: {
+    url: { type: nonNull(GraphQLString) },
+    thumbnailUrl: { type: GraphQLString },
+    width: { type: GraphQLInt },
+    height: { type: GraphQLInt }
+  }
+})
+
+const Fruit = new GraphQLObjectType({
+  name: 'Fruit',
+  fields: () => ({
+    id,
+    name: { type: nonNull(GraphQLString) },
+    color: { type: nonNull(GraphQLString) },
+    readyToEat: { type: GraphQLBoolean },
+    quantity: { type: GraphQLInt },
+    purchasedAt: { type: DateTime },
+    ripeAt: { type: DateTime },
+    expiresAt: { type: DateTime },
+    expired: { type: GraphQLBoolean },
+    version: { type: GraphQLInt },
+    image: { type: FruitImage, resolve: (fruit) => fruit.image && fruit.image.url ? fruit.image : null },
+    permission: {
+      type: nonNull(GraphQLString),
+      description: 'owner, editor or viewer',
+      resolve: async (fruit, args, { loaders }) => fruit.permission || (await loaders.accessFor()).permissionOf(fruit)
+    },
+    owner: {
+      type: User,
+      resolve: withScope('profile:read', (fruit, args, { loaders }) => loaders.user.load(fruit.owner._id || fruit.owner))
+    },
+    // most lookups populate the tag names already
+    tags: {
+      type: listOf(Tag),
+      resolve: async (fruit, args, { loaders }) => {
+        const tags = await Promise.all(fruit.tags.map(tag => tag.name ? tag : loaders.tag.load(tag)))
+        return tags.filter(Boolean)
+      }
+    },
+    createdAt: { type: DateTime },
+    updatedAt: { type: DateTime }
+  })
+})
+
+const FruitPage = new GraphQLObjectType({
+  name: 'FruitPage',
+  fields: {
+    items: { type: listOf(Fruit) },
+    page: { type: nonNull(GraphQLInt) },
+    pages: { type: nonNull(GraphQLInt) },
+    limit: { type: nonNull(GraphQLInt) },
+    total: { type: nonNull(GraphQLInt) }
+  }
+})
+
+const FruitFilter = new GraphQLInputObjectType({
+  name: 'FruitFilter',
+  description: 'The filters of GET /api/v1/fruits',
+  fields: {
+    color: { type: GraphQLString },
+    readyToEat: { type: GraphQLBoolean },
+    q: { type: GraphQLString, description: 'part of the name' },
+    tag: { type: GraphQLString, description: 'a tag id or the name of one of your tags' },
+    expiringWithin: { type: GraphQLInt, description: 'days' }
+  }
+})
+
+const fruitFields = (required) => ({
+  name: { type: required ? nonNull(GraphQLString) : GraphQLString },
+  color: { type: required ? nonNull(GraphQLString) : GraphQLString },
+  readyToEat: { type: GraphQLBoolean },
+  quantity: { type: GraphQLInt },
+  purchasedAt: { type: GraphQLString },
+  ripeAt: { type: GraphQLString },
+  expiresAt: { type: GraphQLString },
+  tags: { type: new GraphQLList(nonNull(GraphQLID)), description: 'ids of your own tags' }
+})
+
+const FruitInput = new GraphQLInputObjectType({ name: 'FruitInput', fields: fruitFields(true) })
+const FruitChanges = new GraphQLInputObjectType({
+  name: 'FruitChanges',
+  description: 'Only the fields given are changed',
+  fields: fruitFields(false)
+})
+
+const fruitArgs = { id: { type: nonNull(GraphQLID) } }
+
+const query = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    me: {
+      type: nonNull(User),
+      resolve: async (root, args, { req }) => {
+        await perform(req, [requireScope('profile:read')])
+        return req.user
+      }
+    },
+    fruits: {
+      type: nonNull(FruitPage),
+      description: 'Your fruits and the ones shared with you, sorted like ?sort= on the rest api',
+      args: {
+        filter: { type: FruitFilter },
+        sort: { type: GraphQLString },
+        page: { type: GraphQLInt },
+        limit: { type: GraphQLInt }
+      },
+      resolve: async (root, { filter = {}, ...paging }, { req }) => {
+        const { fruits, pagination } = await perform(req, [requireScope('fruits:read'), fruitDataController.index], {
+          query: given({ ...filter, ...paging })
+        })
+        return { items: fruits, ...pagination }
+      }
+    },
+    fruit: {
+      type: nonNull(Fruit),
+      args: fruitArgs,
+      resolve: async (root, { id }, { req }) => {
+        const { fruit } = await perform(req, [requireScope('fruits:read'), fruitDataController.show], { params: { id } })
+        return fruit
+      }
+    }
+  }
+})
+
+const mutation = new GraphQLObjectType({
+  name: 'Mutation',
+  fields: {
+    createFruit: {
+      type: nonNull(Fruit),
+      args: { input: { type: nonNull(FruitInput) } },
+      resolve: async (root, { input }, { req }) => {
+        const { fruit } = await perform(req, [
+          requireScope('fruits:write'),
+          requireVerified,
+          validateBody(schemas.fruit),
+          fruitDataController.create
+        ], { body: given(input) })
+        return fruit
+      }
+    },
+    updateFruit: {
+      type: nonNull(Fruit),
+      args: { ...fruitArgs, input: { type: nonNull(FruitChanges) } },
+      resolve: async (root, { id, input }, { req }) => {
+        const { fruit } = await perform(req, [
+          requireScope('fruits:write'),
+          validateBody(schemas.fruit, { partial: true }),
+          fruitDataController.update
+        ], { params: { id }, body: given(input) })
+        return fruit
+      }
+    },
+    deleteFruit: {
+      type: nonNull(GraphQLID),
+      description: 'Moves the fruit to the trash and returns its id',
+      args: fruitArgs,
+      resolve: async (root, { id }, { req }) => {
+        await perform(req, [requireScope('fruits:write'), fruitDataController.destroy], { params: { id } })
+        return id
+      }
+    }
+  }
+})
+
+module.exports = new GraphQLSchema({ query, mutation })
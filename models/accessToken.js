@@ -0,0 +1,52 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+// personal access tokens for scripts. they never expire on their own (unless
+// created with an expiry) so they only carry the scopes they were given
+const PREFIX = 'fpat_'
+const SCOPES = ['fruits:read', 'fruits:write', 'profile:read', 'profile:write', 'admin']
+
+const accessTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  tokenHash: { type: String, required: true, unique: true },
+  // first few characters so people can tell their tokens apart in a list
+  hint: String,
+  scopes: [{ type: String, enum: SCOPES }],
+  lastUsedAt: Date,
+  expiresAt: Date,
+  revokedAt: Date
+}, { timestamps: true })
+
+accessTokenSchema.methods.toJSON = function() {
+  const accessToken = this.toObject()
+  delete accessToken.tokenHash
+  return accessToken
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+accessTokenSchema.statics.PREFIX = PREFIX
+accessTokenSchema.statics.SCOPES = SCOPES
+
+accessTokenSchema.statics.isPersonalToken = (token) => typeof token === 'string' && token.startsWith(PREFIX)
+
+// the raw token is returned once, here, and never stored
+accessTokenSchema.statics.generate = async function(user, { name, scopes, expiresInDays }) {
+  const token = PREFIX + crypto.randomBytes(24).toString('hex')
+  const accessToken = await this.create({
+    user: user._id,
+    name,
+    scopes,
+    tokenHash: hashToken(token),
+    hint: token.slice(0, PREFIX.length + 4),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+  })
+  return { accessToken, token }
+}
+
+accessTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) })
+}
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema)
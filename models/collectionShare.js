@@ -0,0 +1,17 @@
+const mongoose = require('mongoose')
+
+// an owner sharing their whole fruit collection with another user. single
+// fruits are shared through fruit.shares instead
+const PERMISSIONS = ['viewer', 'editor']
+
+const collectionShareSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  permission: { type: String, enum: PERMISSIONS, required: true }
+}, { timestamps: true })
+
+collectionShareSchema.index({ owner: 1, user: 1 }, { unique: true })
+
+collectionShareSchema.statics.PERMISSIONS = PERMISSIONS
+
+module.exports = mongoose.model('CollectionShare', collectionShareSchema)
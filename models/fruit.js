@@ -1,9 +1,140 @@
 const mongoose = require('mongoose')
+const CollectionShare = require('./collectionShare')
 
 const fruitSchema = new mongoose.Schema({
-    name: { type: String, required: true},
-    color: { type: String, required: true },
-    readyToEat: Boolean
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    color: { type: String, required: true, trim: true, maxlength: 30 },
+    readyToEat: Boolean,
+    quantity: { type: Number, min: 0, default: 1 },
+    purchasedAt: Date,
+    // the scheduler in services/fruitLifecycle.js flips readyToEat once ripeAt
+    // passes (and stamps ripenedAt so it only does it once) and sets expired
+    // once expiresAt passes
+    ripeAt: Date,
+    ripenedAt: Date,
+    expiresAt: Date,
+    expired: { type: Boolean, default: false },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // set when the fruit is moved to the trash, see the hook below
+    deletedAt: { type: Date, default: null },
+    // bumped by every change a user makes, see services/fruitHistory.js
+    version: { type: Number, default: 1 },
+    tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+    // set by services/fruitImages.js, the files live in the image store
+    image: {
+      _id: false,
+      key: String,
+      thumbnailKey: String,
+      url: String,
+      thumbnailUrl: String,
+      width: Number,
+      height: Number
+    },
+    // other users this one fruit is shared with
+    shares: [{
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      permission: { type: String, enum: CollectionShare.PERMISSIONS, required: true }
+    }]
+}, {
+  timestamps: true,
+  toJSON: {
+    // controllers set fruit.permission for the user asking, see accessFor.
+    // who else the fruit is shared with is only the owner's business
+    transform(doc, ret) {
+      const permission = doc.$locals && doc.$locals.permission
+      if (permission) {
+        ret.permission = permission
+        ret.shared = permission !== 'owner'
+      }
+      if (permission !== 'owner') {
+        delete ret.shares
+      }
+      return ret
+    }
+  }
 })
 
+// soft delete: trashed fruits are left out of every find, count and update
+// unless the filter asks about deletedAt itself (the trash and restore do) or
+// the query passes { withDeleted: true }. deleteOne/deleteMany are not
+// filtered, they still remove fruits for good
+const LIVE_ONLY = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany']
+fruitSchema.pre(LIVE_ONLY, function () {
+  if (!('deletedAt' in this.getFilter()) && !this.getOptions().withDeleted) {
+    this.where({ deletedAt: null })
+  }
+})
+
+// which share permissions are enough for what an action needs
+const GRANTS = { viewer: ['viewer', 'editor'], editor: ['editor'] }
+
+// everything one user may reach: their own fruits, fruits shared with them and
+// the collections other owners shared with them. filter(need) is a query
+// condition for 'viewer' or 'editor' access, permissionOf(fruit) tells which
+// one they have ('owner', 'editor', 'viewer' or null)
+fruitSchema.statics.accessFor = async function(user) {
+  const collectionShares = await CollectionShare.find({ user: user._id })
+  const collections = new Map(collectionShares.map(share => [share.owner.toString(), share.permission]))
+  return {
+    filter(need = 'viewer') {
+      const granted = GRANTS[need]
+      const owners = collectionShares.filter(share => granted.includes(share.permission)).map(share => share.owner)
+      return {
+        $or: [
+          { owner: user._id },
+          { owner: { $in: owners } },
+          { shares: { $elemMatch: { user: user._id, permission: { $in: granted } } } }
+        ]
+      }
+    },
+    permissionOf(fruit) {
+      if (fruit.owner.equals(user._id)) {
+        return 'owner'
+      }
+      const levels = [
+        collections.get(fruit.owner.toString()),
+        ...fruit.shares.filter(share => share.user.equals(user._id)).map(share => share.permission)
+      ]
+      return levels.includes('editor') ? 'editor' : levels.includes('viewer') ? 'viewer' : null
+    }
+  }
+}
+
+fruitSchema.virtual('permission')
+  .get(function() { return this.$locals.permission })
+  .set(function(permission) { this.$locals.permission = permission })
+
+fruitSchema.virtual('shared').get(function() {
+  return Boolean(this.$locals.permission) && this.$locals.permission !== 'owner'
+})
+
+// the api sends it as the ETag of a fruit, clients send it back in If-Match
+// so a change only applies to the version they saw
+fruitSchema.virtual('etag').get(function() {
+  return `"v${this.version}"`
+})
+
+// the version after a change made with an update pipeline, for changes to many
+// fruits at once. fruits saved before versions existed count as v1
+fruitSchema.statics.NEXT_VERSION = { $add: [{ $ifNull: ['$version', 1] }, 1] }
+
+// the versions an If-Match header names. weak tags (W/"v3") never match, a
+// change needs the exact version
+fruitSchema.statics.versionsIn = function(ifMatch) {
+  return ifMatch.split(',')
+    .map(tag => /^\s*"v(\d+)"\s*$/.exec(tag))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+}
+
+fruitSchema.index({ 'shares.user': 1 })
+fruitSchema.index({ tags: 1 })
+
+// the index page lists one owner's fruits, oldest first by default
+fruitSchema.index({ owner: 1, createdAt: 1 })
+fruitSchema.index({ ripeAt: 1 })
+fruitSchema.index({ expiresAt: 1 })
+fruitSchema.index({ deletedAt: 1 })
+
 module.exports = mongoose.model('Fruit', fruitSchema)
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose')
+
+// one document per change to a fruit. version matches fruit.version after the
+// change, changes lists the fields that moved and snapshot is the whole fruit
+// as it was afterwards, which is what a revert goes back to
+const TRACKED_FIELDS = ['name', 'color', 'readyToEat', 'quantity', 'purchasedAt', 'ripeAt', 'expiresAt', 'tags', 'expired', 'deletedAt', 'image']
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'revert']
+
+const fruitRevisionSchema = new mongoose.Schema({
+  fruit: { type: mongoose.Schema.Types.ObjectId, ref: 'Fruit', required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  version: { type: Number, required: true },
+  action: { type: String, enum: ACTIONS, required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changes: [{ _id: false, field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }],
+  snapshot: mongoose.Schema.Types.Mixed,
+  revertedTo: Number
+}, { timestamps: { createdAt: true, updatedAt: false } })
+
+fruitRevisionSchema.index({ fruit: 1, version: -1 }, { unique: true })
+
+const snapshot = (fruit) => {
+  const values = {}
+  TRACKED_FIELDS.forEach(field => {
+    let value = fruit && fruit[field] !== undefined ? fruit[field] : null
+    // a photo is kept as the key of its file
+    if (field === 'image') {
+      value = (value && value.key) || null
+    }
+    // lists of ids are kept as plain strings
+    values[field] = Array.isArray(value) ? value.map(String) : value
+  })
+  return values
+}
+
+// dates and numbers compare by value, not by identity
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// before is null for a create, fruit is the fruit after the change
+fruitRevisionSchema.statics.record = async function({ action, before, fruit, actor, revertedTo, session }) {
+  const from = snapshot(before)
+  const to = snapshot(fruit)
+  const changes = TRACKED_FIELDS
+    .filter(field => !same(from[field], to[field]))
+    .map(field => ({ field, from: from[field], to: to[field] }))
+  const [revision] = await this.create([{
+    fruit: fruit._id,
+    owner: fruit.owner,
+    version: fruit.version,
+    action,
+    actor: actor && actor._id,
+    changes,
+    snapshot: to,
+    revertedTo
+  }], { session })
+  return revision
+}
+
+fruitRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS
+
+module.exports = mongoose.model('FruitRevision', fruitRevisionSchema)
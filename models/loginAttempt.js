@@ -0,0 +1,15 @@
+const mongoose = require('mongoose')
+
+// failed login bookkeeping, one document per account or ip. kept in mongo so
+// a restart doesn't hand an attacker a fresh set of guesses
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  expiresAt: { type: Date, required: true }
+})
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema)
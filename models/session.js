@@ -0,0 +1,82 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+// how many used refresh tokens a session remembers to spot one being replayed
+const USED_TOKENS_KEPT = 50
+
+// one document per login. access tokens carry the session id so revoking the
+// session kills them too, and the refresh token is only ever stored hashed
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true, index: true },
+  // refresh tokens already swapped for a new one. seeing one again means it
+  // leaked, so the whole session is revoked
+  usedRefreshTokenHashes: { type: [String], index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date
+}, { timestamps: true })
+
+// let mongo clean up sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const authError = (reason) => {
+  const error = new Error(reason)
+  error.reason = reason
+  return error
+}
+
+sessionSchema.statics.start = async function(user) {
+  const refreshToken = crypto.randomBytes(48).toString('hex')
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  })
+  return { session, refreshToken }
+}
+
+// swap a refresh token for a new one, so every refresh token works only once.
+// the swap is a single update, of two refreshes racing with the same token
+// only one wins
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const refreshTokenHash = hashToken(String(refreshToken))
+  const nextRefreshToken = crypto.randomBytes(48).toString('hex')
+  const session = await this.findOneAndUpdate(
+    { refreshTokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      $push: { usedRefreshTokenHashes: { $each: [refreshTokenHash], $slice: -USED_TOKENS_KEPT } }
+    },
+    { new: true }
+  )
+  if (session) {
+    return { session, refreshToken: nextRefreshToken }
+  }
+  const current = await this.findOne({ refreshTokenHash })
+  if (current) {
+    throw authError(current.revokedAt ? 'Token revoked' : 'Refresh token expired')
+  }
+  await this.updateOne({ usedRefreshTokenHashes: refreshTokenHash, revokedAt: null }, { revokedAt: new Date() })
+  throw authError('Invalid refresh token')
+}
+
+sessionSchema.statics.revokeByRefreshToken = function(refreshToken) {
+  return this.updateOne(
+    { refreshTokenHash: hashToken(String(refreshToken)), revokedAt: null },
+    { revokedAt: new Date() }
+  )
+}
+
+sessionSchema.statics.revokeAll = function(userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() })
+}
+
+sessionSchema.methods.revoke = function() {
+  this.revokedAt = new Date()
+  return this.save()
+}
+
+module.exports = mongoose.model('Session', sessionSchema)
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose')
+
+// user defined labels like "tropical" or "for smoothies". names are unique per
+// owner, ignoring case
+const tagSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 30 },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }
+}, { timestamps: true })
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 }
+
+tagSchema.index({ owner: 1, name: 1 }, { unique: true, collation: CASE_INSENSITIVE })
+
+tagSchema.statics.findByName = function(owner, name) {
+  return this.findOne({ owner, name }).collation(CASE_INSENSITIVE)
+}
+
+// true when every id is one of owner's tags, fruits can only carry their owner's tags
+tagSchema.statics.allOwnedBy = async function(owner, ids) {
+  const unique = [...new Set(ids.map(String))]
+  return await this.countDocuments({ owner, _id: { $in: unique } }) === unique.length
+}
+
+module.exports = mongoose.model('Tag', tagSchema)
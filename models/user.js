@@ -1,11 +1,28 @@
 const mongoose = require('mongoose')
 const bcrypt = require('bcrypt')
 const jwt = require('jsonwebtoken')
+const Session = require('./session')
+const AccessToken = require('./accessToken')
+
+const JWT_SECRET = process.env.JWT_SECRET || 'secret'
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m'
+const TWO_FACTOR_CHALLENGE_TTL = '5m'
 
 const userSchema = new mongoose.Schema({
-  name: String,
-  email: String,
-  password: String,
+  name: { type: String, trim: true, maxlength: 100 },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  suspended: { type: Boolean, default: false },
+  emailVerified: { type: Boolean, default: false },
+  // see services/twoFactor.js
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: String,
+    pendingSecret: String,
+    lastUsedStep: Number,
+    backupCodes: [String]
+  },
   fruits: [{ type: mongoose.Schema.Types.ObjectId, ref:'Fruit'}]
 })
 
@@ -13,6 +30,7 @@ const userSchema = new mongoose.Schema({
 userSchema.methods.toJSON = function() {
   const user = this.toObject()
   delete user.password
+  user.twoFactor = { enabled: Boolean(user.twoFactor && user.twoFactor.enabled) }
   return user
 }
 
@@ -23,11 +41,113 @@ userSchema.pre('save', async function(next) {
   next()
 })
 
+// short lived access token tied to a session, so logging out revokes it
+userSchema.methods.signAccessToken = function(session) {
+  return jwt.sign({ _id: this._id, sid: session._id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL })
+}
+
+// starts a new session and hands back an access token plus the refresh token for it
+userSchema.methods.createSession = async function() {
+  const { session, refreshToken } = await Session.start(this)
+  return { session, token: this.signAccessToken(session), refreshToken }
+}
+
 userSchema.methods.generateAuthToken = async function() {
-  const token = jwt.sign({ _id: this._id }, 'secret')
+  const { token } = await this.createSession()
   return token
 }
 
+// handed out after a correct password when 2fa is on. it proves the password
+// step passed and is only good for the second step, never as an access token
+userSchema.methods.signTwoFactorChallenge = function() {
+  return jwt.sign({ _id: this._id, purpose: 'two-factor' }, JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL })
+}
+
+const authError = (reason) => {
+  const error = new Error(reason)
+  error.reason = reason
+  return error
+}
+
+// used by both auth middlewares. errors carry a reason that is safe to send back
+userSchema.statics.findByAuthToken = async function(token) {
+  let data
+  try {
+    data = jwt.verify(token, JWT_SECRET)
+  } catch (error) {
+    throw authError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Not authorized')
+  }
+  if (data.purpose) {
+    throw authError('Not authorized')
+  }
+  const session = data.sid && await Session.findById(data.sid)
+  if (!session || session.revokedAt) {
+    throw authError('Token revoked')
+  }
+  const user = await this.findOne({ _id: data._id })
+  if (!user) {
+    throw authError('Not authorized')
+  }
+  if (user.suspended) {
+    throw authError('Account suspended')
+  }
+  return { user, session }
+}
+
+// same idea for personal access tokens, which are looked up by hash instead of verified
+userSchema.statics.findByAccessToken = async function(token) {
+  const accessToken = await AccessToken.findByToken(token)
+  if (!accessToken) {
+    throw authError('Not authorized')
+  }
+  if (accessToken.revokedAt) {
+    throw authError('Token revoked')
+  }
+  if (accessToken.expiresAt && accessToken.expiresAt <= new Date()) {
+    throw authError('Token expired')
+  }
+  const user = await this.findOne({ _id: accessToken.user })
+  if (!user) {
+    throw authError('Not authorized')
+  }
+  if (user.suspended) {
+    throw authError('Account suspended')
+  }
+  accessToken.lastUsedAt = new Date()
+  await accessToken.save()
+  return { user, accessToken }
+}
+
+userSchema.statics.findByTwoFactorChallenge = async function(challenge) {
+  let data
+  try {
+    data = jwt.verify(challenge, JWT_SECRET)
+  } catch (error) {
+    throw authError(error.name === 'TokenExpiredError' ? 'Challenge expired, please log in again' : 'Invalid challenge')
+  }
+  if (data.purpose !== 'two-factor') {
+    throw authError('Invalid challenge')
+  }
+  const user = await this.findOne({ _id: data._id })
+  if (!user || user.suspended) {
+    throw authError('Invalid challenge')
+  }
+  return user
+}
+
+// trade a refresh token for a fresh access token and a new refresh token
+userSchema.statics.refreshSession = async function(refreshToken) {
+  const { session, refreshToken: nextRefreshToken } = await Session.rotate(refreshToken)
+  const user = await this.findOne({ _id: session.user })
+  if (!user) {
+    throw authError('Not authorized')
+  }
+  if (user.suspended) {
+    throw authError('Account suspended')
+  }
+  return { user, session, token: user.signAccessToken(session), refreshToken: nextRefreshToken }
+}
+
 const User = mongoose.model('User', userSchema)
 
 module.exports = User
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+// single use, time limited tokens that get mailed to a user (password resets,
+// email verification).
+// only the hash is stored, the raw token only ever lives in the email
+const userTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  purpose: { type: String, enum: ['password-reset', 'email-verification'], required: true },
+  tokenHash: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date
+}, { timestamps: true })
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+// issuing a new token throws away any older unused one for the same purpose
+userTokenSchema.statics.issue = async function(user, purpose, ttlMs) {
+  await this.deleteMany({ user: user._id, purpose, usedAt: null })
+  const token = crypto.randomBytes(32).toString('hex')
+  await this.create({ user: user._id, purpose, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) })
+  return token
+}
+
+// marks the token used in the same step it is checked, so it can't be replayed
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  )
+}
+
+module.exports = mongoose.model('UserToken', userTokenSchema)
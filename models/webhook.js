@@ -0,0 +1,30 @@
+const mongoose = require('mongoose')
+const crypto = require('crypto')
+
+// an endpoint of another system that wants to hear about changes to the
+// owner's fruits, see services/webhooks.js. deliveries are signed with the
+// secret, which the owner only gets to see when it is generated
+const EVENTS = ['fruit.created', 'fruit.updated', 'fruit.deleted']
+const SECRET_PREFIX = 'whsec_'
+
+const webhookSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  url: { type: String, required: true, trim: true, maxlength: 2000 },
+  events: [{ type: String, enum: EVENTS }],
+  description: { type: String, trim: true, maxlength: 100 },
+  secret: { type: String, required: true },
+  // paused endpoints get no new deliveries, queued ones are still tried
+  active: { type: Boolean, default: true }
+}, { timestamps: true })
+
+webhookSchema.methods.toJSON = function() {
+  const webhook = this.toObject()
+  delete webhook.secret
+  return webhook
+}
+
+webhookSchema.statics.EVENTS = EVENTS
+
+webhookSchema.statics.generateSecret = () => SECRET_PREFIX + crypto.randomBytes(24).toString('hex')
+
+module.exports = mongoose.model('Webhook', webhookSchema)
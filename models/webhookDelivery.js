@@ -0,0 +1,42 @@
+const mongoose = require('mongoose')
+const Webhook = require('./webhook')
+
+// one event sent (or still to be sent) to one webhook. the pending ones are
+// the delivery queue, the rest are the endpoint's delivery log. the payload is
+// fixed when the event happens so every attempt sends the same body
+const STATUSES = ['pending', 'delivered', 'failed']
+const LOG_RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  event: { type: String, enum: Webhook.EVENTS, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: STATUSES, default: 'pending' },
+  attempts: [{
+    _id: false,
+    at: Date,
+    // the receiver's status code, or the error when there was no answer at all
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }],
+  // when a pending delivery is due next, cleared once it is done
+  nextAttemptAt: Date,
+  deliveredAt: Date,
+  // when it was delivered or failed, pending deliveries have none
+  finishedAt: Date,
+  // set on deliveries created by a manual redeliver
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' }
+}, { timestamps: true })
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 })
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 })
+// the log keeps itself short, mongo drops deliveries LOG_RETENTION_DAYS after
+// they finished. documents without the field never expire, so a pending
+// delivery stays queued however long its retries take
+webhookDeliverySchema.index({ finishedAt: 1 }, { expireAfterSeconds: LOG_RETENTION_DAYS * 24 * 60 * 60 })
+
+webhookDeliverySchema.statics.STATUSES = STATUSES
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema)
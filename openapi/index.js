@@ -0,0 +1,946 @@
+// the openapi 3 document for /api/v1, served at /api/openapi.json and browsable
+// at /api/docs. request bodies and query strings come from validation/schemas.js
+// and every api route checks its requests against this document (see
+// validation/openapi.js), so a route missing here or described wrong fails
+const { version } = require('../package.json')
+const AccessToken = require('../models/accessToken')
+const CollectionShare = require('../models/collectionShare')
+const Webhook = require('../models/webhook')
+const WebhookDelivery = require('../models/webhookDelivery')
+const schemas = require('../validation/schemas')
+const { toJsonSchema, toParameters, OBJECT_ID_SCHEMA } = require('../validation/openapi')
+const { MAX_IMAGE_BYTES, IMAGE_TYPES } = require('../validation/images')
+const { MAX_IMPORT_BYTES } = require('../validation/imports')
+const { JSON_PATCH_OPS } = require('../validation/patches')
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+const listOf = (name) => ({ type: 'array', items: ref(name) })
+const id = OBJECT_ID_SCHEMA
+const date = { type: 'string', format: 'date-time' }
+const userRef = { type: 'object', properties: { _id: id, name: { type: 'string' }, email: { type: 'string' } } }
+
+const body = (schema, options) => ({
+  required: true,
+  content: { 'application/json': { schema: toJsonSchema(schema, options) } }
+})
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } })
+const message = (description) => json(description, ref('Message'))
+
+const pathId = (name = 'id', description = 'a record id') => ({ name, in: 'path', required: true, description, schema: id })
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  412: 'PreconditionFailed',
+  415: 'UnsupportedMediaType',
+  422: 'ValidationFailed',
+  429: 'TooManyRequests'
+}
+
+// auth: 'scope' (a login or an access token with the scope), 'session' (a
+// login only), 'admin' or false for public endpoints
+const operation = ({ tag, summary, description, auth, scope, parameters, requestBody, responses, errors = [] }) => {
+  const access = {
+    scope: `Needs the \`${scope}\` scope.`,
+    session: 'Needs a login token, access tokens are refused.',
+    admin: 'Needs an admin login.'
+  }[auth]
+  const statuses = [...new Set([...(auth ? [401, 403] : []), ...errors])].sort()
+  return {
+    tags: [tag],
+    summary,
+    description: [description, access].filter(Boolean).join(' '),
+    ...(!auth && { security: [] }),
+    ...(parameters && { parameters }),
+    ...(requestBody && { requestBody }),
+    responses: {
+      ...responses,
+      ...Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }]))
+    }
+  }
+}
+
+const user = (options) => operation({ tag: 'Users', ...options })
+const fruit = (options) => operation({ tag: 'Fruits', auth: 'scope', ...options })
+const fruitRead = (options) => fruit({ scope: 'fruits:read', ...options })
+const fruitWrite = (options) => fruit({ scope: 'fruits:write', ...options })
+
+const fruitId = pathId('id', 'a fruit id')
+const webhookId = pathId('id', 'a webhook id')
+const withSecret = { allOf: [ref('Webhook'), { type: 'object', properties: { secret: { type: 'string' } } }] }
+const etag = { ETag: { description: 'the version of the fruit, e.g. "v3"', schema: { type: 'string' } } }
+const ifMatch = {
+  name: 'If-Match',
+  in: 'header',
+  description: 'an ETag from an earlier response, the change only applies if the fruit is still at that version',
+  schema: { type: 'string' }
+}
+const withEtag = (response) => ({ ...response, headers: etag })
+const session = json('Logged in', ref('Session'))
+
+// PATCH takes a merge patch of the fields or a list of json patch operations,
+// see validation/patches.js
+const patchBody = (schema) => {
+  // null removes a field, whether the result can do without it is checked after
+  const mergePatch = toJsonSchema(schema, { partial: true })
+  Object.values(mergePatch.properties).filter(property => property.type).forEach(property => {
+    property.nullable = true
+  })
+  return {
+    required: true,
+    content: {
+      'application/merge-patch+json': { schema: mergePatch },
+      'application/json-patch+json': {
+        schema: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['op', 'path'],
+            properties: {
+              op: { type: 'string', enum: JSON_PATCH_OPS },
+              path: { type: 'string', example: '/color' },
+              from: { type: 'string' },
+              value: {}
+            }
+          }
+        }
+      }
+    }
+  }
+}
+const patchErrors = [400, 404, 409, 415, 422]
+
+// the file travels with the options in one multipart form
+const importForm = toJsonSchema(schemas.importFruits)
+importForm.properties = { file: { type: 'string', format: 'binary' }, ...importForm.properties }
+importForm.required = ['file']
+
+// request schemas are compiled on their own by validation/openapi.js, so they
+// can't $ref the components
+const bulkBody = toJsonSchema(schemas.bulkFruits)
+bulkBody.properties.operations.items = {
+  type: 'object',
+  description: "{ op: 'create', data }, { op: 'update', id, data } or { op: 'delete', id }. " +
+    'Each one is checked on its own, a bad one only fails its own result.',
+  properties: {
+    op: { type: 'string', example: 'create' },
+    id: { type: 'string' },
+    data: { type: 'object' }
+  }
+}
+
+const paths = {
+  '/users': {
+    post: user({
+      summary: 'Sign up',
+      description: 'Creates the account and logs it in. A verification email is sent to the address.',
+      auth: false,
+      requestBody: body(schemas.createUser),
+      responses: { 201: json('Signed up', ref('Session')) },
+      errors: [409, 422]
+    })
+  },
+  '/users/login': {
+    post: user({
+      summary: 'Log in',
+      description: 'Accounts with two-factor authentication answer with a challenge for POST /users/login/2fa instead of tokens.',
+      auth: false,
+      requestBody: body(schemas.login),
+      responses: { 200: json('Logged in, or a two-factor challenge', { oneOf: [ref('Session'), ref('TwoFactorChallenge')] }) },
+      errors: [401, 403, 422, 429]
+    })
+  },
+  '/users/login/2fa': {
+    post: user({
+      summary: 'Finish a two-factor login',
+      description: 'Takes the challenge from POST /users/login and an authenticator or backup code.',
+      auth: false,
+      requestBody: body(schemas.twoFactorLogin),
+      responses: { 200: session },
+      errors: [401, 422, 429]
+    })
+  },
+  '/users/token/refresh': {
+    post: user({
+      summary: 'Refresh a login',
+      description: 'Trades a refresh token for a new token pair, the old refresh token stops working.',
+      auth: false,
+      requestBody: body(schemas.refreshToken),
+      responses: { 200: json('New tokens', ref('Tokens')) },
+      errors: [401, 422]
+    })
+  },
+  '/users/logout': {
+    post: user({ summary: 'Log out this session', auth: 'session', responses: { 200: message('Logged out') } })
+  },
+  '/users/logout/all': {
+    post: user({ summary: 'Log out every session', auth: 'session', responses: { 200: message('Logged out everywhere') } })
+  },
+  '/users/password/forgot': {
+    post: user({
+      summary: 'Ask for a password reset link',
+      description: 'Answers the same whether or not the account exists.',
+      auth: false,
+      requestBody: body(schemas.forgotPassword),
+      responses: { 202: message('Reset link sent if the account exists') },
+      errors: [422]
+    })
+  },
+  '/users/password/reset': {
+    post: user({
+      summary: 'Reset the password',
+      description: 'Takes the token from the reset email and logs out every session.',
+      auth: false,
+      requestBody: body(schemas.resetPassword),
+      responses: { 200: message('Password updated') },
+      errors: [400, 422]
+    })
+  },
+  '/users/verify': {
+    post: user({
+      summary: 'Verify the email address',
+      auth: false,
+      requestBody: body(schemas.verifyEmail),
+      responses: { 200: json('Verified', { type: 'object', properties: { message: { type: 'string' }, user: ref('User') } }) },
+      errors: [400, 422]
+    })
+  },
+  '/users/verification/resend': {
+    post: user({
+      summary: 'Send the verification email again',
+      auth: 'scope',
+      scope: 'profile:write',
+      responses: { 202: message('Verification email sent') },
+      errors: [409]
+    })
+  },
+  '/users/2fa/enroll': {
+    post: user({
+      summary: 'Start two-factor enrollment',
+      description: 'Returns a new secret to add to an authenticator app, confirm it with POST /users/2fa/confirm.',
+      auth: 'session',
+      responses: { 200: json('New secret', { type: 'object', properties: { secret: { type: 'string' }, otpauthUrl: { type: 'string' } } }) },
+      errors: [409]
+    })
+  },
+  '/users/2fa/confirm': {
+    post: user({
+      summary: 'Turn on two-factor authentication',
+      description: 'Takes a code from the enrolled authenticator and returns one time backup codes.',
+      auth: 'session',
+      requestBody: body(schemas.twoFactorCode),
+      responses: {
+        200: json('Enabled', {
+          type: 'object',
+          properties: { message: { type: 'string' }, backupCodes: { type: 'array', items: { type: 'string' } } }
+        })
+      },
+      errors: [400, 409, 422]
+    })
+  },
+  '/users/2fa/disable': {
+    post: user({
+      summary: 'Turn off two-factor authentication',
+      auth: 'session',
+      requestBody: body(schemas.twoFactorCode),
+      responses: { 200: message('Disabled') },
+      errors: [400, 409, 422]
+    })
+  },
+  '/users/tokens': {
+    get: user({ summary: 'List personal access tokens', auth: 'session', responses: { 200: json('Access tokens', listOf('AccessToken')) } }),
+    post: user({
+      summary: 'Create a personal access token',
+      description: 'The token itself is only ever shown in this response.',
+      auth: 'session',
+      requestBody: body(schemas.createAccessToken),
+      responses: {
+        201: json('Created', { type: 'object', properties: { accessToken: ref('AccessToken'), token: { type: 'string' } } })
+      },
+      errors: [422]
+    })
+  },
+  '/users/tokens/{id}': {
+    delete: user({
+      summary: 'Revoke a personal access token',
+      auth: 'session',
+      parameters: [pathId('id', 'an access token id')],
+      responses: { 200: message('Revoked') },
+      errors: [404]
+    })
+  },
+  '/users/profile': {
+    get: user({
+      summary: 'The logged in user',
+      auth: 'scope',
+      scope: 'profile:read',
+      responses: { 200: json('Profile', { type: 'object', properties: { user: ref('User') } }) }
+    })
+  },
+  '/users/{id}': {
+    put: user({
+      summary: 'Update your account',
+      description: 'Only the fields sent are changed.',
+      auth: 'scope',
+      scope: 'profile:write',
+      parameters: [pathId('id', 'your own user id')],
+      requestBody: body(schemas.updateUser, { partial: true }),
+      responses: { 200: json('Updated', ref('User')) },
+      errors: [404, 409, 422]
+    }),
+    patch: user({
+      summary: 'Patch your account',
+      description: 'The patch applies to your name and email, add a password to change it. ' +
+        'A patch that fails or leaves invalid fields changes nothing.',
+      auth: 'scope',
+      scope: 'profile:write',
+      parameters: [pathId('id', 'your own user id')],
+      requestBody: patchBody(schemas.patchedUser),
+      responses: { 200: json('Updated', ref('User')) },
+      errors: patchErrors
+    }),
+    delete: user({
+      summary: 'Delete your account',
+      description: 'Removes the account along with its fruits, tags, shares and photos.',
+      auth: 'scope',
+      scope: 'profile:write',
+      parameters: [pathId('id', 'your own user id')],
+      responses: { 200: message('Deleted') },
+      errors: [404]
+    })
+  },
+
+  '/fruits': {
+    get: fruitRead({
+      summary: 'List fruits',
+      description: 'Your own fruits and the ones shared with you, a page at a time. ' +
+        'sort takes comma separated fields, a leading - sorts newest or largest first. ' +
+        'X-Total-Count has the number of matches and Link the next and previous pages.',
+      parameters: toParameters(schemas.fruitQuery),
+      responses: { 200: json('Fruits', listOf('Fruit')) },
+      errors: [422]
+    }),
+    post: fruitWrite({
+      summary: 'Create a fruit',
+      description: 'Needs a verified email address.',
+      requestBody: body(schemas.fruit),
+      responses: { 201: withEtag(json('Created', ref('Fruit'))) },
+      errors: [422]
+    })
+  },
+  '/fruits/export': {
+    get: fruitRead({
+      summary: 'Download your fruits',
+      description: 'A csv (the default) or json file of every fruit you own.',
+      parameters: toParameters(schemas.exportFruits),
+      responses: {
+        200: {
+          description: 'The file, as an attachment',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/json': { schema: listOf('FruitInput') }
+          }
+        }
+      },
+      errors: [422]
+    })
+  },
+  '/fruits/import': {
+    post: fruitWrite({
+      summary: 'Import fruits from a file',
+      description: 'Takes the csv or json an export produces, at most ' +
+        `${MAX_IMPORT_BYTES / 1024} KB. Rows are checked one by one, dryRun reports what would happen without saving. ` +
+        'Needs a verified email address.',
+      requestBody: {
+        required: true,
+        content: { 'multipart/form-data': { schema: importForm } }
+      },
+      responses: { 200: json('One entry per row', ref('ImportReport')) },
+      errors: [422]
+    })
+  },
+  '/fruits/trash': {
+    get: fruitRead({
+      summary: 'List your trashed fruits',
+      description: 'purgeAt is when each one is deleted for good.',
+      responses: {
+        200: json('Trashed fruits', { type: 'array', items: { allOf: [ref('Fruit'), { type: 'object', properties: { purgeAt: date } }] } })
+      }
+    })
+  },
+  '/fruits/bulk': {
+    post: fruitWrite({
+      summary: 'Create, update and delete fruits in one request',
+      description: 'Every operation gets its own result. With atomic: true one failure rolls back the whole batch ' +
+        'and the answer is a 422. Needs a verified email address.',
+      requestBody: { required: true, content: { 'application/json': { schema: bulkBody } } },
+      responses: {
+        200: json('A result per operation', ref('BulkResult')),
+        422: json('Invalid request, or an atomic batch that was rolled back', { oneOf: [ref('Error'), ref('BulkResult')] })
+      }
+    })
+  },
+  '/fruits/{id}': {
+    get: fruitRead({
+      summary: 'Get a fruit',
+      parameters: [fruitId, {
+        name: 'If-None-Match',
+        in: 'header',
+        description: 'the ETag you have, answered with a 304 while the fruit is still at that version',
+        schema: { type: 'string' }
+      }],
+      responses: { 200: withEtag(json('The fruit', ref('Fruit'))), 304: { description: 'Not changed since the If-None-Match version' } },
+      errors: [404]
+    }),
+    put: fruitWrite({
+      summary: 'Replace a fruit',
+      description: 'Fields left out go back to what a new fruit has: not ready to eat, a quantity of 1, ' +
+        'no dates and no tags. Use PATCH to change only some fields. Editors of a shared fruit may update it too.',
+      parameters: [fruitId, ifMatch],
+      requestBody: body(schemas.fruit),
+      responses: { 200: withEtag(json('Updated', ref('Fruit'))) },
+      errors: [404, 412, 422]
+    }),
+    patch: fruitWrite({
+      summary: 'Patch a fruit',
+      description: 'The patch applies to the fields a PUT takes, as the fruit is now. ' +
+        'A patch that fails or leaves invalid fields changes nothing. Editors of a shared fruit may patch it too.',
+      parameters: [fruitId, ifMatch],
+      requestBody: patchBody(schemas.fruit),
+      responses: { 200: withEtag(json('Updated', ref('Fruit'))) },
+      errors: [...patchErrors, 412]
+    }),
+    delete: fruitWrite({
+      summary: 'Move a fruit to the trash',
+      parameters: [fruitId, ifMatch],
+      responses: { 200: message('Moved to the trash') },
+      errors: [404, 412]
+    })
+  },
+  '/fruits/{id}/history': {
+    get: fruitRead({
+      summary: "A fruit's change history",
+      description: 'Newest first.',
+      parameters: [fruitId],
+      responses: { 200: json('Revisions', listOf('FruitRevision')) },
+      errors: [404]
+    })
+  },
+  '/fruits/{id}/revert/{version}': {
+    post: fruitWrite({
+      summary: 'Revert a fruit to an earlier version',
+      description: 'Recorded as a new version.',
+      parameters: [fruitId, { name: 'version', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+      responses: { 200: json('Reverted', ref('Fruit')) },
+      errors: [404]
+    })
+  },
+  '/fruits/{id}/shares': {
+    post: fruitWrite({
+      summary: 'Share a fruit with another user',
+      description: 'Owners only. Sharing again with the same user changes the permission.',
+      parameters: [fruitId],
+      requestBody: body(schemas.share),
+      responses: { 200: json('The fruit with its shares', ref('Fruit')) },
+      errors: [404, 422]
+    })
+  },
+  '/fruits/{id}/shares/{userId}': {
+    delete: fruitWrite({
+      summary: 'Stop sharing a fruit with a user',
+      parameters: [fruitId, pathId('userId', 'the user it is shared with')],
+      responses: { 200: json('The fruit with its shares', ref('Fruit')) },
+      errors: [404]
+    })
+  },
+  '/fruits/{id}/image': {
+    post: fruitWrite({
+      summary: 'Upload a photo of a fruit',
+      description: `A ${IMAGE_TYPES.join(', ')} image of at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB, it replaces the current photo. ` +
+        'Photos are served from their url to the users who can see the fruit.',
+      parameters: [fruitId, ifMatch],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: { type: 'object', properties: { image: { type: 'string', format: 'binary' } }, required: ['image'] }
+          }
+        }
+      },
+      responses: { 200: withEtag(json('The fruit with its photo', ref('Fruit'))) },
+      errors: [404, 412, 422]
+    }),
+    delete: fruitWrite({
+      summary: 'Remove the photo of a fruit',
+      parameters: [fruitId, ifMatch],
+      responses: { 200: withEtag(json('The fruit', ref('Fruit'))) },
+      errors: [404, 412]
+    })
+  },
+  '/fruits/{id}/restore': {
+    post: fruitWrite({
+      summary: 'Restore a fruit from the trash',
+      parameters: [fruitId],
+      responses: { 200: json('Restored', ref('Fruit')) },
+      errors: [404]
+    })
+  },
+
+  '/tags': {
+    get: fruitRead({ tag: 'Tags', summary: 'List your tags', responses: { 200: json('Tags', listOf('Tag')) } }),
+    post: fruitWrite({
+      tag: 'Tags',
+      summary: 'Create a tag',
+      requestBody: body(schemas.tag),
+      responses: { 201: json('Created', ref('Tag')) },
+      errors: [409, 422]
+    })
+  },
+  '/tags/{id}': {
+    put: fruitWrite({
+      tag: 'Tags',
+      summary: 'Rename a tag',
+      parameters: [pathId('id', 'a tag id')],
+      requestBody: body(schemas.tag),
+      responses: { 200: json('Renamed', ref('Tag')) },
+      errors: [404, 409, 422]
+    }),
+    delete: fruitWrite({
+      tag: 'Tags',
+      summary: 'Delete a tag',
+      description: 'The tag is taken off every fruit that had it.',
+      parameters: [pathId('id', 'a tag id')],
+      responses: { 200: message('Deleted') },
+      errors: [404]
+    })
+  },
+
+  '/shares': {
+    get: fruitRead({
+      tag: 'Shares',
+      summary: 'Collections you share and the ones shared with you',
+      responses: {
+        200: json('Collection shares', {
+          type: 'object',
+          properties: { given: listOf('CollectionShare'), received: listOf('CollectionShare') }
+        })
+      }
+    }),
+    post: fruitWrite({
+      tag: 'Shares',
+      summary: 'Share your whole collection with another user',
+      description: 'Sharing again with the same user changes the permission.',
+      requestBody: body(schemas.share),
+      responses: { 200: json('The share', ref('CollectionShare')) },
+      errors: [422]
+    })
+  },
+  '/shares/{id}': {
+    delete: fruitWrite({
+      tag: 'Shares',
+      summary: 'Stop sharing your collection',
+      parameters: [pathId('id', 'a collection share id')],
+      responses: { 200: message('Share removed') },
+      errors: [404]
+    })
+  },
+
+  '/webhooks': {
+    get: fruitRead({ tag: 'Webhooks', summary: 'List your webhooks', responses: { 200: json('Webhooks', listOf('Webhook')) } }),
+    post: fruitWrite({
+      tag: 'Webhooks',
+      summary: 'Register a webhook',
+      description: 'The answer has the signing secret, it is not shown again. The url has to reach a public address.',
+      requestBody: body(schemas.webhook),
+      responses: { 201: json('Created', withSecret) },
+      errors: [422]
+    })
+  },
+  '/webhooks/{id}': {
+    get: fruitRead({
+      tag: 'Webhooks',
+      summary: 'Get a webhook',
+      parameters: [webhookId],
+      responses: { 200: json('The webhook', ref('Webhook')) },
+      errors: [404]
+    }),
+    put: fruitWrite({
+      tag: 'Webhooks',
+      summary: 'Replace a webhook',
+      parameters: [webhookId],
+      requestBody: body(schemas.webhook),
+      responses: { 200: json('Replaced', ref('Webhook')) },
+      errors: [404, 422]
+    }),
+    delete: fruitWrite({
+      tag: 'Webhooks',
+      summary: 'Delete a webhook and its delivery log',
+      parameters: [webhookId],
+      responses: { 200: message('Deleted') },
+      errors: [404]
+    })
+  },
+  '/webhooks/{id}/secret': {
+    post: fruitWrite({
+      tag: 'Webhooks',
+      summary: 'Generate a new signing secret',
+      description: 'The old secret stops working straight away.',
+      parameters: [webhookId],
+      responses: { 200: json('The webhook with its new secret', withSecret) },
+      errors: [404]
+    })
+  },
+  '/webhooks/{id}/deliveries': {
+    get: fruitRead({
+      tag: 'Webhooks',
+      summary: 'The delivery log of a webhook, newest first',
+      parameters: [webhookId, ...toParameters(schemas.webhookDeliveryQuery)],
+      responses: { 200: json('Deliveries', listOf('WebhookDelivery')) },
+      errors: [404, 422]
+    })
+  },
+  '/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+    post: fruitWrite({
+      tag: 'Webhooks',
+      summary: 'Send a delivery again',
+      description: 'The same payload goes out as a new delivery, in the background.',
+      parameters: [webhookId, pathId('deliveryId', 'a delivery id')],
+      responses: { 202: json('Queued', ref('WebhookDelivery')) },
+      errors: [404]
+    })
+  },
+
+  '/admin/users': {
+    get: operation({
+      tag: 'Admin',
+      summary: 'List every user',
+      auth: 'admin',
+      parameters: [{ name: 'suspended', in: 'query', schema: { type: 'boolean' } }],
+      responses: { 200: json('Users', listOf('User')) },
+      errors: [422]
+    })
+  },
+  '/admin/users/{id}/suspend': {
+    post: operation({
+      tag: 'Admin',
+      summary: 'Suspend a user',
+      description: 'Suspended users can not log in and their sessions end.',
+      auth: 'admin',
+      parameters: [pathId('id', 'a user id')],
+      responses: { 200: json('Suspended', ref('User')) },
+      errors: [404]
+    })
+  },
+  '/admin/users/{id}/unsuspend': {
+    post: operation({
+      tag: 'Admin',
+      summary: 'Lift a suspension',
+      auth: 'admin',
+      parameters: [pathId('id', 'a user id')],
+      responses: { 200: json('Unsuspended', ref('User')) },
+      errors: [404]
+    })
+  },
+  '/admin/users/{id}': {
+    delete: operation({
+      tag: 'Admin',
+      summary: 'Delete a user and everything they own',
+      auth: 'admin',
+      parameters: [pathId('id', 'a user id')],
+      responses: { 200: message('Deleted') },
+      errors: [404]
+    })
+  },
+  '/admin/fruits': {
+    get: operation({
+      tag: 'Admin',
+      summary: "List every user's fruits",
+      auth: 'admin',
+      parameters: [{ name: 'owner', in: 'query', description: 'only the fruits of this user', schema: id }],
+      responses: { 200: json('Fruits', listOf('Fruit')) },
+      errors: [422]
+    })
+  },
+  '/admin/fruits/{id}': {
+    delete: operation({
+      tag: 'Admin',
+      summary: 'Delete any fruit for good',
+      auth: 'admin',
+      parameters: [fruitId],
+      responses: { 200: message('Deleted') },
+      errors: [404]
+    })
+  }
+}
+
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: `A login token from POST /users/login or a personal access token (${AccessToken.SCOPES.join(', ')} scopes).`
+    }
+  },
+  responses: {
+    BadRequest: json('Bad request', ref('Error')),
+    Unauthorized: json('Missing, expired or revoked token, or wrong credentials', ref('Error')),
+    Forbidden: json('Not allowed to do this', ref('Error')),
+    NotFound: json('No such record, or not yours to see', ref('Error')),
+    Conflict: json('Clashes with what is already there', ref('Error')),
+    PreconditionFailed: json('The fruit is no longer at the If-Match version', ref('Error')),
+    UnsupportedMediaType: {
+      ...json('Not a body type this endpoint takes, the Accept-Patch header lists the patch types', ref('Error')),
+      headers: { 'Accept-Patch': { schema: { type: 'string' } } }
+    },
+    ValidationFailed: json('Invalid fields, see error.fields', ref('Error')),
+    TooManyRequests: {
+      ...json('Too many attempts, the Retry-After header says for how many seconds', ref('Error')),
+      headers: { 'Retry-After': { schema: { type: 'integer' } } }
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: {
+        error: {
+          type: 'object',
+          required: ['code', 'message'],
+          properties: {
+            code: { type: 'string', example: 'validation_failed' },
+            message: { type: 'string' },
+            fields: { type: 'object', additionalProperties: { type: 'string' }, example: { name: 'is required' } },
+            retryAfter: { type: 'integer' }
+          }
+        }
+      }
+    },
+    Message: { type: 'object', properties: { message: { type: 'string' } } },
+    User: {
+      type: 'object',
+      properties: {
+        _id: id,
+        name: { type: 'string' },
+        email: { type: 'string' },
+        role: { type: 'string', enum: ['user', 'admin'] },
+        suspended: { type: 'boolean' },
+        emailVerified: { type: 'boolean' },
+        twoFactor: { type: 'object', properties: { enabled: { type: 'boolean' } } },
+        fruits: { type: 'array', items: id }
+      }
+    },
+    Tokens: {
+      type: 'object',
+      properties: {
+        token: { type: 'string', description: 'short lived, send it as a bearer token' },
+        refreshToken: { type: 'string', description: 'for POST /users/token/refresh' }
+      }
+    },
+    Session: { allOf: [ref('Tokens'), { type: 'object', properties: { user: ref('User') } }] },
+    TwoFactorChallenge: {
+      type: 'object',
+      properties: { twoFactorRequired: { type: 'boolean', enum: [true] }, challenge: { type: 'string' } }
+    },
+    AccessToken: {
+      type: 'object',
+      properties: {
+        _id: id,
+        name: { type: 'string' },
+        hint: { type: 'string', description: 'the first characters of the token' },
+        scopes: { type: 'array', items: { type: 'string', enum: AccessToken.SCOPES } },
+        lastUsedAt: date,
+        expiresAt: date,
+        revokedAt: date,
+        createdAt: date
+      }
+    },
+    FruitInput: toJsonSchema(schemas.fruit),
+    Fruit: {
+      type: 'object',
+      properties: {
+        _id: id,
+        name: { type: 'string' },
+        color: { type: 'string' },
+        readyToEat: { type: 'boolean' },
+        quantity: { type: 'integer' },
+        purchasedAt: date,
+        ripeAt: date,
+        ripenedAt: date,
+        expiresAt: date,
+        expired: { type: 'boolean' },
+        owner: id,
+        deletedAt: { ...date, nullable: true },
+        version: { type: 'integer', description: 'bumped by every change' },
+        tags: { type: 'array', items: { oneOf: [id, ref('Tag')] }, description: 'ids, or the tags themselves where they are looked up' },
+        image: {
+          type: 'object',
+          description: 'fetch the urls with the same token, it needs the fruits:read scope',
+          properties: {
+            url: { type: 'string' },
+            thumbnailUrl: { type: 'string' },
+            width: { type: 'integer' },
+            height: { type: 'integer' }
+          }
+        },
+        shares: {
+          type: 'array',
+          description: 'only for the owner',
+          items: {
+            type: 'object',
+            properties: {
+              user: { oneOf: [id, userRef] },
+              permission: { type: 'string', enum: CollectionShare.PERMISSIONS }
+            }
+          }
+        },
+        permission: { type: 'string', enum: ['owner', ...CollectionShare.PERMISSIONS], description: 'what you may do with it' },
+        shared: { type: 'boolean', description: 'true when someone else owns it' },
+        createdAt: date,
+        updatedAt: date
+      }
+    },
+    FruitRevision: {
+      type: 'object',
+      properties: {
+        _id: id,
+        fruit: id,
+        version: { type: 'integer' },
+        action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'revert'] },
+        actor: id,
+        changes: {
+          type: 'array',
+          items: { type: 'object', properties: { field: { type: 'string' }, from: {}, to: {} } }
+        },
+        snapshot: { type: 'object' },
+        revertedTo: { type: 'integer' },
+        createdAt: date
+      }
+    },
+    BulkResult: {
+      type: 'object',
+      properties: {
+        error: {
+          type: 'object',
+          description: 'only when an atomic batch was rolled back',
+          properties: { code: { type: 'string', enum: ['rolled_back'] }, message: { type: 'string' } }
+        },
+        atomic: { type: 'boolean' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              index: { type: 'integer' },
+              op: { type: 'string' },
+              status: { type: 'integer' },
+              id,
+              fruit: ref('Fruit'),
+              message: { type: 'string' },
+              errors: { type: 'object', additionalProperties: { type: 'string' } }
+            }
+          }
+        }
+      }
+    },
+    ImportReport: {
+      type: 'object',
+      properties: {
+        dryRun: { type: 'boolean' },
+        duplicates: { type: 'string', enum: schemas.importFruits.duplicates.of },
+        total: { type: 'integer' },
+        created: { type: 'integer' },
+        updated: { type: 'integer' },
+        skipped: { type: 'integer' },
+        invalid: { type: 'integer' },
+        rows: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              row: { type: 'integer' },
+              status: { type: 'string', enum: ['created', 'updated', 'skipped', 'invalid'] },
+              name: { type: 'string' },
+              id,
+              errors: { type: 'object', additionalProperties: { type: 'string' } }
+            }
+          }
+        }
+      }
+    },
+    Tag: { type: 'object', properties: { _id: id, name: { type: 'string' }, owner: id } },
+    CollectionShare: {
+      type: 'object',
+      properties: {
+        _id: id,
+        owner: { oneOf: [id, userRef] },
+        user: { oneOf: [id, userRef] },
+        permission: { type: 'string', enum: CollectionShare.PERMISSIONS },
+        createdAt: date
+      }
+    },
+    Webhook: {
+      type: 'object',
+      properties: {
+        _id: id,
+        url: { type: 'string' },
+        events: { type: 'array', items: { type: 'string', enum: Webhook.EVENTS } },
+        description: { type: 'string' },
+        active: { type: 'boolean' },
+        owner: id,
+        createdAt: date,
+        updatedAt: date
+      }
+    },
+    WebhookDelivery: {
+      type: 'object',
+      properties: {
+        _id: id,
+        webhook: id,
+        event: { type: 'string', enum: Webhook.EVENTS },
+        payload: {
+          type: 'object',
+          description: 'the body that is sent, signed in the X-Fruits-Signature header',
+          properties: { event: { type: 'string' }, createdAt: date, actor: id, fruit: ref('Fruit') }
+        },
+        status: { type: 'string', enum: WebhookDelivery.STATUSES },
+        attempts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              at: date,
+              responseStatus: { type: 'integer' },
+              error: { type: 'string', description: 'when there was no answer' },
+              durationMs: { type: 'integer' }
+            }
+          }
+        },
+        nextAttemptAt: date,
+        deliveredAt: date,
+        finishedAt: { ...date, description: 'when it was delivered or failed, the log drops it some days later' },
+        redeliveryOf: id,
+        createdAt: date
+      }
+    }
+  }
+}
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Fruits API',
+    version,
+    description: 'Every error answers with { error: { code, message, fields? } }, see the Error schema.'
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ bearerAuth: [] }],
+  tags: ['Users', 'Fruits', 'Tags', 'Shares', 'Webhooks', 'Admin'].map(name => ({ name })),
+  paths,
+  components
+}
@@ -3,19 +3,99 @@ const router = express.Router()
 const userApiController = require('../controllers/auth/apiController')
 const fruitApiController = require('../controllers/fruits/apiController')
 const fruitDataController = require('../controllers/fruits/dataController')
+const tagApiController = require('../controllers/tags/apiController')
+const tagDataController = require('../controllers/tags/dataController')
+const webhookApiController = require('../controllers/webhooks/apiController')
+const webhookDataController = require('../controllers/webhooks/dataController')
+const adminApiController = require('../controllers/admin/apiController')
+const adminDataController = require('../controllers/admin/dataController')
+const { validateBody } = require('../validation')
+const { validateImage } = require('../validation/images')
+const { validateImportFile } = require('../validation/imports')
+const { validateRequest } = require('../validation/openapi')
+const { validatePatch } = require('../validation/patches')
+const schemas = require('../validation/schemas')
+const openapi = require('../openapi')
+
+// every request is checked against the openapi document, see openapi/index.js.
+// public routes start with it, the others run it once the caller is known
+const checkRequest = validateRequest(openapi)
+// every protected route is auth + the scope it needs. login tokens have every
+// scope, personal access tokens only the ones they were created with
+const withScope = (scope) => [userApiController.auth, userApiController.requireScope(scope), checkRequest]
+// token management and logout only make sense for a real login session
+const withSession = [userApiController.auth, userApiController.requireSession, checkRequest]
+// every admin route needs a logged in user with the admin role
+const adminOnly = [userApiController.auth, userApiController.requireScope('admin'), userApiController.requireRole('admin'), checkRequest]
 
 // User API Routes
-router.post('/users', userApiController.createUser)
-router.post('/users/login', userApiController.loginUser)
-router.get('/users/profile', userApiController.auth, userApiController.getProfile)
-router.put('/users/:id', userApiController.auth, userApiController.updateUser)
-router.delete('/users/:id', userApiController.auth, userApiController.deleteUser)
+router.post('/users', checkRequest, validateBody(schemas.createUser), userApiController.createUser)
+router.post('/users/login', checkRequest, validateBody(schemas.login), userApiController.loginUser)
+router.post('/users/login/2fa', checkRequest, validateBody(schemas.twoFactorLogin), userApiController.loginTwoFactor)
+router.post('/users/token/refresh', checkRequest, validateBody(schemas.refreshToken), userApiController.refreshToken)
+router.post('/users/logout', withSession, userApiController.logoutUser)
+router.post('/users/logout/all', withSession, userApiController.logoutAll)
+router.post('/users/password/forgot', checkRequest, validateBody(schemas.forgotPassword), userApiController.forgotPassword)
+router.post('/users/password/reset', checkRequest, validateBody(schemas.resetPassword), userApiController.resetPassword)
+router.post('/users/verify', checkRequest, validateBody(schemas.verifyEmail), userApiController.verifyEmail)
+router.post('/users/verification/resend', withScope('profile:write'), userApiController.resendVerification)
+router.post('/users/2fa/enroll', withSession, userApiController.enrollTwoFactor)
+router.post('/users/2fa/confirm', withSession, validateBody(schemas.twoFactorCode), userApiController.confirmTwoFactor)
+router.post('/users/2fa/disable', withSession, validateBody(schemas.twoFactorCode), userApiController.disableTwoFactor)
+router.get('/users/tokens', withSession, userApiController.listAccessTokens)
+router.post('/users/tokens', withSession, validateBody(schemas.createAccessToken), userApiController.createAccessToken)
+router.delete('/users/tokens/:id', withSession, userApiController.revokeAccessToken)
+router.get('/users/profile', withScope('profile:read'), userApiController.getProfile)
+router.put('/users/:id', withScope('profile:write'), validateBody(schemas.updateUser, { partial: true }), userApiController.updateUser)
+router.patch('/users/:id', withScope('profile:write'), validatePatch, userApiController.patchUser, userApiController.updateUser)
+router.delete('/users/:id', withScope('profile:write'), userApiController.deleteUser)
 
 // Fruit API Routes
-router.get('/fruits', userApiController.auth, fruitDataController.index, fruitApiController.index)
-router.get('/fruits/:id', userApiController.auth, fruitDataController.show, fruitApiController.show)
-router.post('/fruits', userApiController.auth, fruitDataController.create, fruitApiController.create)
-router.put('/fruits/:id', userApiController.auth, fruitDataController.update, fruitApiController.show)
-router.delete('/fruits/:id', userApiController.auth, fruitDataController.destroy, fruitApiController.destroy)
+router.get('/fruits', withScope('fruits:read'), fruitDataController.index, fruitApiController.index)
+router.get('/fruits/export', withScope('fruits:read'), fruitDataController.exportFruits, fruitApiController.export)
+router.post('/fruits/import', withScope('fruits:write'), userApiController.requireVerified, validateImportFile(), validateBody(schemas.importFruits), fruitDataController.importFruits, fruitApiController.imported)
+router.get('/fruits/trash', withScope('fruits:read'), fruitDataController.trash, fruitApiController.trash)
+router.get('/fruits/:id', withScope('fruits:read'), fruitDataController.show, fruitApiController.show)
+router.post('/fruits', withScope('fruits:write'), userApiController.requireVerified, validateBody(schemas.fruit), fruitDataController.create, fruitApiController.create)
+router.post('/fruits/bulk', withScope('fruits:write'), userApiController.requireVerified, validateBody(schemas.bulkFruits), fruitDataController.bulk, fruitApiController.bulk)
+router.put('/fruits/:id', withScope('fruits:write'), validateBody(schemas.fruit), fruitDataController.replace, fruitApiController.show)
+router.patch('/fruits/:id', withScope('fruits:write'), validatePatch, fruitDataController.patch, fruitApiController.show)
+router.delete('/fruits/:id', withScope('fruits:write'), fruitDataController.destroy, fruitApiController.destroy)
+router.get('/fruits/:id/history', withScope('fruits:read'), fruitDataController.show, fruitDataController.history, fruitApiController.history)
+router.post('/fruits/:id/revert/:version', withScope('fruits:write'), fruitDataController.revert, fruitApiController.show)
+router.post('/fruits/:id/shares', withScope('fruits:write'), validateBody(schemas.share), fruitDataController.shareFruit, fruitApiController.show)
+router.delete('/fruits/:id/shares/:userId', withScope('fruits:write'), fruitDataController.unshareFruit, fruitApiController.show)
+router.post('/fruits/:id/image', withScope('fruits:write'), validateImage({ required: true }), fruitDataController.saveImage, fruitApiController.show)
+router.delete('/fruits/:id/image', withScope('fruits:write'), fruitDataController.removeImage, fruitApiController.show)
+router.post('/fruits/:id/restore', withScope('fruits:write'), fruitDataController.restore, fruitApiController.show)
+
+// Tag API Routes
+router.get('/tags', withScope('fruits:read'), tagDataController.index, tagApiController.index)
+router.post('/tags', withScope('fruits:write'), validateBody(schemas.tag), tagDataController.create, tagApiController.create)
+router.put('/tags/:id', withScope('fruits:write'), validateBody(schemas.tag), tagDataController.update, tagApiController.show)
+router.delete('/tags/:id', withScope('fruits:write'), tagDataController.destroy, tagApiController.destroy)
+
+// Collection sharing API Routes
+router.get('/shares', withScope('fruits:read'), fruitDataController.listShares, fruitApiController.shares)
+router.post('/shares', withScope('fruits:write'), validateBody(schemas.share), fruitDataController.shareCollection, fruitApiController.share)
+router.delete('/shares/:id', withScope('fruits:write'), fruitDataController.unshareCollection, fruitApiController.unshared)
+
+// Webhook API Routes
+router.get('/webhooks', withScope('fruits:read'), webhookDataController.index, webhookApiController.index)
+router.post('/webhooks', withScope('fruits:write'), validateBody(schemas.webhook), webhookDataController.checkUrl, webhookDataController.create, webhookApiController.create)
+router.get('/webhooks/:id', withScope('fruits:read'), webhookDataController.show, webhookApiController.show)
+router.put('/webhooks/:id', withScope('fruits:write'), validateBody(schemas.webhook), webhookDataController.checkUrl, webhookDataController.update, webhookApiController.show)
+router.delete('/webhooks/:id', withScope('fruits:write'), webhookDataController.destroy, webhookApiController.destroy)
+router.post('/webhooks/:id/secret', withScope('fruits:write'), webhookDataController.rotateSecret, webhookApiController.secret)
+router.get('/webhooks/:id/deliveries', withScope('fruits:read'), webhookDataController.show, webhookDataController.deliveries, webhookApiController.deliveries)
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', withScope('fruits:write'), webhookDataController.show, webhookDataController.redeliver, webhookApiController.redelivered)
+
+// Admin API Routes
+router.get('/admin/users', adminOnly, adminDataController.listUsers, adminApiController.users)
+router.post('/admin/users/:id/suspend', adminOnly, adminDataController.findUser, adminDataController.suspendUser, adminApiController.user)
+router.post('/admin/users/:id/unsuspend', adminOnly, adminDataController.findUser, adminDataController.unsuspendUser, adminApiController.user)
+router.delete('/admin/users/:id', adminOnly, adminDataController.findUser, adminDataController.deleteUser, adminApiController.userDeleted)
+router.get('/admin/fruits', adminOnly, adminDataController.listFruits, adminApiController.fruits)
+router.delete('/admin/fruits/:id', adminOnly, adminDataController.deleteFruit, adminApiController.fruitDeleted)
 
-module.exports = router 
\ No newline at end of file
+module.exports = router
\ No newline at end of file
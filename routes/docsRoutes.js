@@ -0,0 +1,16 @@
+const express = require('express')
+const swaggerUi = require('swagger-ui-dist')
+const openapi = require('../openapi')
+const router = express.Router()
+
+// the api's openapi document and a swagger ui page to browse and try it,
+// mounted at /api next to the versioned routes
+router.get('/openapi.json', (req, res) => {
+  res.json(openapi)
+})
+router.get('/docs', (req, res) => {
+  res.render('api/Docs', { specUrl: `${req.baseUrl}/openapi.json`, assetsUrl: `${req.baseUrl}/docs` })
+})
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }))
+
+module.exports = router
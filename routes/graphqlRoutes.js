@@ -0,0 +1,11 @@
+const express = require('express')
+const router = express.Router()
+const userApiController = require('../controllers/auth/apiController')
+const { handleGraphql } = require('../graphql')
+
+// one endpoint for the whole graph, behind the same token check as the rest
+// api. scopes are checked per field, see graphql/schema.js
+router.get('/', userApiController.auth, handleGraphql)
+router.post('/', userApiController.auth, handleGraphql)
+
+module.exports = router
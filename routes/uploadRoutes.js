@@ -0,0 +1,17 @@
+const express = require('express')
+const authDataController = require('../controllers/auth/dataController')
+const userApiController = require('../controllers/auth/apiController')
+const fruitDataController = require('../controllers/fruits/dataController')
+const fruitApiController = require('../controllers/fruits/apiController')
+const router = express.Router()
+
+// requests without an Authorization header go on to the cookie route below
+const withAuthorizationHeader = (req, res, next) => next(req.header('Authorization') ? undefined : 'route')
+
+// fruit photos, mounted at imageStorage.UPLOADS_PATH. only users who can see
+// the fruit get them: api clients send a login or personal access token with
+// the fruits:read scope, pages the session cookie with <img> requests
+router.get('/:key', withAuthorizationHeader, userApiController.auth, userApiController.requireScope('fruits:read'), fruitDataController.photo, fruitApiController.photo)
+router.get('/:key', authDataController.auth, fruitDataController.photo, fruitApiController.photo)
+
+module.exports = router
@@ -0,0 +1,35 @@
+// usage: npm run backfill-owners
+// fruits saved before they had an owner only appear in their user's fruits
+// list. every query now goes by owner, so run this once after upgrading to set
+// owner from the list that holds the fruit. running it again changes nothing
+require('dotenv').config()
+const db = require('../models/db')
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+
+const ownerless = { $or: [{ owner: { $exists: false } }, { owner: null }] }
+
+db.once('open', async () => {
+  try {
+    let updated = 0
+    for await (const user of User.find({ 'fruits.0': { $exists: true } }, 'fruits')) {
+      const { modifiedCount } = await Fruit.updateMany(
+        { _id: { $in: user.fruits }, ...ownerless },
+        { owner: user._id },
+        { withDeleted: true }
+      )
+      updated += modifiedCount
+    }
+    console.log(`set the owner of ${updated} fruits`)
+    const left = await Fruit.countDocuments(ownerless, { withDeleted: true })
+    if (left) {
+      console.error(`${left} fruits are on no user's list and still have no owner`)
+      process.exitCode = 1
+    }
+  } catch (error) {
+    console.error(error.message)
+    process.exitCode = 1
+  } finally {
+    await db.close()
+  }
+})
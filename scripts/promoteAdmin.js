@@ -0,0 +1,28 @@
+// usage: npm run promote-admin -- someone@example.com
+require('dotenv').config()
+const db = require('../models/db')
+const User = require('../models/user')
+
+const email = process.argv[2]
+
+if (!email) {
+  console.error('usage: npm run promote-admin -- <email>')
+  process.exit(1)
+}
+
+db.once('open', async () => {
+  try {
+    const user = await User.findOneAndUpdate({ email }, { role: 'admin' }, { new: true })
+    if (!user) {
+      console.error(`no user with the email ${email}`)
+      process.exitCode = 1
+    } else {
+      console.log(`${user.email} is now an admin`)
+    }
+  } catch (error) {
+    console.error(error.message)
+    process.exitCode = 1
+  } finally {
+    await db.close()
+  }
+})
@@ -1,16 +1,25 @@
 require('dotenv').config()
 const app = require('./app')
 const db = require('./models/db')
+const scheduler = require('./services/scheduler')
+const fruitLifecycle = require('./services/fruitLifecycle')
+const webhooks = require('./services/webhooks')
 const PORT = process.env.PORT || 3000
 
 db.once('open', () => {
     console.log('connected to mongo')
+    scheduler.start()
 })
 
 db.on('error', (error) => {
   console.error(error.message)
 })
 
+// background jobs only run in the real server, tests call the services directly
+scheduler.every('fruit ripeness', Number(process.env.LIFECYCLE_INTERVAL_MS) || 60 * 1000, () => fruitLifecycle.updateRipeness())
+scheduler.every('trash purge', 60 * 60 * 1000, () => fruitLifecycle.purgeTrash())
+scheduler.every('webhook deliveries', Number(process.env.WEBHOOK_INTERVAL_MS) || 15 * 1000, () => webhooks.deliverDue())
+
 app.listen(PORT, () => {
     console.log(`We in the building ${PORT}`)
 })
@@ -0,0 +1,34 @@
+const Fruit = require('../models/fruit')
+const FruitRevision = require('../models/fruitRevision')
+const CollectionShare = require('../models/collectionShare')
+const Tag = require('../models/tag')
+const Session = require('../models/session')
+const AccessToken = require('../models/accessToken')
+const UserToken = require('../models/userToken')
+const fruitImages = require('./fruitImages')
+const webhooks = require('./webhooks')
+const loginThrottle = require('./loginThrottle')
+
+// removes an account and everything that belongs to it. the user deleting
+// their own account (web and api) and admins deleting one all come through
+// here, so anything new an account owns only has to be added once
+exports.removeUser = async (user) => {
+  await fruitImages.removeFor({ owner: user._id })
+  await Fruit.deleteMany({ owner: user._id })
+  await FruitRevision.deleteMany({ owner: user._id })
+  await CollectionShare.deleteMany({ $or: [{ owner: user._id }, { user: user._id }] })
+  // fruits shared with the user lose the share, a change of who a fruit is
+  // shared with moves its version on like any other
+  await Fruit.updateMany(
+    { 'shares.user': user._id },
+    [{ $set: { shares: { $filter: { input: '$shares', cond: { $ne: ['$$this.user', user._id] } } }, version: Fruit.NEXT_VERSION } }],
+    { withDeleted: true }
+  )
+  await Tag.deleteMany({ owner: user._id })
+  await Session.deleteMany({ user: user._id })
+  await AccessToken.deleteMany({ user: user._id })
+  await UserToken.deleteMany({ user: user._id })
+  await loginThrottle.forgetAccount(user.email)
+  await webhooks.removeFor(user._id)
+  await user.deleteOne()
+}
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose')
+const Fruit = require('../models/fruit')
+const User = require('../models/user')
+const Tag = require('../models/tag')
+const { validate, fieldErrors } = require('../validation')
+const schemas = require('../validation/schemas')
+const fruitLifecycle = require('./fruitLifecycle')
+const fruitHistory = require('./fruitHistory')
+const webhooks = require('./webhooks')
+
+// a batch is a list of { op: 'create', data }, { op: 'update', id, data } and
+// { op: 'delete', id }. every operation gets its own result with an http style
+// status, and user.fruits is updated once at the end instead of once per fruit.
+// webhook events go out at the end too, once the changes they announce are done
+const OPERATIONS = ['create', 'update', 'delete']
+const NOT_APPLIED = 'Not applied, another operation in the batch failed'
+
+const foreignTags = () => invalid({ tags: "must be existing tags of the fruit's owner" })
+const notFound = (id) => ({ status: 404, message: `could not locate a fruit with the id ${id}` })
+const invalid = (errors) => ({ status: 422, message: 'Validation failed', errors })
+
+// thrown inside a transaction to roll it back after a failed operation
+class BatchFailed extends Error {}
+
+// checks an operation without touching the database
+const check = (operation) => {
+  if (!operation || typeof operation !== 'object' || !OPERATIONS.includes(operation.op)) {
+    return { error: invalid({ op: `must be one of ${OPERATIONS.join(', ')}` }) }
+  }
+  const { op, id } = operation
+  if (op !== 'create' && !mongoose.isValidObjectId(id)) {
+    return { error: invalid({ id: 'must be a fruit id' }) }
+  }
+  if (op === 'delete') {
+    return { operation: { op, id } }
+  }
+  const { value, errors } = validate(schemas.fruit, operation.data, { partial: op === 'update' })
+  return errors ? { error: invalid(errors) } : { operation: { op, id, data: value } }
+}
+
+const apply = async (user, access, { op, id, data }, session, changes) => {
+  // updates and deletes work on shared fruits the user can edit too
+  const editable = { _id: id, ...access.filter('editor') }
+  try {
+    if (op === 'create') {
+      if (data.tags && !await Tag.allOwnedBy(user._id, data.tags)) {
+        return foreignTags()
+      }
+      const [fruit] = await Fruit.create([fruitLifecycle.applyDates({ readyToEat: false, ...data, owner: user._id })], { session })
+      changes.added.push(fruit._id)
+      changes.events.push({ event: 'fruit.created', fruit })
+      await fruitHistory.created(fruit, user, { session })
+      return { status: 201, id: fruit._id, fruit }
+    }
+    if (op === 'update') {
+      if (data.tags) {
+        const fruit = await Fruit.findOne(editable).session(session)
+        if (!fruit) {
+          return notFound(id)
+        }
+        if (!await Tag.allOwnedBy(fruit.owner, data.tags)) {
+          return foreignTags()
+        }
+      }
+      const fruit = await fruitHistory.change(editable, (current) => fruitLifecycle.applyDates({ ...data }, current), { actor: user, session })
+      if (!fruit) {
+        return notFound(id)
+      }
+      changes.events.push({ event: 'fruit.updated', fruit })
+      return { status: 200, id, fruit }
+    }
+    // same as DELETE /api/fruits/:id, the fruit goes to the trash
+    const fruit = await fruitHistory.change(editable, { deletedAt: new Date() }, { action: 'delete', actor: user, session })
+    if (!fruit) {
+      return notFound(id)
+    }
+    changes.removed.push(fruit._id)
+    changes.events.push({ event: 'fruit.deleted', fruit })
+    return { status: 200, id }
+  } catch (error) {
+    const errors = fieldErrors(error)
+    if (errors) {
+      return invalid(errors)
+    }
+    throw error
+  }
+}
+
+const syncUserFruits = async (user, { added, removed }, session) => {
+  if (added.length) {
+    await User.updateOne({ _id: user._id }, { $addToSet: { fruits: { $each: added } } }, { session })
+  }
+  if (removed.length) {
+    // whoever owned them, deleted fruits leave their list
+    await User.updateMany({ fruits: { $in: removed } }, { $pull: { fruits: { $in: removed } } }, { session })
+  }
+}
+
+const notifyAll = async (user, { events }) => {
+  for (const { event, fruit } of events) {
+    await webhooks.notify(event, fruit, user)
+  }
+}
+
+// runs the batch in order, returns { results, rolledBack }. with atomic: true
+// it runs inside a transaction (needs a replica set) and the first failure
+// undoes everything, otherwise each operation stands on its own
+exports.run = async (user, operations, { atomic = false } = {}) => {
+  const checked = operations.map(check)
+  const access = await Fruit.accessFor(user)
+
+  if (!atomic) {
+    const changes = { added: [], removed: [], events: [] }
+    const results = []
+    // an operation that throws ends the batch, the ones before it stay done
+    try {
+      for (const [index, { operation, error }] of checked.entries()) {
+        const result = error || await apply(user, access, operation, null, changes)
+        results.push({ index, op: operation ? operation.op : undefined, ...result })
+      }
+    } finally {
+      await syncUserFruits(user, changes)
+      await notifyAll(user, changes)
+    }
+    return { results, rolledBack: false }
+  }
+
+  // nothing to roll back if the batch is already broken before we start
+  if (checked.some(({ error }) => error)) {
+    const results = checked.map(({ operation, error }, index) => ({
+      index,
+      op: operation ? operation.op : undefined,
+      ...(error || { status: 424, message: NOT_APPLIED })
+    }))
+    return { results, rolledBack: true }
+  }
+
+  let results, changes
+  const session = await mongoose.startSession()
+  try {
+    // withTransaction may retry the whole callback, so it starts from scratch each time
+    await session.withTransaction(async () => {
+      changes = { added: [], removed: [], events: [] }
+      results = []
+      for (const [index, { operation }] of checked.entries()) {
+        const result = await apply(user, access, operation, session, changes)
+        results.push({ index, op: operation.op, ...result })
+        if (result.status >= 400) {
+          throw new BatchFailed()
+        }
+      }
+      await syncUserFruits(user, changes, session)
+    })
+    // nothing is announced until the transaction is committed
+    await notifyAll(user, changes)
+    return { results, rolledBack: false }
+  } catch (error) {
+    if (!(error instanceof BatchFailed)) {
+      throw error
+    }
+    const failed = results[results.length - 1]
+    return {
+      results: checked.map(({ operation }, index) => index === failed.index
+        ? failed
+        : { index, op: operation.op, status: 424, message: NOT_APPLIED }),
+      rolledBack: true
+    }
+  } finally {
+    await session.endSession()
+  }
+}
@@ -0,0 +1,67 @@
+// just enough rfc 4180 for spreadsheets: comma separated, fields with commas,
+// quotes or line breaks are quoted and quotes inside them doubled
+
+const needsQuotes = /[",\r\n]/
+
+const formatField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value)
+  // a leading = + - or @ makes spreadsheets run the cell as a formula
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text
+  return needsQuotes.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe
+}
+
+exports.formatRow = (values) => `${values.map(formatField).join(',')}\r\n`
+
+// returns the rows as arrays of strings, blank lines are left out. the quote
+// formatRow puts in front of formula characters is taken off again
+exports.parse = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  const input = text.replace(/^﻿/, '')
+
+  const endField = () => {
+    row.push(/^'[=+\-@]/.test(field) ? field.slice(1) : field)
+    field = ''
+  }
+  const endRow = () => {
+    endField()
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row)
+    }
+    row = []
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === ',') {
+      endField()
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++
+      }
+      endRow()
+    } else {
+      field += char
+    }
+  }
+  if (quoted) {
+    throw new Error('unterminated quoted field')
+  }
+  if (field !== '' || row.length) {
+    endRow()
+  }
+  return rows
+}
@@ -0,0 +1,30 @@
+const User = require('../models/user')
+const UserToken = require('../models/userToken')
+const mailer = require('./mailer')
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000'
+const VERIFY_TOKEN_TTL_HOURS = Number(process.env.VERIFY_TOKEN_TTL_HOURS) || 24
+
+exports.sendVerification = async (user) => {
+  const token = await UserToken.issue(user, 'email-verification', VERIFY_TOKEN_TTL_HOURS * 60 * 60 * 1000)
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your Fruits App email',
+    text: `Hi ${user.name},\n\nPlease confirm this is your email address by opening the link below within ${VERIFY_TOKEN_TTL_HOURS} hours:\n\n${APP_URL}/users/verify?token=${token}\n\nUntil then you won't be able to add fruits.`
+  })
+}
+
+// returns the verified user, or null when the token is bad
+exports.verifyEmail = async (token) => {
+  const verifyToken = await UserToken.consume(token, 'email-verification')
+  if (!verifyToken) {
+    return null
+  }
+  const user = await User.findById(verifyToken.user)
+  if (!user) {
+    return null
+  }
+  user.emailVerified = true
+  await user.save()
+  return user
+}
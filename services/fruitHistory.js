@@ -0,0 +1,63 @@
+const Fruit = require('../models/fruit')
+const FruitRevision = require('../models/fruitRevision')
+const Tag = require('../models/tag')
+const schemas = require('../validation/schemas')
+const fruitLifecycle = require('./fruitLifecycle')
+
+// every change a user makes to a fruit goes through here so it bumps
+// fruit.version and lands in the fruit's history
+
+exports.created = (fruit, actor, { session } = {}) =>
+  FruitRevision.record({ action: 'create', before: null, fruit, actor, session })
+
+// applies changes to the fruit matching filter and records them. returns the
+// updated fruit, or null when nothing matched. changes can also be a function
+// of the fruit as it was read, for changes that depend on it (a PATCH). it is
+// called again whenever the fruit has to be read again, and may throw to give
+// up without changing anything
+exports.change = async (filter, changes, { action = 'update', actor, revertedTo, session } = {}) => {
+  for (;;) {
+    const before = await Fruit.findOne(filter).session(session || null)
+    if (!before) {
+      return null
+    }
+    const update = typeof changes === 'function' ? await changes(before) : changes
+    // only applies to the version just read, so the history never skips a
+    // change. deletedAt is part of the filter so restores can reach trashed
+    // fruits. fruits saved before versions existed have none stored, they
+    // count as v1 and go on to v2
+    const unversioned = before.$isDefault('version')
+    const fruit = await Fruit.findOneAndUpdate(
+      { _id: before._id, deletedAt: before.deletedAt, version: unversioned ? { $exists: false } : before.version },
+      { ...update, ...(unversioned ? { version: 2 } : { $inc: { version: 1 } }) },
+      { new: true, runValidators: true, session }
+    )
+    if (fruit) {
+      await FruitRevision.record({ action, before, fruit, actor, revertedTo, session })
+      return fruit
+    }
+    // someone else changed it in between, read it again. a filter naming a
+    // version (If-Match) won't find it the second time
+  }
+}
+
+// puts the editable fields back the way they were at that version. tags that
+// were deleted since, or that the owner no longer has, are left off
+exports.revert = (filter, revision, actor) => {
+  const changes = {}
+  Object.keys(schemas.fruit).forEach(field => {
+    changes[field] = revision.snapshot[field] === undefined ? null : revision.snapshot[field]
+  })
+  return exports.change(filter, async (fruit) => {
+    const dated = fruitLifecycle.applyDates({ ...changes }, fruit)
+    if (!changes.tags || !changes.tags.length) {
+      return dated
+    }
+    const owned = new Set((await Tag.find({ owner: fruit.owner, _id: { $in: changes.tags } }, '_id')).map(tag => String(tag._id)))
+    return { ...dated, tags: changes.tags.filter(tag => owned.has(String(tag))) }
+  }, { action: 'revert', actor, revertedTo: revision.version })
+}
+
+exports.list = (fruitId) => FruitRevision.find({ fruit: fruitId })
+  .sort({ version: -1 })
+  .populate('actor', 'name email')
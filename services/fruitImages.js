@@ -0,0 +1,63 @@
+const crypto = require('crypto')
+const sharp = require('sharp')
+const Fruit = require('../models/fruit')
+const imageStorage = require('./imageStorage')
+
+// uploads are re-encoded, which also drops exif data like gps positions.
+// the full image is capped at IMAGE_MAX_SIZE pixels a side, the thumbnail is a
+// square crop for the cards
+const FORMATS = ['jpeg', 'png', 'webp']
+const IMAGE_MAX_SIZE = 1600
+const THUMBNAIL_SIZE = 320
+
+const invalidImage = () => {
+  const error = new Error('must be a jpeg, png or webp image')
+  error.reason = 'Invalid image'
+  return error
+}
+
+// checks the actual bytes (the mimetype is only what the client claims),
+// then stores the image and its thumbnail. returns what goes on fruit.image
+exports.store = async (buffer) => {
+  let metadata
+  try {
+    metadata = await sharp(buffer).metadata()
+  } catch (error) {
+    throw invalidImage()
+  }
+  if (!FORMATS.includes(metadata.format)) {
+    throw invalidImage()
+  }
+  const id = crypto.randomBytes(16).toString('hex')
+  const key = `${id}.webp`
+  const thumbnailKey = `${id}-thumb.webp`
+  const [image, thumbnail] = await Promise.all([
+    sharp(buffer).rotate().resize(IMAGE_MAX_SIZE, IMAGE_MAX_SIZE, { fit: 'inside', withoutEnlargement: true }).webp().toBuffer({ resolveWithObject: true }),
+    sharp(buffer).rotate().resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' }).webp().toBuffer()
+  ])
+  await imageStorage.save(key, image.data)
+  await imageStorage.save(thumbnailKey, thumbnail)
+  return {
+    key,
+    thumbnailKey,
+    url: imageStorage.url(key),
+    thumbnailUrl: imageStorage.url(thumbnailKey),
+    width: image.info.width,
+    height: image.info.height
+  }
+}
+
+exports.remove = async (image) => {
+  if (image && image.key) {
+    await imageStorage.remove(image.key)
+    await imageStorage.remove(image.thumbnailKey)
+  }
+}
+
+// before fruits are deleted for good, trashed ones included
+exports.removeFor = async (filter) => {
+  const fruits = await Fruit.find({ ...filter, 'image.key': { $ne: null } }, 'image', { withDeleted: true })
+  await Promise.all(fruits.map(fruit => exports.remove(fruit.image)))
+}
+
+exports.FORMATS = FORMATS
@@ -0,0 +1,63 @@
+const Fruit = require('../models/fruit')
+const FruitRevision = require('../models/fruitRevision')
+const fruitImages = require('./fruitImages')
+
+const DAY = 24 * 60 * 60 * 1000
+// how long a deleted fruit stays in the trash before it is removed for good
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30
+
+// runs from the scheduler: ripens fruits whose ripe date has passed and marks
+// the ones past their expiry date. each fruit is only ripened once so a user
+// can still untick readyToEat by hand afterwards. the version moves on so
+// etags change, but nobody made these changes, so they stay out of the history
+exports.updateRipeness = async (now = new Date()) => {
+  const ripened = await Fruit.updateMany(
+    { ripeAt: { $lte: now }, ripenedAt: null, expired: { $ne: true } },
+    [{ $set: { readyToEat: true, ripenedAt: now, version: Fruit.NEXT_VERSION } }]
+  )
+  const expired = await Fruit.updateMany(
+    { expiresAt: { $lte: now }, expired: { $ne: true } },
+    [{ $set: { expired: true, readyToEat: false, version: Fruit.NEXT_VERSION } }]
+  )
+  return { ripened: ripened.modifiedCount, expired: expired.modifiedCount }
+}
+
+// runs from the scheduler: empties trash older than the retention period.
+// no webhook events, each of these fruits sent its fruit.deleted when it went
+// to the trash
+exports.purgeTrash = async (now = new Date()) => {
+  const filter = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY) } }
+  const ids = await Fruit.distinct('_id', filter)
+  await fruitImages.removeFor({ _id: { $in: ids } })
+  const { deletedCount } = await Fruit.deleteMany({ _id: { $in: ids } })
+  await FruitRevision.deleteMany({ fruit: { $in: ids } })
+  return { purged: deletedCount }
+}
+
+// when a trashed fruit will be purged
+exports.purgeDate = (fruit) => new Date(fruit.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY)
+
+exports.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS
+
+const sameDate = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null)
+
+// called on create/update with the fruit as it was (none when it is new): new
+// dates mean the scheduler has to look at the fruit again, and a fruit without
+// an expiry date can't be expired. only dates that move are news, sending the
+// same ripeAt again must not ripen a fruit the user unticked by hand
+exports.applyDates = (changes, fruit = null, now = new Date()) => {
+  const moved = (field) => field in changes && !(fruit && sameDate(fruit[field], changes[field]))
+  if (moved('ripeAt') && changes.ripeAt) {
+    changes.ripenedAt = null
+  }
+  if (moved('expiresAt')) {
+    changes.expired = Boolean(changes.expiresAt) && new Date(changes.expiresAt) <= now
+  }
+  return changes
+}
+
+// mongo filter for fruits that expire in the next `days` days
+exports.expiringWithin = (days, now = new Date()) => ({
+  expired: { $ne: true },
+  expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY) }
+})
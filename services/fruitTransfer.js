@@ -0,0 +1,250 @@
+const path = require('path')
+const { Readable } = require('stream')
+const Fruit = require('../models/fruit')
+const User = require('../models/user')
+const Tag = require('../models/tag')
+const { validate, fieldErrors, TAG_SEPARATOR } = require('../validation')
+const schemas = require('../validation/schemas')
+const csv = require('./csv')
+const fruitLifecycle = require('./fruitLifecycle')
+const fruitHistory = require('./fruitHistory')
+const webhooks = require('./webhooks')
+
+// moving a user's own fruits in and out of spreadsheets. both formats use the
+// same columns, tags go by name (joined with TAG_SEPARATOR in csv) so a file
+// exported by one user can be imported by another
+const COLUMNS = ['name', 'color', 'readyToEat', 'quantity', 'purchasedAt', 'ripeAt', 'expiresAt', 'tags']
+const MAX_IMPORT_ROWS = 1000
+// tags an import may add to the user's list, rows past it are invalid
+const MAX_NEW_TAGS = 100
+
+const invalidFile = (message) => {
+  const error = new Error(message)
+  error.reason = 'Invalid file'
+  return error
+}
+
+const toRow = (fruit) => ({
+  name: fruit.name,
+  color: fruit.color,
+  readyToEat: Boolean(fruit.readyToEat),
+  quantity: fruit.quantity,
+  purchasedAt: fruit.purchasedAt ? fruit.purchasedAt.toISOString() : null,
+  ripeAt: fruit.ripeAt ? fruit.ripeAt.toISOString() : null,
+  expiresAt: fruit.expiresAt ? fruit.expiresAt.toISOString() : null,
+  tags: fruit.tags.map(tag => tag.name)
+})
+
+async function* csvChunks(cursor) {
+  yield csv.formatRow(COLUMNS)
+  for await (const fruit of cursor) {
+    const row = toRow(fruit)
+    yield csv.formatRow(COLUMNS.map(column => column === 'tags' ? row.tags.join(TAG_SEPARATOR) : row[column]))
+  }
+}
+
+async function* jsonChunks(cursor) {
+  let separator = ''
+  yield '['
+  for await (const fruit of cursor) {
+    yield `${separator}\n${JSON.stringify(toRow(fruit))}`
+    separator = ','
+  }
+  yield '\n]\n'
+}
+
+// a readable stream of the whole collection, read from the database a batch at
+// a time so big collections never sit in memory
+exports.exportStream = (user, format) => {
+  const cursor = Fruit.find({ owner: user._id }).sort({ createdAt: 1 }).populate('tags', 'name').cursor()
+  return Readable.from(format === 'json' ? jsonChunks(cursor) : csvChunks(cursor))
+}
+
+// the format asked for, or else the one the file name or type suggests
+exports.formatOf = (file, format) => {
+  if (format) {
+    return format
+  }
+  return path.extname(file.originalname || '').toLowerCase() === '.json' || file.mimetype === 'application/json' ? 'json' : 'csv'
+}
+
+// csv cells are all strings, blank ones count as not given
+const csvRecords = (text) => {
+  const [header, ...rows] = csv.parse(text)
+  if (!header) {
+    throw invalidFile('is empty')
+  }
+  const columns = header.map(name => COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()))
+  const unknown = header.find((name, index) => !columns[index])
+  if (unknown !== undefined) {
+    throw invalidFile(`has an unknown column "${unknown}", use ${COLUMNS.join(', ')}`)
+  }
+  return rows.map(cells => {
+    const record = {}
+    cells.forEach((cell, index) => {
+      if (columns[index] && cell.trim() !== '') {
+        record[columns[index]] = columns[index] === 'tags' ? cell.split(TAG_SEPARATOR) : cell
+      }
+    })
+    return record
+  })
+}
+
+// an array of fruits, or { fruits: [...] }
+const jsonRecords = (text) => {
+  let parsed
+  try {
+    parsed = JSON.parse(text.replace(/^﻿/, ''))
+  } catch (error) {
+    throw invalidFile('is not valid json')
+  }
+  const records = Array.isArray(parsed) ? parsed : parsed && parsed.fruits
+  if (!Array.isArray(records)) {
+    throw invalidFile('must hold a list of fruits')
+  }
+  return records
+}
+
+const readRecords = (buffer, format) => {
+  let records
+  try {
+    records = format === 'json' ? jsonRecords(buffer.toString('utf8')) : csvRecords(buffer.toString('utf8'))
+  } catch (error) {
+    throw error.reason ? error : invalidFile(`could not be read: ${error.message}`)
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw invalidFile(`must have at most ${MAX_IMPORT_ROWS} rows`)
+  }
+  return records
+}
+
+// same rules as a single fruit, except tags are names instead of ids
+const checkRecord = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { errors: { row: 'must be an object with fruit fields' } }
+  }
+  const { value, errors } = validate(schemas.fruitImport, record)
+  if (errors) {
+    return { errors }
+  }
+  if (value.tags) {
+    value.tags = [...new Set(value.tags.map(name => name.trim()).filter(Boolean))]
+  }
+  return { value }
+}
+
+// tag names to ids, creating the ones the user does not have yet (only
+// counting them on a dry run). null when that would make more than
+// MAX_NEW_TAGS new tags in this import
+const tagResolver = async (user, dryRun) => {
+  const tags = new Map((await Tag.find({ owner: user._id })).map(tag => [tag.name.toLowerCase(), tag._id]))
+  let created = 0
+  return async (names) => {
+    const missing = new Set(names.map(name => name.toLowerCase()).filter(key => !tags.has(key)))
+    if (created + missing.size > MAX_NEW_TAGS) {
+      return null
+    }
+    const ids = []
+    for (const name of names) {
+      if (!tags.has(name.toLowerCase())) {
+        tags.set(name.toLowerCase(), dryRun ? null : (await Tag.create({ owner: user._id, name }))._id)
+        created++
+      }
+      ids.push(tags.get(name.toLowerCase()))
+    }
+    return ids
+  }
+}
+
+// imports the file into the user's collection and reports on every row.
+// a fruit with the same name (ignoring case) as one the user already has, or
+// as an earlier row, is a duplicate and duplicates decides what happens to it.
+// with dryRun nothing is saved, the report shows what would have happened.
+// rows are applied one by one, a bad row does not stop the others
+exports.importFile = async (user, file, { format, duplicates = 'skip', dryRun = false } = {}) => {
+  const records = readRecords(file.buffer, exports.formatOf(file, format))
+  const existing = new Map()
+  for (const fruit of await Fruit.find({ owner: user._id }, 'name')) {
+    existing.set(fruit.name.toLowerCase(), fruit._id)
+  }
+  const resolveTags = await tagResolver(user, dryRun)
+  const added = []
+  const events = []
+  const rows = []
+
+  // a row that throws stops the import, the fruits made before it still go on
+  // the user's list and their webhook events still go out
+  try {
+    for (const [index, record] of records.entries()) {
+      const row = index + 1
+      const { value, errors } = checkRecord(record)
+      if (errors) {
+        rows.push({ row, status: 'invalid', errors })
+        continue
+      }
+      const key = value.name.toLowerCase()
+      const duplicate = existing.has(key)
+      if (duplicate && duplicates === 'skip') {
+        rows.push({ row, status: 'skipped', name: value.name, id: existing.get(key) })
+        continue
+      }
+      const status = duplicate && duplicates === 'update' ? 'updated' : 'created'
+      try {
+        const tags = value.tags && await resolveTags(value.tags)
+        if (tags === null) {
+          rows.push({ row, status: 'invalid', errors: { tags: `must not add more than ${MAX_NEW_TAGS} new tags in one import` } })
+          continue
+        }
+        if (dryRun) {
+          existing.set(key, existing.get(key) || null)
+          rows.push({ row, status, name: value.name, ...(status === 'updated' && { id: existing.get(key) }) })
+          continue
+        }
+        const data = { ...value, ...(tags && { tags }) }
+        let fruit
+        if (status === 'updated') {
+          fruit = await fruitHistory.change({ _id: existing.get(key), owner: user._id }, (current) => fruitLifecycle.applyDates({ ...data }, current), { actor: user })
+          if (fruit) {
+            events.push({ event: 'fruit.updated', fruit })
+          }
+        } else {
+          fruit = await Fruit.create(fruitLifecycle.applyDates({ readyToEat: false, ...data, owner: user._id }))
+          added.push(fruit._id)
+          events.push({ event: 'fruit.created', fruit })
+          await fruitHistory.created(fruit, user)
+        }
+        existing.set(key, fruit._id)
+        rows.push({ row, status, name: fruit.name, id: fruit._id })
+      } catch (error) {
+        const errors = fieldErrors(error)
+        if (!errors) {
+          throw error
+        }
+        rows.push({ row, status: 'invalid', errors })
+      }
+    }
+  } finally {
+    if (added.length) {
+      await User.updateOne({ _id: user._id }, { $addToSet: { fruits: { $each: added } } })
+    }
+    for (const { event, fruit } of events) {
+      await webhooks.notify(event, fruit, user)
+    }
+  }
+
+  const count = (status) => rows.filter(row => row.status === status).length
+  return {
+    dryRun,
+    duplicates,
+    total: rows.length,
+    created: count('created'),
+    updated: count('updated'),
+    skipped: count('skipped'),
+    invalid: count('invalid'),
+    rows
+  }
+}
+
+exports.COLUMNS = COLUMNS
+exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS
+exports.MAX_NEW_TAGS = MAX_NEW_TAGS
@@ -0,0 +1,71 @@
+const fs = require('fs')
+const path = require('path')
+
+// a store is anything with async save(key, buffer), async read(key) (null when
+// there is no such file), async remove(key) and url(key). pick one with
+// IMAGE_STORAGE=disk|memory, tests get the memory one by default. files are
+// served under UPLOADS_PATH by routes/uploadRoutes.js, which checks access
+const UPLOADS_PATH = '/uploads'
+const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads'
+
+const diskStore = (dir = UPLOAD_DIR) => ({
+  dir,
+  async save(key, buffer) {
+    await fs.promises.mkdir(dir, { recursive: true })
+    await fs.promises.writeFile(path.join(dir, path.basename(key)), buffer)
+  },
+  async read(key) {
+    try {
+      return await fs.promises.readFile(path.join(dir, path.basename(key)))
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw error
+    }
+  },
+  async remove(key) {
+    await fs.promises.rm(path.join(dir, path.basename(key)), { force: true })
+  },
+  url(key) {
+    return `${UPLOADS_PATH}/${key}`
+  }
+})
+
+// keeps files in a map so tests can look at them
+const memoryStore = () => ({
+  files: new Map(),
+  async save(key, buffer) {
+    this.files.set(key, buffer)
+  },
+  async read(key) {
+    return this.files.get(key) || null
+  },
+  async remove(key) {
+    this.files.delete(key)
+  },
+  url(key) {
+    return `${UPLOADS_PATH}/${key}`
+  }
+})
+
+const stores = { disk: diskStore, memory: memoryStore }
+
+const createStore = (name) => {
+  if (!stores[name]) {
+    throw new Error(`unknown image storage ${name}`)
+  }
+  return stores[name]()
+}
+
+let store = createStore(process.env.IMAGE_STORAGE || (process.env.NODE_ENV === 'test' ? 'memory' : 'disk'))
+
+exports.save = (key, buffer) => store.save(key, buffer)
+exports.read = (key) => store.read(key)
+exports.remove = (key) => store.remove(key)
+exports.url = (key) => store.url(key)
+exports.getStore = () => store
+exports.setStore = (next) => { store = next }
+exports.createStore = createStore
+exports.UPLOADS_PATH = UPLOADS_PATH
+exports.UPLOAD_DIR = UPLOAD_DIR
@@ -0,0 +1,75 @@
+const LoginAttempt = require('../models/loginAttempt')
+
+// after the free attempts every failure doubles the wait before the next try
+// (1s, 2s, 4s ... up to MAX_DELAY_SECONDS), and lockoutAfter failures lock
+// the key for LOCKOUT_MINUTES. ips get more room since people share them
+const policies = {
+  account: { freeAttempts: 3, lockoutAfter: 10 },
+  ip: { freeAttempts: 10, lockoutAfter: 50 }
+}
+const MAX_DELAY_SECONDS = 60
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+// failures older than this are forgotten
+const WINDOW_MINUTES = 60
+
+const secondsUntil = (date, now) => Math.ceil((date.getTime() - now) / 1000)
+
+const waitFor = (attempt, now) => {
+  const policy = policies[attempt.key.split(':')[0]]
+  if (attempt.lockedUntil) {
+    return attempt.lockedUntil > now ? secondsUntil(attempt.lockedUntil, now) : 0
+  }
+  const extra = attempt.failures - policy.freeAttempts
+  if (extra <= 0) {
+    return 0
+  }
+  const delay = Math.min(2 ** (extra - 1), MAX_DELAY_SECONDS) * 1000
+  const readyAt = new Date(attempt.lastFailureAt.getTime() + delay)
+  return readyAt > now ? secondsUntil(readyAt, now) : 0
+}
+
+const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`
+
+exports.keysFor = (req, email) => [
+  accountKey(email),
+  `ip:${req.ip}`
+]
+
+// seconds the caller has to wait before trying again, 0 when they may go ahead
+exports.check = async (keys) => {
+  const now = Date.now()
+  const attempts = await LoginAttempt.find({ key: { $in: keys } })
+  let retryAfter = 0
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil <= now) {
+      // the lockout is over, start counting from scratch
+      await attempt.deleteOne()
+      continue
+    }
+    retryAfter = Math.max(retryAfter, waitFor(attempt, now))
+  }
+  return retryAfter
+}
+
+exports.registerFailure = async (keys) => {
+  const now = new Date()
+  for (const key of keys) {
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + WINDOW_MINUTES * 60 * 1000) } },
+      { upsert: true, new: true }
+    )
+    if (!attempt.lockedUntil && attempt.failures >= policies[key.split(':')[0]].lockoutAfter) {
+      attempt.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000)
+      attempt.expiresAt = attempt.lockedUntil
+      await attempt.save()
+    }
+  }
+}
+
+// a good login clears the account's record. the ip record is left alone so
+// one valid account can't be used to reset the counter while spraying others
+exports.reset = (keys) => LoginAttempt.deleteMany({ key: { $in: keys.filter(key => key.startsWith('account:')) } })
+
+// when an account is deleted its record goes with it
+exports.forgetAccount = (email) => LoginAttempt.deleteMany({ key: accountKey(email) })
@@ -0,0 +1,48 @@
+const fs = require('fs')
+const path = require('path')
+
+// a transport is anything with an async send(message) method. pick one with
+// MAIL_TRANSPORT=console|file|memory, tests get the memory one by default
+const MAIL_FROM = process.env.MAIL_FROM || 'Fruits App <no-reply@fruits.local>'
+
+// only says a message went out. bodies hold reset and verification links, which
+// must not end up in the server log, use the file transport to read them locally
+const consoleTransport = () => ({
+  async send(message) {
+    console.log(`[mail] to: ${message.to} subject: ${message.subject}`)
+  }
+})
+
+// writes every message as a json file, handy for poking at mail locally
+const fileTransport = (dir = process.env.MAIL_DIR || 'tmp/mail') => ({
+  dir,
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true })
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2)}.json`)
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2))
+  }
+})
+
+// keeps messages in an array so tests can read them back
+const memoryTransport = () => ({
+  outbox: [],
+  async send(message) {
+    this.outbox.push(message)
+  }
+})
+
+const transports = { console: consoleTransport, file: fileTransport, memory: memoryTransport }
+
+const createTransport = (name) => {
+  if (!transports[name]) {
+    throw new Error(`unknown mail transport ${name}`)
+  }
+  return transports[name]()
+}
+
+let transport = createTransport(process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'console'))
+
+exports.send = (message) => transport.send({ from: MAIL_FROM, ...message })
+exports.getTransport = () => transport
+exports.setTransport = (next) => { transport = next }
+exports.createTransport = createTransport
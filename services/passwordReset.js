@@ -0,0 +1,39 @@
+const User = require('../models/user')
+const Session = require('../models/session')
+const UserToken = require('../models/userToken')
+const mailer = require('./mailer')
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000'
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES) || 30
+
+// always resolves the same way whether or not the email exists, so the
+// endpoints can't be used to find out who has an account
+exports.requestReset = async (email) => {
+  const user = await User.findOne({ email: String(email) })
+  if (!user) {
+    return
+  }
+  const token = await UserToken.issue(user, 'password-reset', RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your Fruits App password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. If it was you, open the link below within ${RESET_TOKEN_TTL_MINUTES} minutes:\n\n${APP_URL}/users/password/reset?token=${token}\n\nIf it wasn't you, you can ignore this email.`
+  })
+}
+
+// returns the user whose password changed, or null when the token is bad
+exports.resetPassword = async (token, password) => {
+  const resetToken = await UserToken.consume(token, 'password-reset')
+  if (!resetToken) {
+    return null
+  }
+  const user = await User.findById(resetToken.user)
+  if (!user) {
+    return null
+  }
+  user.password = password
+  await user.save()
+  // whoever knew the old password shouldn't stay logged in
+  await Session.revokeAll(user._id)
+  return user
+}
@@ -0,0 +1,43 @@
+// a tiny in-process job runner. jobs are registered with every() and only
+// start ticking once start() is called (server.js does, tests don't)
+const jobs = []
+
+const run = async (job) => {
+  // a slow run is never stacked on top of itself
+  if (job.running) {
+    return
+  }
+  job.running = true
+  try {
+    await job.task()
+  } catch (error) {
+    console.error(`[scheduler] ${job.name} failed: ${error.message}`)
+  } finally {
+    job.running = false
+  }
+}
+
+exports.every = (name, intervalMs, task) => {
+  jobs.push({ name, intervalMs, task, running: false, timer: null })
+}
+
+exports.start = () => {
+  jobs.forEach(job => {
+    if (job.timer) {
+      return
+    }
+    job.timer = setInterval(() => run(job), job.intervalMs)
+    // don't keep the process alive just for the timers
+    job.timer.unref()
+    run(job)
+  })
+}
+
+exports.stop = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer)
+    job.timer = null
+  })
+}
+
+exports.jobs = jobs
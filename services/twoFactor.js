@@ -0,0 +1,73 @@
+const crypto = require('crypto')
+const totp = require('./totp')
+const User = require('../models/user')
+
+const ISSUER = process.env.TOTP_ISSUER || 'Fruits App'
+const BACKUP_CODE_COUNT = 10
+
+const hashBackupCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex')
+
+// step one: park a fresh secret on the user until they prove their app has it
+exports.enroll = async (user) => {
+  const secret = totp.generateSecret()
+  user.twoFactor.pendingSecret = secret
+  await user.save()
+  return { secret, otpauthUrl: totp.keyUri({ secret, account: user.email, issuer: ISSUER }) }
+}
+
+// step two: a valid code turns 2fa on. returns the backup codes (shown once)
+// or null when the code is wrong
+exports.confirm = async (user, code) => {
+  const secret = user.twoFactor.pendingSecret
+  const step = secret && totp.verify(secret, code)
+  if (step === null || step === undefined) {
+    return null
+  }
+  const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex')
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`
+  })
+  user.twoFactor.enabled = true
+  user.twoFactor.secret = secret
+  user.twoFactor.pendingSecret = undefined
+  user.twoFactor.lastUsedStep = step
+  user.twoFactor.backupCodes = backupCodes.map(hashBackupCode)
+  await user.save()
+  return backupCodes
+}
+
+// checks an authenticator code or uses up a backup code. a code that was
+// already accepted once is refused, so a shoulder-surfed code can't be replayed.
+// both are conditional updates, of two requests with the same code only the
+// one that changed the user gets in
+exports.verify = async (user, code) => {
+  if (!user.twoFactor.enabled) {
+    return false
+  }
+  const step = totp.verify(user.twoFactor.secret, code)
+  if (step !== null) {
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    )
+    if (modifiedCount) {
+      return true
+    }
+  }
+  const hash = hashBackupCode(code)
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'twoFactor.backupCodes': hash },
+    { $pull: { 'twoFactor.backupCodes': hash } }
+  )
+  return modifiedCount > 0
+}
+
+exports.disable = async (user) => {
+  user.twoFactor = { enabled: false }
+  await user.save()
+}
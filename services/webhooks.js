@@ -0,0 +1,232 @@
+const crypto = require('crypto')
+const dns = require('dns')
+const net = require('net')
+const http = require('http')
+const https = require('https')
+const Webhook = require('../models/webhook')
+const WebhookDelivery = require('../models/webhookDelivery')
+const { version } = require('../package.json')
+
+// outgoing webhooks. trigger() queues a delivery for each of the owner's
+// endpoints that listens to the event and tries it straight away, in the
+// background. a delivery that fails is retried by deliverDue() from the
+// scheduler, waiting twice as long each time, until it has had MAX_ATTEMPTS.
+// the queue is the pending WebhookDelivery documents, so it survives restarts
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 60 * 1000
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000
+// a delivery being sent is claimed for this long, so nothing else sends it
+// too. if the process dies mid-send it is picked up again afterwards
+const CLAIM_MS = TIMEOUT_MS + 30 * 1000
+const BATCH_SIZE = 50
+
+// receivers have to be out on the internet. these ranges reach the server
+// itself or the network it runs in (loopback, private, link-local, which has
+// the cloud metadata endpoints, and the like). ipv4 ranges also cover the same
+// addresses written as ipv4-mapped ipv6
+const PRIVATE_RANGES = new net.BlockList()
+;[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]].forEach(([network, prefix]) => {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4')
+})
+;[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]].forEach(([network, prefix]) => {
+  PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6')
+})
+// tests run their receivers on localhost
+let allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE
+  ? process.env.WEBHOOK_ALLOW_PRIVATE === 'true'
+  : process.env.NODE_ENV === 'test'
+
+const isPrivate = (address) => !allowPrivate && PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')
+
+// 1, 2, 4, 8... times RETRY_BASE_MS after the attempt that failed
+exports.retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+
+// the receiver recomputes this over the raw body with its secret and compares.
+// the timestamp is part of what is signed so an old delivery can't be replayed
+exports.sign = (secret, timestamp, body) =>
+  'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+
+const send = (delivery) => {
+  Promise.resolve(exports.attempt(delivery._id)).catch(error => {
+    console.error(`[webhooks] delivery ${delivery._id} failed: ${error.message}`)
+  })
+}
+
+// why url can't receive webhooks, or null when it can. checked when a webhook
+// is saved and again before every attempt, as the host may move
+exports.refusedUrl = async (url) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '')
+  let addresses
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true })
+  } catch (error) {
+    return `could not find the host ${host}`
+  }
+  return addresses.some(({ address }) => isPrivate(address)) ? 'must not point at a local or private address' : null
+}
+
+// the lookup the request connects with, so a host that changes its answer
+// after the check above still can't reach a private address
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error)
+    }
+    const refused = addresses.find(({ address }) => isPrivate(address))
+    if (refused) {
+      return callback(new Error(`${hostname} resolved to the private address ${refused.address}`))
+    }
+    if (options.all) {
+      return callback(null, addresses)
+    }
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+// queues event for the fruit owner's webhooks and starts sending. the fruit
+// goes out as it is now, with tag ids, and as the rest api shows it to someone
+// it is shared with, so without its shares. returns the queued deliveries
+exports.trigger = async (event, fruit, actor) => {
+  const webhooks = await Webhook.find({ owner: fruit.owner, active: true, events: event })
+  if (!webhooks.length) {
+    return []
+  }
+  const { shares, ...shown } = fruit.toObject({ depopulate: true, versionKey: false })
+  const payload = {
+    event,
+    createdAt: new Date(),
+    actor: actor ? actor._id : null,
+    fruit: shown
+  }
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    owner: webhook.owner,
+    event,
+    payload,
+    nextAttemptAt: new Date()
+  })))
+  deliveries.forEach(send)
+  return deliveries
+}
+
+// for callers that have already made the change: failing to queue the
+// deliveries is only logged, it doesn't undo anything
+exports.notify = async (event, fruit, actor) => {
+  try {
+    await exports.trigger(event, fruit, actor)
+  } catch (error) {
+    console.error(`[webhooks] could not queue ${event} for fruit ${fruit._id}: ${error.message}`)
+  }
+}
+
+// the same payload again as a new delivery, whatever happened to the first one
+exports.redeliver = async (delivery) => {
+  const redelivery = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    owner: delivery.owner,
+    event: delivery.event,
+    payload: delivery.payload,
+    nextAttemptAt: new Date(),
+    redeliveryOf: delivery._id
+  })
+  send(redelivery)
+  return redelivery
+}
+
+// only the status code is kept. what the receiver answers is left unread, so
+// the delivery log can't be used to read pages off hosts it should not reach
+const post = (webhook, delivery, now) => new Promise((resolve, reject) => {
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(now.getTime() / 1000)
+  const url = new URL(webhook.url)
+  const request = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': `fruits-webhooks/${version}`,
+      'X-Fruits-Event': delivery.event,
+      'X-Fruits-Delivery': String(delivery._id),
+      'X-Fruits-Timestamp': String(timestamp),
+      'X-Fruits-Signature': exports.sign(webhook.secret, timestamp, body)
+    },
+    lookup,
+    // redirects are not followed, receivers have to answer 2xx themselves
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  }, (response) => {
+    response.resume()
+    resolve({ responseStatus: response.statusCode })
+  })
+  request.on('error', reject)
+  request.end(body)
+})
+
+// one try at a pending delivery that is due. returns the delivery after the
+// attempt, or null when it wasn't due or something else is sending it
+exports.attempt = async (id, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) },
+    { new: true }
+  )
+  if (!delivery) {
+    return null
+  }
+  const webhook = await Webhook.findById(delivery.webhook)
+  const started = Date.now()
+  let result
+  if (!webhook) {
+    result = { error: 'the webhook was deleted' }
+  } else {
+    try {
+      const refused = await exports.refusedUrl(webhook.url)
+      result = refused ? { error: `the url ${refused}` } : await post(webhook, delivery, now)
+    } catch (error) {
+      result = { error: error.cause ? `${error.message}: ${error.cause.message}` : error.message }
+    }
+  }
+  delivery.attempts.push({ at: now, durationMs: Date.now() - started, ...result })
+  if (result.responseStatus >= 200 && result.responseStatus < 300) {
+    delivery.status = 'delivered'
+    delivery.deliveredAt = new Date()
+    delivery.finishedAt = delivery.deliveredAt
+    delivery.nextAttemptAt = null
+  } else if (!webhook || delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed'
+    delivery.finishedAt = new Date()
+    delivery.nextAttemptAt = null
+  } else {
+    delivery.nextAttemptAt = new Date(now.getTime() + exports.retryDelay(delivery.attempts.length))
+  }
+  await delivery.save()
+  return delivery
+}
+
+// runs from the scheduler: tries every pending delivery that is due, one at a
+// time so a slow endpoint can't have many requests open at once
+exports.deliverDue = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id')
+  const counts = { delivered: 0, retrying: 0, failed: 0 }
+  for (const { _id } of due) {
+    const delivery = await exports.attempt(_id, now)
+    if (delivery) {
+      counts[delivery.status === 'pending' ? 'retrying' : delivery.status] += 1
+    }
+  }
+  return counts
+}
+
+// when an account goes, its webhooks and their logs go with it
+exports.removeFor = async (owner) => {
+  await Webhook.deleteMany({ owner })
+  await WebhookDelivery.deleteMany({ owner })
+}
+
+exports.MAX_ATTEMPTS = MAX_ATTEMPTS
+exports.getAllowPrivate = () => allowPrivate
+exports.setAllowPrivate = (next) => { allowPrivate = next }
@@ -0,0 +1,159 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8084, () => console.log('Testing Access Tokens on PORT 8084'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const Session = require('../models/session')
+const AccessToken = require('../models/accessToken')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await Session.deleteMany({})
+  await AccessToken.deleteMany({})
+})
+
+describe('Personal Access Token Tests', () => {
+  let user, token
+
+  const createToken = (scopes, name = 'import script') => request(app)
+    .post('/api/v1/users/tokens')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name, scopes })
+
+  beforeEach(async () => {
+    user = new User({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    await user.save()
+    token = await user.generateAuthToken()
+  })
+
+  describe('POST /api/users/tokens', () => {
+    test('should create a token and only store its hash', async () => {
+      const response = await createToken(['fruits:read']).expect(201)
+
+      expect(response.body.token).toMatch(/^fpat_/)
+      expect(response.body.accessToken.name).toBe('import script')
+      expect(response.body.accessToken.scopes).toEqual(['fruits:read'])
+      expect(response.body.accessToken.tokenHash).toBeUndefined()
+
+      const stored = await AccessToken.findById(response.body.accessToken._id)
+      expect(stored.tokenHash).not.toBe(response.body.token)
+    })
+
+    test('should refuse unknown scopes', async () => {
+      const response = await createToken(['fruits:eat']).expect(422)
+
+      expect(response.body.error.fields).toHaveProperty('scopes')
+    })
+
+    test('should keep the admin scope for admins', async () => {
+      await createToken(['admin']).expect(422)
+    })
+
+    test('should not let a personal access token create more tokens', async () => {
+      const { body } = await createToken(['fruits:read', 'fruits:write', 'profile:read', 'profile:write'])
+
+      await request(app)
+        .post('/api/v1/users/tokens')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ name: 'sneaky', scopes: ['fruits:read'] })
+        .expect(403)
+    })
+  })
+
+  describe('GET /api/users/tokens', () => {
+    test('should list the caller\'s active tokens', async () => {
+      await createToken(['fruits:read'], 'one')
+      await createToken(['fruits:write'], 'two')
+
+      const response = await request(app)
+        .get('/api/v1/users/tokens')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.body).toHaveLength(2)
+      expect(response.body[0]).toHaveProperty('hint')
+      expect(response.body[0].tokenHash).toBeUndefined()
+    })
+  })
+
+  describe('Using a personal access token', () => {
+    test('should allow routes covered by its scopes', async () => {
+      const { body } = await createToken(['fruits:read'])
+
+      await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(200)
+
+      const stored = await AccessToken.findById(body.accessToken._id)
+      expect(stored.lastUsedAt).toBeDefined()
+    })
+
+    test('should refuse routes outside its scopes', async () => {
+      const { body } = await createToken(['fruits:read'])
+
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ name: 'Apple', color: 'Red' })
+        .expect(403)
+
+      expect(response.body.error.message).toBe('This token is missing the fruits:write scope')
+    })
+
+    test('should create fruits with the fruits:write scope', async () => {
+      const { body } = await createToken(['fruits:write'])
+
+      await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${body.token}`)
+        .send({ name: 'Apple', color: 'Red' })
+        .expect(201)
+    })
+
+    test('should stop working once revoked', async () => {
+      const { body } = await createToken(['fruits:read'])
+
+      await request(app)
+        .delete(`/api/v1/users/tokens/${body.accessToken._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      const response = await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(401)
+
+      expect(response.body.error.message).toBe('Token revoked')
+    })
+
+    test('should not be accepted by the web UI', async () => {
+      const { body } = await createToken(['fruits:read'])
+
+      await request(app)
+        .get('/fruits')
+        .set('Authorization', `Bearer ${body.token}`)
+        .expect(401)
+    })
+  })
+})
@@ -0,0 +1,180 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8083, () => console.log('Testing Admin on PORT 8083'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const Session = require('../models/session')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await Session.deleteMany({})
+})
+
+describe('Admin API Tests', () => {
+  let admin, adminToken, user, userToken, fruit
+
+  beforeEach(async () => {
+    admin = new User({
+      name: 'Ada Admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    })
+    await admin.save()
+    adminToken = await admin.generateAuthToken()
+
+    user = new User({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123'
+    })
+    await user.save()
+    userToken = await user.generateAuthToken()
+
+    fruit = await Fruit.create({ name: 'Apple', color: 'Red', readyToEat: true, owner: user._id })
+    user.fruits.addToSet(fruit._id)
+    await user.save()
+  })
+
+  describe('Permissions', () => {
+    test('should refuse admin routes to regular users', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403)
+
+      expect(response.body.error.message).toBe('Forbidden')
+    })
+
+    test('should not let users make themselves admin', async () => {
+      const response = await request(app)
+        .put(`/api/v1/users/${user._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ role: 'admin' })
+        .expect(422)
+
+      expect(response.body.error.fields.role).toBe('is not an allowed field')
+      expect((await User.findById(user._id)).role).toBe('user')
+    })
+  })
+
+  describe('GET /api/admin/users', () => {
+    test('should list every account', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body).toHaveLength(2)
+      expect(response.body[0].password).toBeUndefined()
+    })
+  })
+
+  describe('POST /api/admin/users/:id/suspend', () => {
+    test('should suspend an account and refuse its tokens', async () => {
+      const response = await request(app)
+        .post(`/api/v1/admin/users/${user._id}/suspend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.suspended).toBe(true)
+
+      await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(401)
+
+      const login = await request(app)
+        .post('/api/v1/users/login')
+        .send({ email: 'john.doe@example.com', password: 'password123' })
+        .expect(403)
+
+      expect(login.body.error.message).toBe('Account suspended')
+    })
+
+    test('should refuse suspended users on web routes', async () => {
+      await User.updateOne({ _id: user._id }, { suspended: true })
+
+      const response = await request(app)
+        .get('/fruits')
+        .set('Cookie', `token=${userToken}`)
+        .expect(401)
+
+      expect(response.body.error.message).toBe('Account suspended')
+    })
+
+    test('should tell suspended users so on the sign in page', async () => {
+      await User.updateOne({ _id: user._id }, { suspended: true })
+
+      const response = await request(app)
+        .post('/users/login')
+        .type('form')
+        .send({ email: user.email, password: 'password123' })
+        .expect(403)
+
+      expect(response.headers['content-type']).toMatch(/html/)
+      expect(response.text).toContain('This account has been suspended.')
+      expect(response.headers['set-cookie']).toBeUndefined()
+    })
+
+    test('should let an admin lift a suspension', async () => {
+      await User.updateOne({ _id: user._id }, { suspended: true })
+
+      const response = await request(app)
+        .post(`/api/v1/admin/users/${user._id}/unsuspend`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.suspended).toBe(false)
+    })
+  })
+
+  describe('DELETE /api/admin/users/:id', () => {
+    test('should delete the account and its fruits', async () => {
+      await request(app)
+        .delete(`/api/v1/admin/users/${user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(await User.findById(user._id)).toBeNull()
+      expect(await Fruit.findById(fruit._id)).toBeNull()
+    })
+  })
+
+  describe('Admin fruit routes', () => {
+    test('should list fruits across accounts', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/fruits')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body).toHaveLength(1)
+      expect(response.body[0].owner.email).toBe('john.doe@example.com')
+    })
+
+    test("should delete any fruit and update the owner's list", async () => {
+      await request(app)
+        .delete(`/api/v1/admin/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200)
+
+      const owner = await User.findById(user._id)
+      expect(owner.fruits).toHaveLength(0)
+    })
+  })
+})
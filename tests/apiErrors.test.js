@@ -0,0 +1,141 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8093, () => console.log('Testing API Errors on PORT 8093'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const Tag = require('../models/tag')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await Tag.deleteMany({})
+})
+
+describe('API Versioning and Error Tests', () => {
+  let user, token
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+  })
+
+  describe('versioning', () => {
+    test('should serve v1 without deprecation headers', async () => {
+      const response = await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.headers.deprecation).toBeUndefined()
+    })
+
+    test('should keep /api working as a deprecated alias', async () => {
+      const response = await request(app)
+        .get('/api/fruits?page=1')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.headers.deprecation).toBe('true')
+      expect(response.headers.link).toContain('</api/v1/fruits>; rel="successor-version"')
+    })
+  })
+
+  describe('error envelope', () => {
+    test('should answer unknown routes with not_found', async () => {
+      const response = await request(app)
+        .get('/api/v1/vegetables')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404)
+
+      expect(response.body).toEqual({
+        error: { code: 'not_found', message: 'GET /api/v1/vegetables does not exist' }
+      })
+    })
+
+    test('should answer missing auth with unauthorized', async () => {
+      const response = await request(app).get('/api/v1/fruits').expect(401)
+      expect(response.body.error).toEqual({ code: 'unauthorized', message: 'Not authorized' })
+    })
+
+    test('should answer malformed json with bad_request', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Content-Type', 'application/json')
+        .send('{"name": ')
+        .expect(400)
+
+      expect(response.body.error.code).toBe('bad_request')
+    })
+
+    test('should answer invalid payloads with validation_failed and the fields', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ color: 'Red' })
+        .expect(422)
+
+      expect(response.body.error).toEqual({
+        code: 'validation_failed',
+        message: 'Validation failed',
+        fields: { name: 'is required' }
+      })
+    })
+
+    test('should answer malformed ids with not_found instead of 400', async () => {
+      const response = await request(app)
+        .put('/api/v1/fruits/not-an-id')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Pear' })
+        .expect(404)
+
+      expect(response.body.error.code).toBe('not_found')
+    })
+
+    test('should answer duplicates with conflict', async () => {
+      await Tag.create({ name: 'tropical', owner: user._id })
+
+      const response = await request(app)
+        .post('/api/v1/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Tropical' })
+        .expect(409)
+
+      expect(response.body.error.code).toBe('conflict')
+      expect(response.body.error.fields).toEqual({ name: 'is already in use' })
+    })
+
+    test('should answer missing permissions with forbidden', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/users')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403)
+
+      expect(response.body.error).toEqual({ code: 'forbidden', message: 'Forbidden' })
+    })
+
+    test('should use the same format on web routes', async () => {
+      const response = await request(app).get('/fruits').expect(401)
+      expect(response.body.error.code).toBe('unauthorized')
+    })
+  })
+})
@@ -0,0 +1,213 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryReplSet } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8087, () => console.log('Testing Bulk Fruits on PORT 8087'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const fruitHistory = require('../services/fruitHistory')
+let mongoServer
+
+// transactions need a replica set, a single node one is enough
+beforeAll(async () => {
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } })
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  jest.restoreAllMocks()
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+})
+
+describe('Bulk Fruit API Tests', () => {
+  let user, token
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+  })
+
+  const bulk = (body) => request(app)
+    .post('/api/v1/fruits/bulk')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body)
+
+  test('should create, update and delete in one request', async () => {
+    const apple = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+    const pear = await Fruit.create({ name: 'Pear', color: 'Green', owner: user._id })
+    user.fruits.addToSet(apple._id, pear._id)
+    await user.save()
+
+    const response = await bulk({
+      operations: [
+        { op: 'create', data: { name: 'Mango', color: 'Orange', quantity: 3 } },
+        { op: 'update', id: apple._id, data: { readyToEat: true } },
+        { op: 'delete', id: pear._id }
+      ]
+    })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body.succeeded).toBe(3)
+    expect(response.body.failed).toBe(0)
+    expect(response.body.results.map(result => result.status)).toEqual([201, 200, 200])
+    expect(response.body.results[0].fruit.name).toBe('Mango')
+    expect((await Fruit.findById(apple._id)).readyToEat).toBe(true)
+    expect(await Fruit.findById(pear._id)).toBeNull()
+
+    const updatedUser = await User.findById(user._id)
+    const ids = updatedUser.fruits.map(id => id.toString())
+    expect(ids).toHaveLength(2)
+    expect(ids).toContain(apple._id.toString())
+    expect(ids).toContain(response.body.results[0].id)
+  })
+
+  test('should not ripen a fruit again for the same ripe date', async () => {
+    const ripeAt = new Date('2024-05-01T00:00:00.000Z')
+    // ripened by the scheduler, then unticked by hand
+    const pear = await Fruit.create({ name: 'Pear', color: 'Green', ripeAt, ripenedAt: ripeAt, readyToEat: false, owner: user._id })
+    const later = new Date('2024-06-01T00:00:00.000Z')
+
+    await bulk({
+      operations: [
+        { op: 'update', id: pear._id, data: { ripeAt: ripeAt.toISOString(), quantity: 2 } }
+      ]
+    }).expect(200)
+    expect((await Fruit.findById(pear._id)).ripenedAt).toEqual(ripeAt)
+
+    // a new date is looked at again
+    await bulk({ operations: [{ op: 'update', id: pear._id, data: { ripeAt: later.toISOString() } }] }).expect(200)
+    expect((await Fruit.findById(pear._id)).ripenedAt).toBeNull()
+  })
+
+  test("should keep the user's list right when an operation throws", async () => {
+    const pear = await Fruit.create({ name: 'Pear', color: 'Green', owner: user._id })
+    user.fruits.addToSet(pear._id)
+    await user.save()
+    jest.spyOn(fruitHistory, 'created').mockRejectedValueOnce(new Error('connection lost'))
+
+    const response = await bulk({
+      operations: [
+        { op: 'delete', id: pear._id },
+        { op: 'create', data: { name: 'Mango', color: 'Orange' } }
+      ]
+    })
+
+    expect(response.statusCode).toBe(500)
+    const mango = await Fruit.findOne({ name: 'Mango' })
+    const ids = (await User.findById(user._id)).fruits.map(id => id.toString())
+    expect(ids).toEqual([mango._id.toString()])
+  })
+
+  test('should report failures per operation and keep the rest', async () => {
+    const response = await bulk({
+      operations: [
+        { op: 'create', data: { name: 'Kiwi', color: 'Brown' } },
+        { op: 'create', data: { name: 'Nameless' } },
+        { op: 'update', id: new mongoose.Types.ObjectId(), data: { color: 'Blue' } },
+        { op: 'squash', id: 'x' }
+      ]
+    })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body.succeeded).toBe(1)
+    expect(response.body.failed).toBe(3)
+    expect(response.body.results[1].status).toBe(422)
+    expect(response.body.results[1].errors.color).toBe('is required')
+    expect(response.body.results[2].status).toBe(404)
+    expect(response.body.results[3].errors.op).toBeDefined()
+    expect(await Fruit.countDocuments({ owner: user._id })).toBe(1)
+  })
+
+  test('should not touch fruits owned by someone else', async () => {
+    const otherUser = await User.create({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123' })
+    const theirFruit = await Fruit.create({ name: 'Plum', color: 'Purple', owner: otherUser._id })
+
+    const response = await bulk({
+      operations: [
+        { op: 'update', id: theirFruit._id, data: { color: 'Green' } },
+        { op: 'delete', id: theirFruit._id }
+      ]
+    })
+
+    expect(response.body.results.map(result => result.status)).toEqual([404, 404])
+    expect((await Fruit.findById(theirFruit._id)).color).toBe('Purple')
+  })
+
+  test('should roll back an atomic batch when one operation fails', async () => {
+    const apple = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+
+    const response = await bulk({
+      atomic: true,
+      operations: [
+        { op: 'create', data: { name: 'Mango', color: 'Orange' } },
+        { op: 'delete', id: apple._id },
+        { op: 'update', id: new mongoose.Types.ObjectId(), data: { color: 'Blue' } }
+      ]
+    })
+
+    expect(response.statusCode).toBe(422)
+    expect(response.body.error.message).toBe('Bulk operation rolled back')
+    expect(response.body.succeeded).toBe(0)
+    expect(response.body.results.map(result => result.status)).toEqual([424, 424, 404])
+    expect(await Fruit.countDocuments({ owner: user._id })).toBe(1)
+    expect(await Fruit.findById(apple._id)).not.toBeNull()
+    expect((await User.findById(user._id)).fruits).toHaveLength(0)
+  })
+
+  test('should reject an atomic batch with invalid operations up front', async () => {
+    const response = await bulk({
+      atomic: true,
+      operations: [
+        { op: 'create', data: { name: 'Mango', color: 'Orange' } },
+        { op: 'create', data: { name: 'Mango', color: 'Orange', owner: 'someone' } }
+      ]
+    })
+
+    expect(response.statusCode).toBe(422)
+    expect(response.body.results[0].status).toBe(424)
+    expect(response.body.results[1].errors.owner).toBe('is not an allowed field')
+    expect(await Fruit.countDocuments({})).toBe(0)
+  })
+
+  test('should commit an atomic batch that succeeds', async () => {
+    const response = await bulk({
+      atomic: true,
+      operations: [
+        { op: 'create', data: { name: 'Mango', color: 'Orange' } },
+        { op: 'create', data: { name: 'Lime', color: 'Green' } }
+      ]
+    })
+
+    expect(response.statusCode).toBe(200)
+    expect(response.body.succeeded).toBe(2)
+    expect(await Fruit.countDocuments({ owner: user._id })).toBe(2)
+    expect((await User.findById(user._id)).fruits).toHaveLength(2)
+  })
+
+  test('should require an operations list', async () => {
+    const response = await bulk({ atomic: true })
+
+    expect(response.statusCode).toBe(422)
+    expect(response.body.error.fields.operations).toBe('is required')
+  })
+
+  test('should cap the batch size', async () => {
+    const operations = Array.from({ length: 501 }, () => ({ op: 'create', data: { name: 'Fig', color: 'Purple' } }))
+    const response = await bulk({ operations })
+
+    expect(response.statusCode).toBe(422)
+    expect(response.body.error.fields.operations).toBe('must have at most 500 items')
+  })
+})
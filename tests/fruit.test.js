@@ -30,7 +30,8 @@ describe('Fruit API Tests', () => {
     user = new User({
       name: 'John Doe',
       email: 'john.doe@example.com',
-      password: 'password123'
+      password: 'password123',
+      emailVerified: true
     })
     await user.save()
     token = await user.generateAuthToken()
@@ -42,12 +43,14 @@ describe('Fruit API Tests', () => {
       const fruit1 = new Fruit({
         name: 'Apple',
         color: 'Red',
-        readyToEat: true
+        readyToEat: true,
+        owner: user._id
       })
       const fruit2 = new Fruit({
         name: 'Banana',
         color: 'Yellow',
-        readyToEat: false
+        readyToEat: false,
+        owner: user._id
       })
       await fruit1.save()
       await fruit2.save()
@@ -57,7 +60,7 @@ describe('Fruit API Tests', () => {
       await user.save()
 
       const response = await request(app)
-        .get('/api/fruits')
+        .get('/api/v1/fruits')
         .set('Authorization', `Bearer ${token}`)
         .expect(200)
 
@@ -70,10 +73,72 @@ describe('Fruit API Tests', () => {
 
     test('should return 401 without token', async () => {
       const response = await request(app)
-        .get('/api/fruits')
+        .get('/api/v1/fruits')
         .expect(401)
 
-      expect(response.text).toBe('Not authorized')
+      expect(response.body.error.message).toBe('Not authorized')
+    })
+  })
+
+  describe('GET /api/fruits filtering, sorting and paging', () => {
+    beforeEach(async () => {
+      await Fruit.create([
+        { name: 'Apple', color: 'Red', readyToEat: true, owner: user._id },
+        { name: 'Banana', color: 'Yellow', readyToEat: false, owner: user._id },
+        { name: 'Cherry', color: 'red', readyToEat: false, owner: user._id },
+        { name: 'Pineapple', color: 'Yellow', readyToEat: true, owner: user._id }
+      ])
+    })
+
+    const list = (query) => request(app)
+      .get(`/api/v1/fruits${query}`)
+      .set('Authorization', `Bearer ${token}`)
+
+    test('should filter by color regardless of case', async () => {
+      const response = await list('?color=RED').expect(200)
+
+      expect(response.body.map(fruit => fruit.name).sort()).toEqual(['Apple', 'Cherry'])
+    })
+
+    test('should filter by readyToEat', async () => {
+      const response = await list('?readyToEat=true').expect(200)
+
+      expect(response.body.map(fruit => fruit.name).sort()).toEqual(['Apple', 'Pineapple'])
+    })
+
+    test('should search names', async () => {
+      const response = await list('?q=apple').expect(200)
+
+      expect(response.body.map(fruit => fruit.name).sort()).toEqual(['Apple', 'Pineapple'])
+    })
+
+    test('should sort by several fields', async () => {
+      const response = await list('?sort=-readyToEat,name').expect(200)
+
+      expect(response.body.map(fruit => fruit.name)).toEqual(['Apple', 'Pineapple', 'Banana', 'Cherry'])
+    })
+
+    test('should refuse unknown sort fields', async () => {
+      const response = await list('?sort=owner').expect(422)
+
+      expect(response.body.error.fields).toHaveProperty('sort')
+    })
+
+    test('should page results with a total count and Link header', async () => {
+      const response = await list('?sort=name&limit=3&page=1').expect(200)
+
+      expect(response.body.map(fruit => fruit.name)).toEqual(['Apple', 'Banana', 'Cherry'])
+      expect(response.headers['x-total-count']).toBe('4')
+      expect(response.headers.link).toContain('/api/v1/fruits?sort=name&limit=3&page=2>; rel="next"')
+      expect(response.headers.link).toContain('rel="last"')
+      expect(response.headers.link).not.toContain('rel="prev"')
+
+      const second = await list('?sort=name&limit=3&page=2').expect(200)
+      expect(second.body.map(fruit => fruit.name)).toEqual(['Pineapple'])
+    })
+
+    test('should cap the page size', async () => {
+      await list('?limit=1000').expect(422)
     })
   })
 
@@ -82,12 +147,13 @@ describe('Fruit API Tests', () => {
       const fruit = new Fruit({
         name: 'Apple',
         color: 'Red',
-        readyToEat: true
+        readyToEat: true,
+        owner: user._id
       })
       await fruit.save()
 
       const response = await request(app)
-        .get(`/api/fruits/${fruit._id}`)
+        .get(`/api/v1/fruits/${fruit._id}`)
         .set('Authorization', `Bearer ${token}`)
         .expect(200)
 
@@ -96,15 +162,15 @@ describe('Fruit API Tests', () => {
       expect(response.body).toHaveProperty('readyToEat', true)
     })
 
-    test('should return 400 for non-existent fruit', async () => {
+    test('should return 404 for non-existent fruit', async () => {
       const fakeId = new mongoose.Types.ObjectId()
 
       const response = await request(app)
-        .get(`/api/fruits/${fakeId}`)
+        .get(`/api/v1/fruits/${fakeId}`)
         .set('Authorization', `Bearer ${token}`)
-        .expect(400)
+        .expect(404)
 
-      expect(response.body).toHaveProperty('message')
+      expect(response.body.error.code).toBe('not_found')
     })
   })
 
@@ -117,7 +183,7 @@ describe('Fruit API Tests', () => {
       }
 
       const response = await request(app)
-        .post('/api/fruits')
+        .post('/api/v1/fruits')
         .set('Authorization', `Bearer ${token}`)
         .send(fruitData)
         .expect(201)
@@ -140,7 +206,7 @@ describe('Fruit API Tests', () => {
       }
 
       const response = await request(app)
-        .post('/api/fruits')
+        .post('/api/v1/fruits')
         .set('Authorization', `Bearer ${token}`)
         .send(fruitData)
         .expect(201)
@@ -148,6 +214,43 @@ describe('Fruit API Tests', () => {
       expect(response.body).toHaveProperty('readyToEat', true)
     })
 
+    test('should return 422 with field errors for invalid fruits', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: '   ', color: 'x'.repeat(31), readyToEat: 'maybe' })
+        .expect(422)
+
+      expect(response.body.error.fields).toEqual({
+        name: 'is required',
+        color: 'must be at most 30 characters',
+        readyToEat: 'must be true or false'
+      })
+    })
+
+    test('should trim fruit names and colors', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: '  Kiwi ', color: ' Green  ' })
+        .expect(201)
+
+      expect(response.body.name).toBe('Kiwi')
+      expect(response.body.color).toBe('Green')
+    })
+
+    test('should refuse to create fruits before the email is verified', async () => {
+      await User.updateOne({ _id: user._id }, { emailVerified: false })
+
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Apple', color: 'Red', readyToEat: true })
+        .expect(403)
+
+      expect(response.body.error.message).toBe('Please verify your email address first')
+    })
+
     test('should return 401 without token', async () => {
       const fruitData = {
         name: 'Apple',
@@ -156,11 +259,11 @@ describe('Fruit API Tests', () => {
       }
 
       const response = await request(app)
-        .post('/api/fruits')
+        .post('/api/v1/fruits')
         .send(fruitData)
         .expect(401)
 
-      expect(response.text).toBe('Not authorized')
+      expect(response.body.error.message).toBe('Not authorized')
     })
   })
 
@@ -169,7 +272,8 @@ describe('Fruit API Tests', () => {
       const fruit = new Fruit({
         name: 'Apple',
         color: 'Red',
-        readyToEat: false
+        readyToEat: false,
+        owner: user._id
       })
       await fruit.save()
 
@@ -180,7 +284,7 @@ describe('Fruit API Tests', () => {
       }
 
       const response = await request(app)
-        .put(`/api/fruits/${fruit._id}`)
+        .put(`/api/v1/fruits/${fruit._id}`)
         .set('Authorization', `Bearer ${token}`)
         .send(updateData)
         .expect(200)
@@ -194,7 +298,8 @@ describe('Fruit API Tests', () => {
       const fruit = new Fruit({
         name: 'Apple',
         color: 'Red',
-        readyToEat: false
+        readyToEat: false,
+        owner: user._id
       })
       await fruit.save()
 
@@ -205,7 +310,7 @@ describe('Fruit API Tests', () => {
       }
 
       const response = await request(app)
-        .put(`/api/fruits/${fruit._id}`)
+        .put(`/api/v1/fruits/${fruit._id}`)
         .set('Authorization', `Bearer ${token}`)
         .send(updateData)
         .expect(200)
@@ -219,35 +324,210 @@ describe('Fruit API Tests', () => {
       const fruit = new Fruit({
         name: 'Apple',
         color: 'Red',
-        readyToEat: true
+        readyToEat: true,
+        owner: user._id
       })
       await fruit.save()
 
       const response = await request(app)
-        .delete(`/api/fruits/${fruit._id}`)
+        .delete(`/api/v1/fruits/${fruit._id}`)
         .set('Authorization', `Bearer ${token}`)
         .expect(200)
 
-      expect(response.body).toHaveProperty('message', 'Fruit successfully deleted')
+      expect(response.body).toHaveProperty('message', 'Fruit moved to trash')
 
-      // Verify fruit is actually deleted
+      // Verify fruit is gone from normal queries but still in the trash
       const deletedFruit = await Fruit.findById(fruit._id)
       expect(deletedFruit).toBeNull()
+      const trashedFruit = await Fruit.findOne({ _id: fruit._id, deletedAt: { $ne: null } })
+      expect(trashedFruit).not.toBeNull()
     })
 
     test('should return 401 without token', async () => {
       const fruit = new Fruit({
         name: 'Apple',
         color: 'Red',
-        readyToEat: true
+        readyToEat: true,
+        owner: user._id
       })
       await fruit.save()
 
       const response = await request(app)
-        .delete(`/api/fruits/${fruit._id}`)
+        .delete(`/api/v1/fruits/${fruit._id}`)
         .expect(401)
 
-      expect(response.text).toBe('Not authorized')
+      expect(response.body.error.message).toBe('Not authorized')
+    })
+
+    test('should remove deleted fruit from user fruits array', async () => {
+      const fruit = new Fruit({
+        name: 'Apple',
+        color: 'Red',
+        readyToEat: true,
+        owner: user._id
+      })
+      await fruit.save()
+      user.fruits.addToSet(fruit._id)
+      await user.save()
+
+      await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      const updatedUser = await User.findById(user._id)
+      expect(updatedUser.fruits).toHaveLength(0)
+    })
+  })
+
+  describe('Trash', () => {
+    let fruit
+
+    beforeEach(async () => {
+      fruit = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+      user.fruits.addToSet(fruit._id)
+      await user.save()
+      await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+    })
+
+    test('should hide deleted fruits from the listing and show', async () => {
+      const list = await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+      expect(list.body).toHaveLength(0)
+
+      await request(app)
+        .get(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404)
+    })
+
+    test('should list deleted fruits in the trash with their purge date', async () => {
+      const response = await request(app)
+        .get('/api/v1/fruits/trash')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.body).toHaveLength(1)
+      expect(response.body[0].name).toBe('Apple')
+      expect(response.body[0].deletedAt).toBeDefined()
+      expect(new Date(response.body[0].purgeAt) > new Date(response.body[0].deletedAt)).toBe(true)
+    })
+
+    test('should restore a deleted fruit', async () => {
+      const response = await request(app)
+        .post(`/api/v1/fruits/${fruit._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.body.name).toBe('Apple')
+      expect(response.body.deletedAt).toBeNull()
+      expect(await Fruit.findById(fruit._id)).not.toBeNull()
+      const updatedUser = await User.findById(user._id)
+      expect(updatedUser.fruits.map(id => id.toString())).toEqual([fruit._id.toString()])
+    })
+
+    test('should return 404 restoring a fruit that is not in the trash', async () => {
+      const live = await Fruit.create({ name: 'Pear', color: 'Green', owner: user._id })
+
+      await request(app)
+        .post(`/api/v1/fruits/${live._id}/restore`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404)
+    })
+
+    test('should not show or restore another user\'s trash', async () => {
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123' })
+      const otherToken = await otherUser.generateAuthToken()
+
+      const trash = await request(app)
+        .get('/api/v1/fruits/trash')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200)
+      expect(trash.body).toHaveLength(0)
+
+      await request(app)
+        .post(`/api/v1/fruits/${fruit._id}/restore`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404)
+    })
+  })
+
+  describe('Fruit ownership', () => {
+    let otherFruit
+
+    beforeEach(async () => {
+      const otherUser = new User({
+        name: 'Jane Doe',
+        email: 'jane.doe@example.com',
+        password: 'password123'
+      })
+      await otherUser.save()
+      otherFruit = new Fruit({
+        name: 'Mango',
+        color: 'Orange',
+        readyToEat: true,
+        owner: otherUser._id
+      })
+      await otherFruit.save()
+      otherUser.fruits.addToSet(otherFruit._id)
+      await otherUser.save()
+    })
+
+    test("should not show another user's fruit", async () => {
+      await request(app)
+        .get(`/api/v1/fruits/${otherFruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404)
+    })
+
+    test("should not update another user's fruit", async () => {
+      await request(app)
+        .put(`/api/v1/fruits/${otherFruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Stolen', color: 'Black' })
+        .expect(404)
+
+      const unchanged = await Fruit.findById(otherFruit._id)
+      expect(unchanged.name).toBe('Mango')
+    })
+
+    test("should not delete another user's fruit", async () => {
+      await request(app)
+        .delete(`/api/v1/fruits/${otherFruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404)
+
+      expect(await Fruit.findById(otherFruit._id)).not.toBeNull()
+    })
+
+    test('should not list fruits smuggled into the fruits array', async () => {
+      user.fruits.addToSet(otherFruit._id)
+      await user.save()
+
+      const response = await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.body).toHaveLength(0)
+    })
+
+    test('should not let the owner be changed on update', async () => {
+      const fruit = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+
+      const response = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Apple', color: 'Red', owner: otherFruit.owner })
+        .expect(422)
+
+      expect(response.body.error.fields.owner).toBe('is not an allowed field')
+      expect((await Fruit.findById(fruit._id)).owner).toEqual(user._id)
     })
   })
 }) 
\ No newline at end of file
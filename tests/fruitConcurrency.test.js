@@ -0,0 +1,229 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8096, () => console.log('Testing Fruit Concurrency on PORT 8096'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const FruitRevision = require('../models/fruitRevision')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await FruitRevision.deleteMany({})
+})
+
+describe('Fruit Concurrency Tests', () => {
+  let user, token, fruit
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+    fruit = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+  })
+
+  describe('ETag', () => {
+    test('should send the version as the ETag', async () => {
+      const response = await request(app)
+        .get(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.headers.etag).toBe('"v1"')
+    })
+
+    test('should answer 304 while the fruit is unchanged', async () => {
+      await request(app)
+        .get(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-None-Match', '"v1"')
+        .expect(304)
+    })
+
+    test('should send the fruit again once it changed', async () => {
+      await Fruit.updateOne({ _id: fruit._id }, { color: 'Green', version: 2 })
+
+      const response = await request(app)
+        .get(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-None-Match', '"v1"')
+        .expect(200)
+
+      expect(response.headers.etag).toBe('"v2"')
+      expect(response.body.color).toBe('Green')
+    })
+  })
+
+  describe('If-Match', () => {
+    test('should update a fruit still at the If-Match version', async () => {
+      const response = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"v1"')
+        .send({ name: 'Apple', color: 'Green' })
+        .expect(200)
+
+      expect(response.headers.etag).toBe('"v2"')
+      expect(response.body.color).toBe('Green')
+    })
+
+    test('should refuse to update a fruit that changed since', async () => {
+      await Fruit.updateOne({ _id: fruit._id }, { color: 'Yellow', version: 2 })
+
+      const response = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"v1"')
+        .send({ name: 'Apple', color: 'Green' })
+        .expect(412)
+
+      expect(response.body.error.code).toBe('precondition_failed')
+      const stored = await Fruit.findById(fruit._id)
+      expect(stored.color).toBe('Yellow')
+      expect(stored.version).toBe(2)
+    })
+
+    test('should take v1 for a fruit saved before versions existed', async () => {
+      const { insertedId } = await Fruit.collection.insertOne({ name: 'Plum', color: 'Purple', owner: user._id, tags: [], deletedAt: null })
+
+      const response = await request(app)
+        .put(`/api/v1/fruits/${insertedId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"v1"')
+        .send({ name: 'Plum', color: 'Red' })
+        .expect(200)
+
+      expect(response.headers.etag).toBe('"v2"')
+      expect((await Fruit.findById(insertedId)).color).toBe('Red')
+
+      // the one before it is still refused
+      await request(app)
+        .put(`/api/v1/fruits/${insertedId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"v1"')
+        .send({ name: 'Plum', color: 'Green' })
+        .expect(412)
+    })
+
+    test('should never match a weak ETag', async () => {
+      await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', 'W/"v1"')
+        .send({ name: 'Apple', color: 'Green' })
+        .expect(412)
+    })
+
+    test('should update whatever the version with If-Match: *', async () => {
+      await Fruit.updateOne({ _id: fruit._id }, { version: 5 })
+
+      const response = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '*')
+        .send({ name: 'Apple', color: 'Green' })
+        .expect(200)
+
+      expect(response.headers.etag).toBe('"v6"')
+    })
+
+    test('should refuse to delete a fruit that changed since', async () => {
+      await Fruit.updateOne({ _id: fruit._id }, { version: 2 })
+
+      await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"v1"')
+        .expect(412)
+
+      expect(await Fruit.findById(fruit._id)).not.toBeNull()
+
+      await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"v2"')
+        .expect(200)
+
+      expect(await Fruit.findById(fruit._id)).toBeNull()
+    })
+
+    test("should still answer 404 for someone else's fruit", async () => {
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane.doe@example.com', password: 'password123' })
+      const theirFruit = await Fruit.create({ name: 'Pear', color: 'Green', owner: otherUser._id })
+
+      await request(app)
+        .put(`/api/v1/fruits/${theirFruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .set('If-Match', '"v1"')
+        .send({ name: 'Pear', color: 'Red' })
+        .expect(404)
+    })
+  })
+
+  describe('edit form', () => {
+    test('should carry the version it was opened at', async () => {
+      const response = await request(app)
+        .get(`/fruits/${fruit._id}/edit`)
+        .set('Cookie', `token=${token}`)
+        .expect(200)
+
+      expect(response.text).toContain('name="version" value="1"')
+    })
+
+    test('should warn instead of saving over a newer version', async () => {
+      await Fruit.updateOne({ _id: fruit._id }, { color: 'Yellow', version: 2 })
+
+      const response = await request(app)
+        .post(`/fruits/${fruit._id}?_method=PUT`)
+        .set('Cookie', `token=${token}`)
+        .type('form')
+        .send({ name: 'Apple', color: 'Green', version: '1' })
+        .expect(412)
+
+      expect(response.text).toContain('Someone else changed this fruit')
+      expect(response.text).toContain('name="version" value="2"')
+      expect((await Fruit.findById(fruit._id)).color).toBe('Yellow')
+    })
+
+    test('should save a fruit saved before versions existed', async () => {
+      const { insertedId } = await Fruit.collection.insertOne({ name: 'Plum', color: 'Purple', owner: user._id, tags: [], deletedAt: null })
+
+      await request(app)
+        .post(`/fruits/${insertedId}?_method=PUT`)
+        .set('Cookie', `token=${token}`)
+        .type('form')
+        .send({ name: 'Plum', color: 'Red', version: '1' })
+        .expect(302)
+
+      expect((await Fruit.findById(insertedId)).color).toBe('Red')
+    })
+
+    test('should save when nobody else changed the fruit', async () => {
+      await request(app)
+        .post(`/fruits/${fruit._id}?_method=PUT`)
+        .set('Cookie', `token=${token}`)
+        .type('form')
+        .send({ name: 'Apple', color: 'Green', version: '1' })
+        .expect(302)
+
+      expect((await Fruit.findById(fruit._id)).color).toBe('Green')
+    })
+  })
+})
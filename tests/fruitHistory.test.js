@@ -0,0 +1,175 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8088, () => console.log('Testing Fruit History on PORT 8088'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const FruitRevision = require('../models/fruitRevision')
+const Tag = require('../models/tag')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await FruitRevision.deleteMany({})
+  await Tag.deleteMany({})
+})
+
+describe('Fruit History Tests', () => {
+  let user, token, fruitId
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+    const response = await request(app)
+      .post('/api/v1/fruits')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Apple', color: 'Green', readyToEat: false })
+      .expect(201)
+    fruitId = response.body._id
+  })
+
+  const history = () => request(app)
+    .get(`/api/v1/fruits/${fruitId}/history`)
+    .set('Authorization', `Bearer ${token}`)
+
+  test('should record the create as version 1', async () => {
+    const response = await history().expect(200)
+
+    expect(response.body).toHaveLength(1)
+    expect(response.body[0].version).toBe(1)
+    expect(response.body[0].action).toBe('create')
+    expect(response.body[0].actor.name).toBe('John Doe')
+    expect(response.body[0].snapshot.color).toBe('Green')
+  })
+
+  test('should record a field level diff for every update', async () => {
+    await request(app)
+      .put(`/api/v1/fruits/${fruitId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Apple', color: 'Red', readyToEat: true })
+      .expect(200)
+
+    const response = await history().expect(200)
+
+    expect(response.body.map(revision => revision.version)).toEqual([2, 1])
+    const [update] = response.body
+    expect(update.action).toBe('update')
+    expect(update.changes).toEqual(expect.arrayContaining([
+      { field: 'color', from: 'Green', to: 'Red' },
+      { field: 'readyToEat', from: false, to: true }
+    ]))
+    expect(update.changes.find(change => change.field === 'name')).toBeUndefined()
+    expect((await Fruit.findById(fruitId)).version).toBe(2)
+  })
+
+  test('should record deletes and restores', async () => {
+    await request(app)
+      .delete(`/api/v1/fruits/${fruitId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+    await request(app)
+      .post(`/api/v1/fruits/${fruitId}/restore`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+
+    const response = await history().expect(200)
+
+    expect(response.body.map(revision => revision.action)).toEqual(['restore', 'delete', 'create'])
+    expect(response.body[1].changes[0].field).toBe('deletedAt')
+  })
+
+  test('should revert to an earlier version', async () => {
+    await request(app)
+      .put(`/api/v1/fruits/${fruitId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Green Apple', color: 'Red' })
+      .expect(200)
+
+    const response = await request(app)
+      .post(`/api/v1/fruits/${fruitId}/revert/1`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+
+    expect(response.body.name).toBe('Apple')
+    expect(response.body.color).toBe('Green')
+    expect(response.body.version).toBe(3)
+
+    const revisions = (await history().expect(200)).body
+    expect(revisions[0].action).toBe('revert')
+    expect(revisions[0].revertedTo).toBe(1)
+  })
+
+  test('should leave deleted tags off when reverting', async () => {
+    const [kept, deleted] = await Tag.create([{ name: 'sweet', owner: user._id }, { name: 'sour', owner: user._id }])
+    await request(app)
+      .put(`/api/v1/fruits/${fruitId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Apple', color: 'Green', tags: [kept._id, deleted._id] })
+      .expect(200)
+    await request(app)
+      .put(`/api/v1/fruits/${fruitId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Apple', color: 'Red' })
+      .expect(200)
+    await request(app)
+      .delete(`/api/v1/tags/${deleted._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+
+    const response = await request(app)
+      .post(`/api/v1/fruits/${fruitId}/revert/2`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+
+    expect(response.body.color).toBe('Green')
+    expect((await Fruit.findById(fruitId)).tags.map(String)).toEqual([kept._id.toString()])
+  })
+
+  test('should return 404 for a version that does not exist', async () => {
+    await request(app)
+      .post(`/api/v1/fruits/${fruitId}/revert/9`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404)
+  })
+
+  test('should not show or revert another user\'s fruit history', async () => {
+    const otherUser = await User.create({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123' })
+    const otherToken = await otherUser.generateAuthToken()
+
+    await request(app)
+      .get(`/api/v1/fruits/${fruitId}/history`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404)
+    await request(app)
+      .post(`/api/v1/fruits/${fruitId}/revert/1`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404)
+  })
+
+  test('should remove the history with the account', async () => {
+    await request(app)
+      .delete(`/api/v1/users/${user._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+
+    expect(await FruitRevision.countDocuments({})).toBe(0)
+  })
+})
@@ -0,0 +1,227 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const sharp = require('sharp')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8091, () => console.log('Testing Fruit Images on PORT 8091'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const FruitRevision = require('../models/fruitRevision')
+const AccessToken = require('../models/accessToken')
+const imageStorage = require('../services/imageStorage')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await FruitRevision.deleteMany({})
+  await AccessToken.deleteMany({})
+  imageStorage.getStore().files.clear()
+})
+
+const makeImage = (width, height, format = 'png') => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 30, b: 30 } }
+})[format]().toBuffer()
+
+describe('Fruit Image Tests', () => {
+  let user, token, fruit
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+    fruit = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+  })
+
+  const upload = (buffer, filename = 'apple.png', contentType = 'image/png') => request(app)
+    .post(`/api/v1/fruits/${fruit._id}/image`)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('image', buffer, { filename, contentType })
+
+  test('should store the photo and a thumbnail', async () => {
+    const response = await upload(await makeImage(2400, 1200)).expect(200)
+
+    const { image } = response.body
+    expect(image.width).toBe(1600)
+    expect(image.height).toBe(800)
+    expect(image.url).toMatch(/^\/uploads\/.+\.webp$/)
+    expect(image.thumbnailUrl).toMatch(/^\/uploads\/.+\.webp$/)
+
+    const files = imageStorage.getStore().files
+    const thumbnail = await sharp(files.get(image.thumbnailKey)).metadata()
+    expect(thumbnail.width).toBe(320)
+    expect(thumbnail.height).toBe(320)
+    expect(files.has(image.key)).toBe(true)
+  })
+
+  test('should remove the old files when the photo is replaced', async () => {
+    const first = await upload(await makeImage(100, 100)).expect(200)
+    await upload(await makeImage(100, 100, 'jpeg'), 'apple.jpg', 'image/jpeg').expect(200)
+
+    const files = imageStorage.getStore().files
+    expect(files.size).toBe(2)
+    expect(files.has(first.body.image.key)).toBe(false)
+  })
+
+  test('should refuse other file types', async () => {
+    const response = await upload(Buffer.from('not an image'), 'apple.txt', 'text/plain').expect(422)
+    expect(response.body.error.fields.image).toBe('must be a jpeg, png or webp image')
+  })
+
+  test('should refuse files that only claim to be images', async () => {
+    const response = await upload(Buffer.from('not an image')).expect(422)
+    expect(response.body.error.fields.image).toBe('must be a jpeg, png or webp image')
+  })
+
+  test('should refuse files over the size limit', async () => {
+    const response = await upload(Buffer.alloc(6 * 1024 * 1024)).expect(422)
+    expect(response.body.error.fields.image).toBe('must be at most 5 MB')
+  })
+
+  test('should require a file', async () => {
+    const response = await request(app)
+      .post(`/api/v1/fruits/${fruit._id}/image`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(422)
+    expect(response.body.error.fields.image).toBe('is required')
+  })
+
+  test('should not let other users change the photo', async () => {
+    const otherUser = await User.create({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123' })
+    token = await otherUser.generateAuthToken()
+
+    await upload(await makeImage(100, 100)).expect(404)
+  })
+
+  test('should delete the photo', async () => {
+    await upload(await makeImage(100, 100)).expect(200)
+
+    const response = await request(app)
+      .delete(`/api/v1/fruits/${fruit._id}/image`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+    expect(response.body.image).toBeUndefined()
+    expect(imageStorage.getStore().files.size).toBe(0)
+  })
+
+  test('should bump the version and record photo changes in the history', async () => {
+    const response = await upload(await makeImage(100, 100)).expect(200)
+    expect(response.headers.etag).toBe('"v2"')
+
+    await request(app)
+      .delete(`/api/v1/fruits/${fruit._id}/image`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('If-Match', '"v1"')
+      .expect(412)
+
+    const [revision] = await FruitRevision.find({ fruit: fruit._id })
+    expect(revision.changes).toEqual([expect.objectContaining({ field: 'image', from: null, to: response.body.image.key })])
+  })
+
+  describe('serving photos', () => {
+    let image
+
+    beforeEach(async () => {
+      image = (await upload(await makeImage(100, 100)).expect(200)).body.image
+    })
+
+    test('should serve the photo to users who can see the fruit', async () => {
+      const response = await request(app)
+        .get(image.thumbnailUrl)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.headers['content-type']).toBe('image/webp')
+      expect((await sharp(response.body).metadata()).width).toBe(100)
+
+      await request(app)
+        .get(image.url)
+        .set('Cookie', `token=${token}`)
+        .expect(200)
+    })
+
+    test('should serve the photo to personal access tokens that can read fruits', async () => {
+      const { token: reader } = await AccessToken.generate(user, { name: 'reader', scopes: ['fruits:read'] })
+      const { token: profileOnly } = await AccessToken.generate(user, { name: 'profile', scopes: ['profile:read'] })
+
+      const response = await request(app)
+        .get(image.url)
+        .set('Authorization', `Bearer ${reader}`)
+        .expect(200)
+      expect(response.headers['content-type']).toBe('image/webp')
+
+      await request(app)
+        .get(image.url)
+        .set('Authorization', `Bearer ${profileOnly}`)
+        .expect(403)
+    })
+
+    test('should not serve the photo to anyone else', async () => {
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123' })
+
+      await request(app).get(image.url).expect(401)
+      await request(app)
+        .get(image.url)
+        .set('Authorization', `Bearer ${await otherUser.generateAuthToken()}`)
+        .expect(404)
+    })
+  })
+
+  describe('web forms', () => {
+    const notAnImage = { filename: 'kiwi.png', contentType: 'image/png' }
+
+    test('should not create the fruit when the photo is bad', async () => {
+      await request(app)
+        .post('/fruits')
+        .set('Cookie', `token=${token}`)
+        .field('name', 'Kiwi')
+        .field('color', 'Brown')
+        .attach('image', Buffer.from('not an image'), notAnImage)
+        .expect(422)
+
+      expect(await Fruit.exists({ name: 'Kiwi' })).toBeNull()
+    })
+
+    test('should not change the fruit when the photo is bad', async () => {
+      await request(app)
+        .post(`/fruits/${fruit._id}?_method=PUT`)
+        .set('Cookie', `token=${token}`)
+        .field('name', 'Apple')
+        .field('color', 'Green')
+        .attach('image', Buffer.from('not an image'), notAnImage)
+        .expect(422)
+
+      expect(await Fruit.findById(fruit._id).lean()).toMatchObject({ color: 'Red', version: 1 })
+    })
+
+    test('should save the photo with the fruit in one change', async () => {
+      await request(app)
+        .post(`/fruits/${fruit._id}?_method=PUT`)
+        .set('Cookie', `token=${token}`)
+        .field('name', 'Apple')
+        .field('color', 'Green')
+        .attach('image', await makeImage(100, 100), { filename: 'apple.png', contentType: 'image/png' })
+        .expect(302)
+
+      const stored = await Fruit.findById(fruit._id)
+      expect(stored.version).toBe(2)
+      expect(stored.color).toBe('Green')
+      expect(imageStorage.getStore().files.has(stored.image.key)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,192 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8086, () => console.log('Testing Fruit Lifecycle on PORT 8086'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const fruitLifecycle = require('../services/fruitLifecycle')
+let mongoServer
+
+const DAY = 24 * 60 * 60 * 1000
+const daysFromNow = (days) => new Date(Date.now() + days * DAY)
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+})
+
+describe('Fruit Lifecycle Tests', () => {
+  let user, token
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+  })
+
+  describe('API fields', () => {
+    test('should store quantity and dates on create', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          name: 'Mango',
+          color: 'Orange',
+          quantity: 4,
+          purchasedAt: '2026-10-01',
+          ripeAt: daysFromNow(2).toISOString(),
+          expiresAt: daysFromNow(9).toISOString()
+        })
+
+      expect(response.statusCode).toBe(201)
+      expect(response.body.quantity).toBe(4)
+      expect(new Date(response.body.purchasedAt).toISOString()).toBe('2026-10-01T00:00:00.000Z')
+      expect(response.body.ripeAt).toBeDefined()
+      expect(response.body.expired).toBe(false)
+      expect(response.body.createdAt).toBeDefined()
+    })
+
+    test('should default quantity to 1', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Kiwi', color: 'Brown' })
+
+      expect(response.statusCode).toBe(201)
+      expect(response.body.quantity).toBe(1)
+    })
+
+    test('should reject bad dates and negative quantities', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Kiwi', color: 'Brown', quantity: -1, expiresAt: 'next tuesday' })
+
+      expect(response.statusCode).toBe(422)
+      expect(response.body.error.fields.quantity).toBeDefined()
+      expect(response.body.error.fields.expiresAt).toBe('must be a valid date')
+    })
+
+    test('should not let clients set expired directly', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Kiwi', color: 'Brown', expired: true })
+
+      expect(response.statusCode).toBe(422)
+      expect(response.body.error.fields.expired).toBe('is not an allowed field')
+    })
+
+    test('should un-expire a fruit when its expiry date is moved forward', async () => {
+      const fruit = await Fruit.create({ name: 'Plum', color: 'Purple', expiresAt: daysFromNow(-1), expired: true, owner: user._id })
+
+      const response = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Plum', color: 'Purple', expiresAt: daysFromNow(5).toISOString() })
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.expired).toBe(false)
+    })
+  })
+
+  describe('updateRipeness', () => {
+    test('should mark fruits ready once their ripe date passes', async () => {
+      const ripe = await Fruit.create({ name: 'Pear', color: 'Green', readyToEat: false, ripeAt: daysFromNow(-1), owner: user._id })
+      const unripe = await Fruit.create({ name: 'Peach', color: 'Orange', readyToEat: false, ripeAt: daysFromNow(3), owner: user._id })
+
+      const result = await fruitLifecycle.updateRipeness()
+
+      expect(result.ripened).toBe(1)
+      expect((await Fruit.findById(ripe._id)).readyToEat).toBe(true)
+      expect((await Fruit.findById(unripe._id)).readyToEat).toBe(false)
+      // so etags move on too
+      expect((await Fruit.findById(ripe._id)).version).toBe(2)
+      expect((await Fruit.findById(unripe._id)).version).toBe(1)
+    })
+
+    test('should only ripen a fruit once', async () => {
+      const fruit = await Fruit.create({ name: 'Pear', color: 'Green', readyToEat: false, ripeAt: daysFromNow(-1), owner: user._id })
+      await fruitLifecycle.updateRipeness()
+      // the user decides it isn't ripe after all
+      await Fruit.updateOne({ _id: fruit._id }, { readyToEat: false })
+
+      const result = await fruitLifecycle.updateRipeness()
+
+      expect(result.ripened).toBe(0)
+      expect((await Fruit.findById(fruit._id)).readyToEat).toBe(false)
+    })
+
+    test('should mark fruits past their expiry date as expired', async () => {
+      const old = await Fruit.create({ name: 'Fig', color: 'Purple', readyToEat: true, expiresAt: daysFromNow(-1), owner: user._id })
+      const fresh = await Fruit.create({ name: 'Lime', color: 'Green', expiresAt: daysFromNow(7), owner: user._id })
+
+      const result = await fruitLifecycle.updateRipeness()
+
+      expect(result.expired).toBe(1)
+      const expired = await Fruit.findById(old._id)
+      expect(expired.expired).toBe(true)
+      expect(expired.readyToEat).toBe(false)
+      expect(expired.version).toBe(2)
+      expect((await Fruit.findById(fresh._id)).expired).toBe(false)
+    })
+  })
+
+  describe('purgeTrash', () => {
+    test('should only remove fruits that have been in the trash past the retention period', async () => {
+      const old = await Fruit.create({ name: 'Old', color: 'Brown', deletedAt: daysFromNow(-(fruitLifecycle.TRASH_RETENTION_DAYS + 1)), owner: user._id })
+      const recent = await Fruit.create({ name: 'Recent', color: 'Brown', deletedAt: daysFromNow(-1), owner: user._id })
+      const live = await Fruit.create({ name: 'Live', color: 'Green', owner: user._id })
+
+      const result = await fruitLifecycle.purgeTrash()
+
+      expect(result.purged).toBe(1)
+      expect(await Fruit.findOne({ _id: old._id, deletedAt: { $ne: null } })).toBeNull()
+      expect(await Fruit.findOne({ _id: recent._id, deletedAt: { $ne: null } })).not.toBeNull()
+      expect(await Fruit.findById(live._id)).not.toBeNull()
+    })
+  })
+
+  describe('GET /api/fruits?expiringWithin=', () => {
+    test('should only list fruits expiring in the next few days', async () => {
+      await Fruit.create([
+        { name: 'Soon', color: 'Red', expiresAt: daysFromNow(2), owner: user._id },
+        { name: 'Later', color: 'Red', expiresAt: daysFromNow(20), owner: user._id },
+        { name: 'Gone', color: 'Red', expiresAt: daysFromNow(-1), expired: true, owner: user._id },
+        { name: 'Never', color: 'Red', owner: user._id }
+      ])
+
+      const response = await request(app)
+        .get('/api/v1/fruits?expiringWithin=3')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(response.statusCode).toBe(200)
+      expect(response.body.map(fruit => fruit.name)).toEqual(['Soon'])
+    })
+
+    test('should reject a non numeric window', async () => {
+      const response = await request(app)
+        .get('/api/v1/fruits?expiringWithin=soon')
+        .set('Authorization', `Bearer ${token}`)
+
+      expect(response.statusCode).toBe(422)
+      expect(response.body.error.fields.expiringWithin).toBeDefined()
+    })
+  })
+})
@@ -0,0 +1,233 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8097, () => console.log('Testing Patch on PORT 8097'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const Tag = require('../models/tag')
+const FruitRevision = require('../models/fruitRevision')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await Tag.deleteMany({})
+  await FruitRevision.deleteMany({})
+})
+
+const MERGE_PATCH = 'application/merge-patch+json'
+const JSON_PATCH = 'application/json-patch+json'
+
+describe('Patch Tests', () => {
+  let user, token, fruit, tag
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+    tag = await Tag.create({ name: 'tropical', owner: user._id })
+    fruit = await Fruit.create({ name: 'Mango', color: 'Orange', readyToEat: true, quantity: 3, tags: [tag._id], owner: user._id })
+  })
+
+  const patchFruit = (type, body, id = fruit._id) => request(app)
+    .patch(`/api/v1/fruits/${id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .type(type)
+    .send(body)
+
+  describe('PUT /api/v1/fruits/:id', () => {
+    test('should replace every field, not only the ones sent', async () => {
+      const response = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Mango', color: 'Green' })
+        .expect(200)
+
+      expect(response.body).toMatchObject({ name: 'Mango', color: 'Green', readyToEat: false, quantity: 1, tags: [] })
+    })
+
+    test('should need the required fields', async () => {
+      const response = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ color: 'Green' })
+        .expect(422)
+
+      expect(response.body.error.fields).toEqual({ name: 'is required' })
+      expect((await Fruit.findById(fruit._id)).color).toBe('Orange')
+    })
+  })
+
+  describe('merge patch', () => {
+    test('should change only the fields in the patch', async () => {
+      const response = await patchFruit(MERGE_PATCH, { color: 'Green' }).expect(200)
+
+      expect(response.body).toMatchObject({ name: 'Mango', color: 'Green', readyToEat: true, quantity: 3, version: 2 })
+      expect(response.body.tags.map(tag => tag.name)).toEqual(['tropical'])
+      expect(response.headers.etag).toBe('"v2"')
+    })
+
+    test('should clear fields set to null', async () => {
+      await Fruit.updateOne({ _id: fruit._id }, { expiresAt: new Date(Date.now() - 1000), expired: true })
+
+      const response = await patchFruit(MERGE_PATCH, { expiresAt: null, tags: null }).expect(200)
+
+      expect(response.body.expiresAt).toBeNull()
+      expect(response.body.expired).toBe(false)
+      expect(response.body.tags).toEqual([])
+    })
+
+    test('should validate the patched fruit', async () => {
+      const response = await patchFruit(MERGE_PATCH, { name: null, color: 'Green' }).expect(422)
+
+      expect(response.body.error.fields).toEqual({ name: 'is required' })
+      expect(await Fruit.findById(fruit._id).lean()).toMatchObject({ name: 'Mango', color: 'Orange', version: 1 })
+    })
+
+    test('should refuse fields that can not be edited', async () => {
+      const response = await patchFruit(MERGE_PATCH, { owner: new mongoose.Types.ObjectId() }).expect(422)
+
+      expect(response.body.error.fields.owner).toBe('is not an allowed field')
+    })
+  })
+
+  describe('json patch', () => {
+    test('should apply the operations in order', async () => {
+      const other = await Tag.create({ name: 'sweet', owner: user._id })
+
+      const response = await patchFruit(JSON_PATCH, [
+        { op: 'test', path: '/color', value: 'Orange' },
+        { op: 'replace', path: '/color', value: 'Yellow' },
+        { op: 'add', path: '/tags/-', value: other._id.toString() },
+        { op: 'copy', from: '/color', path: '/name' }
+      ]).expect(200)
+
+      expect(response.body).toMatchObject({ name: 'Yellow', color: 'Yellow', quantity: 3 })
+      expect(response.body.tags.map(tag => tag.name)).toEqual(['tropical', 'sweet'])
+    })
+
+    test('should change nothing when a test fails', async () => {
+      const response = await patchFruit(JSON_PATCH, [
+        { op: 'replace', path: '/name', value: 'Papaya' },
+        { op: 'test', path: '/color', value: 'Red' }
+      ]).expect(409)
+
+      expect(response.body.error.code).toBe('conflict')
+      expect(response.body.error.message).toContain('operation 1')
+      expect(await Fruit.findById(fruit._id).lean()).toMatchObject({ name: 'Mango', version: 1 })
+      expect(await FruitRevision.countDocuments()).toBe(0)
+    })
+
+    test('should answer a path that is not there with a conflict', async () => {
+      await patchFruit(JSON_PATCH, [{ op: 'remove', path: '/tags/5' }]).expect(409)
+    })
+
+    test('should refuse operations the document does not allow', async () => {
+      const response = await patchFruit(JSON_PATCH, [{ op: 'rename', path: '/name' }]).expect(422)
+
+      expect(response.body.error.code).toBe('validation_failed')
+    })
+
+    test('should refuse a move without a from', async () => {
+      await patchFruit(JSON_PATCH, [{ op: 'move', path: '/name' }]).expect(400)
+    })
+
+    test("should keep tags to the fruit owner's own", async () => {
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane.doe@example.com', password: 'password123' })
+      const theirTag = await Tag.create({ name: 'sour', owner: otherUser._id })
+
+      const response = await patchFruit(JSON_PATCH, [{ op: 'add', path: '/tags/0', value: theirTag._id.toString() }]).expect(422)
+
+      expect(response.body.error.fields.tags).toBe("must be existing tags of the fruit's owner")
+    })
+  })
+
+  describe('PATCH /api/v1/fruits/:id', () => {
+    test('should refuse bodies that are not a patch', async () => {
+      const response = await patchFruit('application/json', { color: 'Green' }).expect(415)
+
+      expect(response.body.error.code).toBe('unsupported_media_type')
+      expect(response.headers['accept-patch']).toBe(`${MERGE_PATCH}, ${JSON_PATCH}`)
+    })
+
+    test('should check If-Match', async () => {
+      await Fruit.updateOne({ _id: fruit._id }, { version: 2 })
+
+      await patchFruit(MERGE_PATCH, { color: 'Green' })
+        .set('If-Match', '"v1"')
+        .expect(412)
+
+      await patchFruit(MERGE_PATCH, { color: 'Green' })
+        .set('If-Match', '"v2"')
+        .expect(200)
+    })
+
+    test("should not reach someone else's fruit", async () => {
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane.doe@example.com', password: 'password123' })
+      const theirFruit = await Fruit.create({ name: 'Pear', color: 'Green', owner: otherUser._id })
+
+      await patchFruit(MERGE_PATCH, { color: 'Red' }, theirFruit._id).expect(404)
+      expect((await Fruit.findById(theirFruit._id)).color).toBe('Green')
+    })
+
+    test('should record the patch in the history', async () => {
+      await patchFruit(MERGE_PATCH, { quantity: 5 }).expect(200)
+
+      const [revision] = await FruitRevision.find({ fruit: fruit._id })
+      expect(revision.changes).toEqual([expect.objectContaining({ field: 'quantity', from: 3, to: 5 })])
+    })
+  })
+
+  describe('PATCH /api/v1/users/:id', () => {
+    const patchUser = (type, body, id = user._id) => request(app)
+      .patch(`/api/v1/users/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .type(type)
+      .send(body)
+
+    test('should change only the fields in a merge patch', async () => {
+      const response = await patchUser(MERGE_PATCH, { name: 'Johnny Doe' }).expect(200)
+
+      expect(response.body).toMatchObject({ name: 'Johnny Doe', email: 'john.doe@example.com', emailVerified: true })
+    })
+
+    test('should change the password with a json patch', async () => {
+      await patchUser(JSON_PATCH, [{ op: 'add', path: '/password', value: 'newpassword123' }]).expect(200)
+
+      await request(app)
+        .post('/api/v1/users/login')
+        .send({ email: 'john.doe@example.com', password: 'newpassword123' })
+        .expect(200)
+    })
+
+    test('should validate the patched account', async () => {
+      const response = await patchUser(JSON_PATCH, [{ op: 'remove', path: '/email' }]).expect(422)
+
+      expect(response.body.error.fields).toEqual({ email: 'is required' })
+      expect((await User.findById(user._id)).email).toBe('john.doe@example.com')
+    })
+
+    test('should only patch your own account', async () => {
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane.doe@example.com', password: 'password123' })
+
+      await patchUser(MERGE_PATCH, { name: 'Stolen' }, otherUser._id).expect(403)
+      expect((await User.findById(otherUser._id)).name).toBe('Jane Doe')
+    })
+  })
+})
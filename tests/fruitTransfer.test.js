@@ -0,0 +1,255 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8092, () => console.log('Testing Fruit Import/Export on PORT 8092'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const Tag = require('../models/tag')
+const FruitRevision = require('../models/fruitRevision')
+const fruitHistory = require('../services/fruitHistory')
+const { MAX_NEW_TAGS } = require('../services/fruitTransfer')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  jest.restoreAllMocks()
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await Tag.deleteMany({})
+  await FruitRevision.deleteMany({})
+})
+
+describe('Fruit Import/Export Tests', () => {
+  let user, token
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+  })
+
+  const importFile = (content, filename, fields = {}) => {
+    const req = request(app)
+      .post('/api/v1/fruits/import')
+      .set('Authorization', `Bearer ${token}`)
+    Object.entries(fields).forEach(([field, value]) => req.field(field, value))
+    return req.attach('file', Buffer.from(content), filename)
+  }
+
+  describe('GET /api/fruits/export', () => {
+    beforeEach(async () => {
+      const tag = await Tag.create({ name: 'tropical', owner: user._id })
+      await Fruit.create({ name: 'Mango, ripe', color: 'Orange', quantity: 2, tags: [tag._id], owner: user._id })
+      await Fruit.create({ name: 'Apple', color: 'Red', readyToEat: true, owner: user._id })
+      await Fruit.create({ name: 'Old Pear', color: 'Green', owner: user._id, deletedAt: new Date() })
+    })
+
+    test('should export the collection as csv', async () => {
+      const response = await request(app)
+        .get('/api/v1/fruits/export?format=csv')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/)
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="fruits-.+\.csv"/)
+      const lines = response.text.trim().split('\r\n')
+      expect(lines[0]).toBe('name,color,readyToEat,quantity,purchasedAt,ripeAt,expiresAt,tags')
+      expect(lines[1]).toBe('"Mango, ripe",Orange,false,2,,,,tropical')
+      expect(lines[2]).toBe('Apple,Red,true,1,,,,')
+      expect(lines).toHaveLength(3)
+    })
+
+    test('should export the collection as json', async () => {
+      const response = await request(app)
+        .get('/api/v1/fruits/export?format=json')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.headers['content-type']).toMatch(/application\/json/)
+      expect(response.body.map(fruit => fruit.name)).toEqual(['Mango, ripe', 'Apple'])
+      expect(response.body[0].tags).toEqual(['tropical'])
+    })
+
+    test('should refuse unknown formats', async () => {
+      const response = await request(app)
+        .get('/api/v1/fruits/export?format=xml')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(422)
+      expect(response.body.error.fields.format).toBe('must be one of csv, json')
+    })
+  })
+
+  describe('POST /api/fruits/import', () => {
+    const CSV = [
+      'name,color,quantity,tags',
+      'Apple,Red,3,tropical;snacks',
+      'Banana,Yellow,,',
+      ',Green,1,',
+      'Kiwi,Brown,lots,'
+    ].join('\n')
+
+    test('should import valid rows and report the invalid ones', async () => {
+      const response = await importFile(CSV, 'fruits.csv').expect(200)
+
+      expect(response.body).toMatchObject({ dryRun: false, total: 4, created: 2, invalid: 2 })
+      expect(response.body.rows[2]).toMatchObject({ row: 3, status: 'invalid', errors: { name: 'is required' } })
+      expect(response.body.rows[3].errors.quantity).toBe('must be a number')
+
+      const apple = await Fruit.findOne({ name: 'Apple' }).populate('tags')
+      expect(apple.quantity).toBe(3)
+      expect(apple.tags.map(tag => tag.name).sort()).toEqual(['snacks', 'tropical'])
+      const updatedUser = await User.findById(user._id)
+      expect(updatedUser.fruits).toHaveLength(2)
+    })
+
+    test("should keep the fruits made before a row that throws on the user's list", async () => {
+      const created = jest.spyOn(fruitHistory, 'created')
+      created.mockImplementationOnce(async () => {}).mockRejectedValueOnce(new Error('connection lost'))
+
+      await importFile('name,color\nApple,Red\nPear,Green\nPlum,Purple', 'fruits.csv').expect(500)
+
+      const names = (await Fruit.find({ _id: { $in: (await User.findById(user._id)).fruits } })).map(fruit => fruit.name)
+      expect(names.sort()).toEqual(['Apple', 'Pear'])
+    })
+
+    test('should only preview a dry run', async () => {
+      const response = await importFile(CSV, 'fruits.csv', { dryRun: 'true' }).expect(200)
+
+      expect(response.body).toMatchObject({ dryRun: true, created: 2, invalid: 2 })
+      expect(await Fruit.countDocuments()).toBe(0)
+      expect(await Tag.countDocuments()).toBe(0)
+    })
+
+    describe('duplicates', () => {
+      const JSON_FILE = JSON.stringify([{ name: 'apple', color: 'Green' }])
+
+      beforeEach(async () => {
+        await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+      })
+
+      test('should skip them by default', async () => {
+        const response = await importFile(JSON_FILE, 'fruits.json').expect(200)
+        expect(response.body.rows[0].status).toBe('skipped')
+        expect(await Fruit.countDocuments()).toBe(1)
+      })
+
+      test('should update them', async () => {
+        const response = await importFile(JSON_FILE, 'fruits.json', { duplicates: 'update' }).expect(200)
+        expect(response.body.rows[0].status).toBe('updated')
+        const apple = await Fruit.findOne({ name: 'Apple' })
+        expect(apple.color).toBe('Green')
+        expect(apple.version).toBe(2)
+      })
+
+      test('should not ripen a fruit again for the same ripe date', async () => {
+        const ripeAt = new Date('2024-05-01T00:00:00.000Z')
+        // ripened by the scheduler, then unticked by hand
+        await Fruit.create({ name: 'Pear', color: 'Green', ripeAt, ripenedAt: ripeAt, readyToEat: false, owner: user._id })
+        const file = JSON.stringify([{ name: 'Pear', color: 'Yellow', ripeAt: ripeAt.toISOString() }])
+
+        await importFile(file, 'fruits.json', { duplicates: 'update' }).expect(200)
+
+        const pear = await Fruit.findOne({ name: 'Pear' })
+        expect(pear.color).toBe('Yellow')
+        expect(pear.ripenedAt).toEqual(ripeAt)
+      })
+
+      test('should create them', async () => {
+        await importFile(JSON_FILE, 'fruits.json', { duplicates: 'create' }).expect(200)
+        expect(await Fruit.countDocuments()).toBe(2)
+      })
+
+      test('should count earlier rows of the same file', async () => {
+        const file = JSON.stringify([{ name: 'Pear', color: 'Green' }, { name: 'PEAR', color: 'Brown' }])
+        const response = await importFile(file, 'fruits.json').expect(200)
+        expect(response.body.rows.map(row => row.status)).toEqual(['created', 'skipped'])
+      })
+    })
+
+    test('should refuse tag names an export could not write back', async () => {
+      const file = JSON.stringify([{ name: 'Apple', color: 'Red', tags: ['sweet;sour'] }])
+      const response = await importFile(file, 'fruits.json').expect(200)
+
+      expect(response.body.rows[0]).toMatchObject({ status: 'invalid', errors: { tags: 'each item must not contain ;' } })
+      expect(await Tag.countDocuments()).toBe(0)
+    })
+
+    test('should stop adding tags past the limit', async () => {
+      await Tag.create({ name: 'tropical', owner: user._id })
+      // MAX_NEW_TAGS new tags, 20 to a row
+      const rows = Array.from({ length: MAX_NEW_TAGS / 20 }, (_, row) => ({
+        name: `Fruit ${row}`,
+        color: 'Red',
+        tags: Array.from({ length: 20 }, (_, index) => `tag ${row * 20 + index}`)
+      }))
+      rows.push({ name: 'Apple', color: 'Red', tags: ['tropical', 'one too many'] }, { name: 'Pear', color: 'Green', tags: ['tropical', 'tag 0'] })
+      const file = JSON.stringify(rows)
+
+      const preview = await importFile(file, 'fruits.json', { dryRun: 'true' }).expect(200)
+      expect(preview.body).toMatchObject({ created: rows.length - 1, invalid: 1 })
+
+      const response = await importFile(file, 'fruits.json').expect(200)
+      expect(response.body).toMatchObject({ created: rows.length - 1, invalid: 1 })
+      expect(response.body.rows.at(-2)).toMatchObject({ status: 'invalid', errors: { tags: `must not add more than ${MAX_NEW_TAGS} new tags in one import` } })
+      expect(await Tag.countDocuments({ owner: user._id })).toBe(MAX_NEW_TAGS + 1)
+    })
+
+    test('should import its own export', async () => {
+      await Fruit.create({ name: 'Mango', color: 'Orange', quantity: 4, expiresAt: new Date('2030-01-01'), owner: user._id })
+      const exported = await request(app)
+        .get('/api/v1/fruits/export?format=csv')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+      await Fruit.deleteMany({})
+
+      const response = await importFile(exported.text, 'fruits.csv').expect(200)
+      expect(response.body.created).toBe(1)
+      const mango = await Fruit.findOne({ name: 'Mango' })
+      expect(mango.quantity).toBe(4)
+      expect(mango.expiresAt.toISOString()).toBe('2030-01-01T00:00:00.000Z')
+    })
+
+    test('should refuse unknown columns', async () => {
+      const response = await importFile('name,colour\nApple,Red', 'fruits.csv').expect(422)
+      expect(response.body.error.fields.file).toMatch(/unknown column "colour"/)
+    })
+
+    test('should refuse broken json', async () => {
+      const response = await importFile('[{"name":', 'fruits.json').expect(422)
+      expect(response.body.error.fields.file).toBe('is not valid json')
+    })
+
+    test('should refuse other file types', async () => {
+      const response = await importFile('hello', 'fruits.pdf').expect(422)
+      expect(response.body.error.fields.file).toBe('must be a csv or json file')
+    })
+
+    test('should refuse bad options', async () => {
+      const response = await importFile(CSV, 'fruits.csv', { duplicates: 'merge' }).expect(422)
+      expect(response.body.error.fields.duplicates).toBe('must be one of skip, update, create')
+    })
+
+    test('should require a file', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits/import')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(422)
+      expect(response.body.error.fields.file).toBe('is required')
+    })
+  })
+})
@@ -0,0 +1,249 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8095, () => console.log('Testing GraphQL on PORT 8095'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const Tag = require('../models/tag')
+const CollectionShare = require('../models/collectionShare')
+const AccessToken = require('../models/accessToken')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  jest.restoreAllMocks()
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await Tag.deleteMany({})
+  await CollectionShare.deleteMany({})
+  await AccessToken.deleteMany({})
+})
+
+describe('GraphQL Tests', () => {
+  let user, token, otherUser
+
+  const graphql = (query, variables, authToken = token) => request(app)
+    .post('/graphql')
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ query, variables })
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+    otherUser = await User.create({
+      name: 'Jane Doe',
+      email: 'jane.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+  })
+
+  test('should need a token like the rest api', async () => {
+    const response = await request(app)
+      .post('/graphql')
+      .send({ query: '{ me { id } }' })
+      .expect(401)
+
+    expect(response.body.error.code).toBe('unauthorized')
+  })
+
+  test('should return the profile and its fruits in one request', async () => {
+    const tag = await Tag.create({ name: 'tropical', owner: user._id })
+    await Fruit.create({ name: 'Mango', color: 'Orange', tags: [tag._id], owner: user._id })
+    await Fruit.create({ name: 'Pear', color: 'Green', owner: otherUser._id })
+
+    const response = await graphql('{ me { name email fruits { name permission tags { name } owner { name } } } }')
+      .expect(200)
+
+    expect(response.body.errors).toBeUndefined()
+    expect(response.body.data.me).toEqual({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      fruits: [{ name: 'Mango', permission: 'owner', tags: [{ name: 'tropical' }], owner: { name: 'John Doe' } }]
+    })
+  })
+
+  test('should filter and page fruits like GET /api/v1/fruits', async () => {
+    await Fruit.create([
+      { name: 'Apple', color: 'Red', readyToEat: true, owner: user._id },
+      { name: 'Cherry', color: 'Red', readyToEat: true, owner: user._id },
+      { name: 'Banana', color: 'Yellow', readyToEat: true, owner: user._id },
+      { name: 'Plum', color: 'Red', readyToEat: true, owner: otherUser._id }
+    ])
+
+    const response = await graphql(
+      'query ($filter: FruitFilter) { fruits(filter: $filter, sort: "-name", limit: 1, page: 2) { items { name } page pages total } }',
+      { filter: { color: 'red' } }
+    ).expect(200)
+
+    expect(response.body.data.fruits).toEqual({ items: [{ name: 'Apple' }], page: 2, pages: 2, total: 2 })
+  })
+
+  test('should include fruits shared with the user', async () => {
+    await Fruit.create({ name: 'Pear', color: 'Green', owner: otherUser._id })
+    await CollectionShare.create({ owner: otherUser._id, user: user._id, permission: 'viewer' })
+
+    const response = await graphql('{ fruits { items { name permission owner { name email } } } }')
+      .expect(200)
+
+    // like the rest api, the owner's email stays hidden from the people they share with
+    expect(response.body.data.fruits.items).toEqual([
+      { name: 'Pear', permission: 'viewer', owner: { name: 'Jane Doe', email: null } }
+    ])
+  })
+
+  test('should look up owners in one query however many fruits there are', async () => {
+    await Fruit.create([
+      { name: 'Apple', color: 'Red', owner: user._id },
+      { name: 'Pear', color: 'Green', owner: otherUser._id },
+      { name: 'Plum', color: 'Purple', owner: otherUser._id }
+    ])
+    await CollectionShare.create({ owner: otherUser._id, user: user._id, permission: 'viewer' })
+    const find = jest.spyOn(User, 'find')
+
+    const response = await graphql('{ fruits { items { owner { name } } } }')
+      .expect(200)
+
+    expect(response.body.data.fruits.items).toHaveLength(3)
+    expect(find).toHaveBeenCalledTimes(1)
+  })
+
+  test("should not reach someone else's fruit", async () => {
+    const fruit = await Fruit.create({ name: 'Pear', color: 'Green', owner: otherUser._id })
+
+    const response = await graphql('query ($id: ID!) { fruit(id: $id) { name } }', { id: fruit._id })
+      .expect(200)
+
+    expect(response.body.data).toBeNull()
+    expect(response.body.errors[0].extensions.code).toBe('not_found')
+  })
+
+  test('should create, update and delete fruits', async () => {
+    const created = await graphql(
+      'mutation ($input: FruitInput!) { createFruit(input: $input) { id name quantity owner { name } } }',
+      { input: { name: ' Kiwi ', color: 'Brown', quantity: 3 } }
+    ).expect(200)
+
+    const { id, ...fruit } = created.body.data.createFruit
+    expect(fruit).toEqual({ name: 'Kiwi', quantity: 3, owner: { name: 'John Doe' } })
+
+    const updated = await graphql(
+      'mutation ($id: ID!) { updateFruit(id: $id, input: { color: "Green" }) { name color version } }',
+      { id }
+    ).expect(200)
+
+    expect(updated.body.data.updateFruit).toEqual({ name: 'Kiwi', color: 'Green', version: 2 })
+
+    const deleted = await graphql('mutation ($id: ID!) { deleteFruit(id: $id) }', { id })
+      .expect(200)
+
+    expect(deleted.body.data.deleteFruit).toBe(id)
+    expect(await Fruit.findById(id)).toBeNull()
+  })
+
+  test('should answer invalid input with the validation fields', async () => {
+    const response = await graphql('mutation { createFruit(input: { name: "   ", color: "Red", quantity: -1 }) { id } }')
+      .expect(200)
+
+    expect(response.body.errors[0].extensions).toEqual({
+      code: 'validation_failed',
+      fields: { name: 'is required', quantity: 'must be at least 0' }
+    })
+    expect(await Fruit.countDocuments()).toBe(0)
+  })
+
+  test('should keep viewers from changing shared fruits', async () => {
+    const fruit = await Fruit.create({
+      name: 'Pear',
+      color: 'Green',
+      owner: otherUser._id,
+      shares: [{ user: user._id, permission: 'viewer' }]
+    })
+
+    const response = await graphql('mutation ($id: ID!) { updateFruit(id: $id, input: { color: "Red" }) { id } }', { id: fruit._id })
+      .expect(200)
+
+    expect(response.body.errors[0].extensions.code).toBe('forbidden')
+    expect((await Fruit.findById(fruit._id)).color).toBe('Green')
+  })
+
+  test('should check access token scopes per field', async () => {
+    const { token: readOnly } = await AccessToken.generate(user, { name: 'reader', scopes: ['fruits:read'] })
+
+    const response = await graphql('mutation { createFruit(input: { name: "Kiwi", color: "Brown" }) { id } }', undefined, readOnly)
+      .expect(200)
+
+    expect(response.body.errors[0].extensions.code).toBe('forbidden')
+  })
+
+  test('should check scopes on nested fields too', async () => {
+    await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+    const { token: profileOnly } = await AccessToken.generate(user, { name: 'profile', scopes: ['profile:read'] })
+    const { token: fruitsOnly } = await AccessToken.generate(user, { name: 'fruits', scopes: ['fruits:read'] })
+
+    const fruits = await graphql('{ me { name fruits { name } } }', undefined, profileOnly)
+      .expect(200)
+
+    expect(fruits.body.data.me).toEqual({ name: 'John Doe', fruits: null })
+    expect(fruits.body.errors[0].extensions.code).toBe('forbidden')
+
+    const owner = await graphql('{ fruits { items { name owner { email } } } }', undefined, fruitsOnly)
+      .expect(200)
+
+    expect(owner.body.data.fruits.items).toEqual([{ name: 'Apple', owner: null }])
+    expect(owner.body.errors[0].extensions.code).toBe('forbidden')
+  })
+
+  test('should refuse documents that do not fit the schema', async () => {
+    const response = await graphql('{ fruits { items { calories } } }')
+      .expect(400)
+
+    expect(response.body.errors[0].message).toContain('calories')
+  })
+
+  test('should refuse queries that nest too deep, fragments included', async () => {
+    const deep = await graphql('{ me { fruits { owner { fruits { owner { name } } } } } }')
+      .expect(400)
+
+    expect(deep.body.errors[0].message).toBe('The query nests 6 fields deep, at most 5 are allowed')
+
+    await graphql('fragment owned on User { fruits { owner { name } } } { me { fruits { owner { ...owned } } } }')
+      .expect(400)
+  })
+
+  test('should cap the fruits listed on a user', async () => {
+    await Fruit.create([
+      { name: 'Apple', color: 'Red', owner: user._id },
+      { name: 'Pear', color: 'Green', owner: user._id }
+    ])
+
+    const response = await graphql('{ me { fruits(limit: 1) { name } } }')
+      .expect(200)
+
+    expect(response.body.data.me.fruits).toEqual([{ name: 'Apple' }])
+  })
+
+  test('should refuse mutations over GET', async () => {
+    await request(app)
+      .get('/graphql')
+      .query({ query: 'mutation { deleteFruit(id: "abc") }' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(405)
+  })
+})
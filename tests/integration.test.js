@@ -5,6 +5,7 @@ const app = require('../app')
 const server = app.listen(8082, () => console.log('Integration Testing on PORT 8082'))
 const User = require('../models/user')
 const Fruit = require('../models/fruit')
+const mailer = require('../services/mailer')
 let mongoServer
 
 beforeAll(async () => {
@@ -21,6 +22,7 @@ afterAll(async () => {
 afterEach(async () => {
   await User.deleteMany({})
   await Fruit.deleteMany({})
+  mailer.getTransport().outbox.length = 0
 })
 
 describe('Integration Tests', () => {
@@ -34,7 +36,7 @@ describe('Integration Tests', () => {
       }
 
       const createResponse = await request(app)
-        .post('/api/users')
+        .post('/api/v1/users')
         .send(userData)
         .expect(201)
 
@@ -44,7 +46,7 @@ describe('Integration Tests', () => {
 
       // Step 2: Login with the created user
       const loginResponse = await request(app)
-        .post('/api/users/login')
+        .post('/api/v1/users/login')
         .send({
           email: userData.email,
           password: userData.password
@@ -56,14 +58,24 @@ describe('Integration Tests', () => {
 
       // Step 3: Get user profile
       const profileResponse = await request(app)
-        .get('/api/users/profile')
+        .get('/api/v1/users/profile')
         .set('Authorization', `Bearer ${loginToken}`)
         .expect(200)
 
       expect(profileResponse.body.user.name).toBe(userData.name)
       expect(profileResponse.body.user.email).toBe(userData.email)
 
-      // Step 4: Create a fruit
+      // Step 4: Verify the email address from the signup email
+      const verifyToken = mailer.getTransport().outbox[0].text.match(/token=(\w+)/)[1]
+
+      const verifyResponse = await request(app)
+        .post('/api/v1/users/verify')
+        .send({ token: verifyToken })
+        .expect(200)
+
+      expect(verifyResponse.body.user.emailVerified).toBe(true)
+
+      // Step 5: Create a fruit
       const fruitData = {
         name: 'Apple',
         color: 'Red',
@@ -71,7 +83,7 @@ describe('Integration Tests', () => {
       }
 
       const createFruitResponse = await request(app)
-        .post('/api/fruits')
+        .post('/api/v1/fruits')
         .set('Authorization', `Bearer ${loginToken}`)
         .send(fruitData)
         .expect(201)
@@ -82,9 +94,9 @@ describe('Integration Tests', () => {
 
       const fruitId = createFruitResponse.body._id
 
-      // Step 5: Get all fruits
+      // Step 6: Get all fruits
       const getFruitsResponse = await request(app)
-        .get('/api/fruits')
+        .get('/api/v1/fruits')
         .set('Authorization', `Bearer ${loginToken}`)
         .expect(200)
 
@@ -92,15 +104,15 @@ describe('Integration Tests', () => {
       expect(getFruitsResponse.body).toHaveLength(1)
       expect(getFruitsResponse.body[0].name).toBe(fruitData.name)
 
-      // Step 6: Get single fruit
+      // Step 7: Get single fruit
       const getFruitResponse = await request(app)
-        .get(`/api/fruits/${fruitId}`)
+        .get(`/api/v1/fruits/${fruitId}`)
         .set('Authorization', `Bearer ${loginToken}`)
         .expect(200)
 
       expect(getFruitResponse.body.name).toBe(fruitData.name)
 
-      // Step 7: Update fruit
+      // Step 8: Update fruit
       const updateData = {
         name: 'Green Apple',
         color: 'Green',
@@ -108,7 +120,7 @@ describe('Integration Tests', () => {
       }
 
       const updateFruitResponse = await request(app)
-        .put(`/api/fruits/${fruitId}`)
+        .put(`/api/v1/fruits/${fruitId}`)
         .set('Authorization', `Bearer ${loginToken}`)
         .send(updateData)
         .expect(200)
@@ -117,17 +129,17 @@ describe('Integration Tests', () => {
       expect(updateFruitResponse.body.color).toBe(updateData.color)
       expect(updateFruitResponse.body.readyToEat).toBe(updateData.readyToEat)
 
-      // Step 8: Delete fruit
+      // Step 9: Delete fruit
       const deleteFruitResponse = await request(app)
-        .delete(`/api/fruits/${fruitId}`)
+        .delete(`/api/v1/fruits/${fruitId}`)
         .set('Authorization', `Bearer ${loginToken}`)
         .expect(200)
 
-      expect(deleteFruitResponse.body.message).toBe('Fruit successfully deleted')
+      expect(deleteFruitResponse.body.message).toBe('Fruit moved to trash')
 
-      // Step 9: Verify fruit is deleted
+      // Step 10: Verify fruit is deleted
       const getFruitsAfterDeleteResponse = await request(app)
-        .get('/api/fruits')
+        .get('/api/v1/fruits')
         .set('Authorization', `Bearer ${loginToken}`)
         .expect(200)
 
@@ -139,26 +151,26 @@ describe('Integration Tests', () => {
     test('should handle authentication errors properly', async () => {
       // Try to access protected route without token
       const noTokenResponse = await request(app)
-        .get('/api/fruits')
+        .get('/api/v1/fruits')
         .expect(401)
 
-      expect(noTokenResponse.text).toBe('Not authorized')
+      expect(noTokenResponse.body.error.message).toBe('Not authorized')
 
       // Try to access protected route with invalid token
       const invalidTokenResponse = await request(app)
-        .get('/api/fruits')
+        .get('/api/v1/fruits')
         .set('Authorization', 'Bearer invalid-token')
         .expect(401)
 
-      expect(invalidTokenResponse.text).toBe('Not authorized')
+      expect(invalidTokenResponse.body.error.message).toBe('Not authorized')
 
       // Try to access protected route with malformed token
       const malformedTokenResponse = await request(app)
-        .get('/api/fruits')
+        .get('/api/v1/fruits')
         .set('Authorization', 'Bearer')
         .expect(401)
 
-      expect(malformedTokenResponse.text).toBe('Not authorized')
+      expect(malformedTokenResponse.body.error.message).toBe('Not authorized')
     })
   })
 
@@ -166,22 +178,23 @@ describe('Integration Tests', () => {
     test('should handle invalid data gracefully', async () => {
       // Try to create user with invalid data
       const invalidUserResponse = await request(app)
-        .post('/api/users')
+        .post('/api/v1/users')
         .send({})
-        .expect(400)
+        .expect(422)
 
-      expect(invalidUserResponse.body).toHaveProperty('message')
+      expect(invalidUserResponse.body.error).toHaveProperty('message')
+      expect(invalidUserResponse.body.error).toHaveProperty('fields')
 
       // Try to login with non-existent user
       const invalidLoginResponse = await request(app)
-        .post('/api/users/login')
+        .post('/api/v1/users/login')
         .send({
           email: 'nonexistent@example.com',
           password: 'password123'
         })
-        .expect(400)
+        .expect(401)
 
-      expect(invalidLoginResponse.body.message).toBe('Invalid login credentials')
+      expect(invalidLoginResponse.body.error.message).toBe('Invalid login credentials')
     })
   })
 }) 
\ No newline at end of file
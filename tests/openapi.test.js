@@ -0,0 +1,135 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8094, () => console.log('Testing OpenAPI on PORT 8094'))
+const apiRoutes = require('../routes/apiRoutes')
+const openapi = require('../openapi')
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+})
+
+// every METHOD /path the api router has, in openapi's {param} style
+const routes = () => apiRoutes.stack
+  .filter(layer => layer.route)
+  .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`))
+
+const documented = () => Object.entries(openapi.paths)
+  .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`))
+
+describe('OpenAPI Tests', () => {
+  describe('document', () => {
+    test('should document every api route and nothing else', () => {
+      expect(documented().sort()).toEqual(routes().sort())
+    })
+
+    test('should serve the document at /api/openapi.json', async () => {
+      const response = await request(app)
+        .get('/api/openapi.json')
+        .expect(200)
+
+      expect(response.body.openapi).toMatch(/^3\./)
+      expect(response.body.servers).toEqual([{ url: '/api/v1' }])
+      expect(response.body.paths['/fruits/{id}'].put.requestBody.content['application/json'].schema.properties)
+        .toHaveProperty('name')
+      expect(response.headers.deprecation).toBeUndefined()
+    })
+
+    test('should serve browsable docs at /api/docs', async () => {
+      const response = await request(app)
+        .get('/api/docs')
+        .expect('Content-Type', /html/)
+        .expect(200)
+
+      expect(response.text).toContain('/api/openapi.json')
+
+      await request(app)
+        .get('/api/docs/swagger-ui-bundle.js')
+        .expect(200)
+    })
+  })
+
+  describe('request checks', () => {
+    let user, token
+
+    beforeEach(async () => {
+      user = await User.create({
+        name: 'John Doe',
+        email: 'john.doe@example.com',
+        password: 'password123',
+        emailVerified: true
+      })
+      token = await user.generateAuthToken()
+    })
+
+    test('should refuse bodies the document does not allow', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Kiwi', color: 'Brown', quantity: 1.5, ripeAt: 'soon', owner: user._id })
+        .expect(422)
+
+      expect(response.body.error.fields).toEqual({
+        quantity: 'must be a whole number',
+        ripeAt: 'must be a valid date',
+        owner: 'is not an allowed field'
+      })
+      expect(await Fruit.countDocuments()).toBe(0)
+    })
+
+    test('should refuse query strings the document does not allow', async () => {
+      const response = await request(app)
+        .get('/api/v1/fruits?page=0&readyToEat=maybe')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(422)
+
+      expect(response.body.error.fields).toEqual({
+        page: 'must be at least 1',
+        readyToEat: 'must be true or false'
+      })
+    })
+
+    test('should answer path ids that can not exist with not_found', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits/not-an-id/restore')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404)
+
+      expect(response.body.error.code).toBe('not_found')
+    })
+
+    test('should check authentication before the request', async () => {
+      await request(app)
+        .post('/api/v1/fruits')
+        .send({ owner: 'someone' })
+        .expect(401)
+    })
+
+    test('should let requests the document allows through', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: ' Kiwi ', color: 'Brown', quantity: '2', expiresAt: '2030-01-01', purchasedAt: null })
+        .expect(201)
+
+      expect(response.body.name).toBe('Kiwi')
+      expect(response.body.quantity).toBe(2)
+    })
+  })
+})
@@ -0,0 +1,290 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8089, () => console.log('Testing Sharing on PORT 8089'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const FruitRevision = require('../models/fruitRevision')
+const CollectionShare = require('../models/collectionShare')
+const Tag = require('../models/tag')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await FruitRevision.deleteMany({})
+  await CollectionShare.deleteMany({})
+  await Tag.deleteMany({})
+})
+
+describe('Sharing Tests', () => {
+  let owner, ownerToken, friend, friendToken, fruit
+
+  beforeEach(async () => {
+    owner = await User.create({ name: 'John Doe', email: 'john@example.com', password: 'password123', emailVerified: true })
+    friend = await User.create({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123', emailVerified: true })
+    ownerToken = await owner.generateAuthToken()
+    friendToken = await friend.generateAuthToken()
+    fruit = await Fruit.create({ name: 'Apple', color: 'Red', owner: owner._id })
+    owner.fruits.addToSet(fruit._id)
+    await owner.save()
+  })
+
+  const shareFruit = (permission) => request(app)
+    .post(`/api/v1/fruits/${fruit._id}/shares`)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send({ email: 'jane@example.com', permission })
+
+  describe('single fruits', () => {
+    test('should share a fruit with another user by email', async () => {
+      const response = await shareFruit('viewer').expect(200)
+
+      expect(response.body.shares).toHaveLength(1)
+      expect(response.body.shares[0].user.email).toBe('jane@example.com')
+      expect(response.body.shares[0].permission).toBe('viewer')
+    })
+
+    test('should list shared fruits for the recipient, marked as shared', async () => {
+      await shareFruit('viewer').expect(200)
+      await Fruit.create({ name: 'Pear', color: 'Green', owner: friend._id })
+
+      const response = await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200)
+
+      expect(response.body).toHaveLength(2)
+      const shared = response.body.find(item => item.name === 'Apple')
+      expect(shared.shared).toBe(true)
+      expect(shared.permission).toBe('viewer')
+      const own = response.body.find(item => item.name === 'Pear')
+      expect(own.shared).toBe(false)
+      expect(own.permission).toBe('owner')
+    })
+
+    test('should let a viewer read but not change the fruit', async () => {
+      await shareFruit('viewer').expect(200)
+
+      const read = await request(app)
+        .get(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200)
+      expect(read.body.shares).toBeUndefined()
+
+      const update = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .send({ name: 'Apple', color: 'Green' })
+        .expect(403)
+      expect(update.body.error.message).toBe('You only have viewer access to this fruit')
+
+      await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(403)
+      expect((await Fruit.findById(fruit._id)).color).toBe('Red')
+    })
+
+    test('should let an editor change and delete the fruit', async () => {
+      await shareFruit('editor').expect(200)
+
+      const update = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .send({ name: 'Apple', color: 'Green' })
+        .expect(200)
+      expect(update.body.color).toBe('Green')
+      expect(update.body.shares).toBeUndefined()
+
+      await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200)
+      expect((await User.findById(owner._id)).fruits).toHaveLength(0)
+    })
+
+    test('should only let the owner manage shares', async () => {
+      await shareFruit('editor').expect(200)
+
+      await request(app)
+        .post(`/api/v1/fruits/${fruit._id}/shares`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .send({ email: 'john@example.com', permission: 'editor' })
+        .expect(404)
+    })
+
+    test('should stop sharing a fruit', async () => {
+      await shareFruit('viewer').expect(200)
+
+      const response = await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}/shares/${friend._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+      expect(response.body.shares).toHaveLength(0)
+
+      await request(app)
+        .get(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(404)
+    })
+
+    test('should move the version on when the shares change', async () => {
+      const shared = await shareFruit('viewer').expect(200)
+      const changed = await shareFruit('editor').expect(200)
+      const unshared = await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}/shares/${friend._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+
+      expect([shared, changed, unshared].map(response => response.headers.etag)).toEqual(['"v2"', '"v3"', '"v4"'])
+      expect(changed.body.shares).toHaveLength(1)
+
+      // a change based on the fruit as it was before the shares moved is refused
+      await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('If-Match', shared.headers.etag)
+        .send({ name: 'Apple', color: 'Green' })
+        .expect(412)
+    })
+
+    test("should offer the owner's tags when an editor's form comes back", async () => {
+      const tropical = await Tag.create({ name: 'tropical', owner: owner._id })
+      const theirs = await Tag.create({ name: 'sour', owner: friend._id })
+      await Fruit.updateOne({ _id: fruit._id }, { tags: [tropical._id] })
+      await shareFruit('editor').expect(200)
+
+      const invalid = await request(app)
+        .post(`/fruits/${fruit._id}?_method=PUT`)
+        .set('Cookie', `token=${friendToken}`)
+        .type('form')
+        .send({ name: '', color: 'Green', tags: [tropical._id.toString()], version: '2' })
+        .expect(422)
+
+      // someone else saved it after the editor opened the form
+      const conflict = await request(app)
+        .post(`/fruits/${fruit._id}?_method=PUT`)
+        .set('Cookie', `token=${friendToken}`)
+        .type('form')
+        .send({ name: 'Apple', color: 'Green', tags: [tropical._id.toString()], version: '1' })
+        .expect(412)
+
+      for (const page of [invalid, conflict]) {
+        expect(page.text).toContain(`id="tag-${tropical._id}"`)
+        expect(page.text).not.toContain(`id="tag-${theirs._id}"`)
+      }
+    })
+
+    test('should reject unknown emails, yourself and bad permissions', async () => {
+      await request(app)
+        .post(`/api/v1/fruits/${fruit._id}/shares`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'nobody@example.com', permission: 'viewer' })
+        .expect(404)
+
+      const self = await request(app)
+        .post(`/api/v1/fruits/${fruit._id}/shares`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'john@example.com', permission: 'viewer' })
+        .expect(422)
+      expect(self.body.error.fields.email).toBe('is your own account')
+
+      const bad = await shareFruit('owner').expect(422)
+      expect(bad.body.error.fields.permission).toBe('must be one of viewer, editor')
+    })
+  })
+
+  describe('collections', () => {
+    const shareCollection = (permission) => request(app)
+      .post('/api/v1/shares')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: 'jane@example.com', permission })
+
+    test('should share every fruit the owner has', async () => {
+      await Fruit.create({ name: 'Plum', color: 'Purple', owner: owner._id })
+      await shareCollection('viewer').expect(200)
+
+      const response = await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200)
+
+      expect(response.body).toHaveLength(2)
+      expect(response.body.every(item => item.shared)).toBe(true)
+    })
+
+    test('should respect the collection permission', async () => {
+      await shareCollection('viewer').expect(200)
+      await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .send({ name: 'Apple', color: 'Green' })
+        .expect(403)
+
+      // sharing again upgrades the permission
+      await shareCollection('editor').expect(200)
+      await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .send({ name: 'Apple', color: 'Green' })
+        .expect(200)
+      expect(await CollectionShare.countDocuments({})).toBe(1)
+    })
+
+    test('should list shares on both sides and let either side end them', async () => {
+      const { body: share } = await shareCollection('viewer').expect(200)
+
+      const given = await request(app)
+        .get('/api/v1/shares')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200)
+      expect(given.body.given[0].user.email).toBe('jane@example.com')
+
+      const received = await request(app)
+        .get('/api/v1/shares')
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200)
+      expect(received.body.received[0].owner.email).toBe('john@example.com')
+
+      await request(app)
+        .delete(`/api/v1/shares/${share._id}`)
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200)
+
+      const response = await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${friendToken}`)
+        .expect(200)
+      expect(response.body).toHaveLength(0)
+    })
+
+    test('should not let strangers see anything', async () => {
+      const stranger = await User.create({ name: 'Sam', email: 'sam@example.com', password: 'password123' })
+      const strangerToken = await stranger.generateAuthToken()
+      await shareCollection('editor').expect(200)
+
+      const response = await request(app)
+        .get('/api/v1/fruits')
+        .set('Authorization', `Bearer ${strangerToken}`)
+        .expect(200)
+      expect(response.body).toHaveLength(0)
+
+      await request(app)
+        .get(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${strangerToken}`)
+        .expect(404)
+    })
+  })
+})
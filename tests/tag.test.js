@@ -0,0 +1,212 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8090, () => console.log('Testing Tags on PORT 8090'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const Tag = require('../models/tag')
+const FruitRevision = require('../models/fruitRevision')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await Tag.deleteMany({})
+  await FruitRevision.deleteMany({})
+})
+
+describe('Tag API Tests', () => {
+  let user, token
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+  })
+
+  const createTag = (name) => request(app)
+    .post('/api/v1/tags')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name })
+
+  describe('tag endpoints', () => {
+    test('should create and list tags', async () => {
+      const response = await createTag('tropical').expect(201)
+      expect(response.body.name).toBe('tropical')
+      await createTag('for smoothies').expect(201)
+
+      const list = await request(app)
+        .get('/api/v1/tags')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+      expect(list.body.map(tag => tag.name)).toEqual(['for smoothies', 'tropical'])
+    })
+
+    test('should refuse duplicate names regardless of case', async () => {
+      await createTag('Tropical').expect(201)
+
+      const response = await createTag('tropical').expect(409)
+      expect(response.body.error.fields.name).toBe('is already in use')
+    })
+
+    test('should refuse names with the separator exports use', async () => {
+      const response = await createTag('sweet;sour').expect(422)
+      expect(response.body.error.fields.name).toBe('must not contain ;')
+    })
+
+    test('should let two users use the same name', async () => {
+      await createTag('tropical').expect(201)
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123' })
+      const otherToken = await otherUser.generateAuthToken()
+
+      await request(app)
+        .post('/api/v1/tags')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ name: 'tropical' })
+        .expect(201)
+    })
+
+    test('should rename a tag', async () => {
+      const { body: tag } = await createTag('tropicl').expect(201)
+
+      const response = await request(app)
+        .put(`/api/v1/tags/${tag._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'tropical' })
+        .expect(200)
+      expect(response.body.name).toBe('tropical')
+      expect(response.body._id).toBe(tag._id)
+    })
+
+    test('should delete a tag and take it off every fruit', async () => {
+      const { body: tag } = await createTag('tropical').expect(201)
+      const fruit = await Fruit.create({ name: 'Mango', color: 'Orange', tags: [tag._id], owner: user._id })
+
+      await request(app)
+        .delete(`/api/v1/tags/${tag._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(await Tag.findById(tag._id)).toBeNull()
+      const untagged = await Fruit.findById(fruit._id)
+      expect(untagged.tags).toHaveLength(0)
+      // a change like any other, so etags move on and it shows in the history
+      expect(untagged.version).toBe(2)
+      const revision = await FruitRevision.findOne({ fruit: fruit._id, version: 2 })
+      expect(revision.changes).toEqual([expect.objectContaining({ field: 'tags', from: [tag._id], to: [] })])
+    })
+
+    test('should not touch another user\'s tags', async () => {
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123' })
+      const theirTag = await Tag.create({ name: 'sour', owner: otherUser._id })
+
+      await request(app)
+        .put(`/api/v1/tags/${theirTag._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'sweet' })
+        .expect(404)
+      await request(app)
+        .delete(`/api/v1/tags/${theirTag._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404)
+    })
+  })
+
+  describe('tagged fruits', () => {
+    let tropical, sour
+
+    beforeEach(async () => {
+      tropical = await Tag.create({ name: 'tropical', owner: user._id })
+      sour = await Tag.create({ name: 'sour', owner: user._id })
+    })
+
+    test('should create a fruit with tags and show their names', async () => {
+      const response = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Mango', color: 'Orange', tags: [tropical._id.toString()] })
+        .expect(201)
+
+      expect(response.body.tags).toEqual([{ _id: tropical._id.toString(), name: 'tropical' }])
+    })
+
+    test('should refuse tags that belong to someone else or are not ids', async () => {
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123' })
+      const theirTag = await Tag.create({ name: 'sour', owner: otherUser._id })
+
+      const foreign = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Mango', color: 'Orange', tags: [theirTag._id.toString()] })
+        .expect(422)
+      expect(foreign.body.error.fields.tags).toBe("must be existing tags of the fruit's owner")
+
+      const invalid = await request(app)
+        .post('/api/v1/fruits')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Mango', color: 'Orange', tags: ['tropical'] })
+        .expect(422)
+      expect(invalid.body.error.fields.tags).toBe('each item must be a valid id')
+    })
+
+    test('should change and clear tags on update', async () => {
+      const fruit = await Fruit.create({ name: 'Lime', color: 'Green', tags: [tropical._id], owner: user._id })
+
+      const changed = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Lime', color: 'Green', tags: [sour._id.toString()] })
+        .expect(200)
+      expect(changed.body.tags.map(tag => tag.name)).toEqual(['sour'])
+
+      const cleared = await request(app)
+        .put(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Lime', color: 'Green', tags: [] })
+        .expect(200)
+      expect(cleared.body.tags).toEqual([])
+    })
+
+    test('should filter the listing by tag id or name', async () => {
+      await Fruit.create([
+        { name: 'Mango', color: 'Orange', tags: [tropical._id], owner: user._id },
+        { name: 'Lime', color: 'Green', tags: [tropical._id, sour._id], owner: user._id },
+        { name: 'Apple', color: 'Red', owner: user._id }
+      ])
+
+      const byId = await request(app)
+        .get(`/api/v1/fruits?tag=${sour._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+      expect(byId.body.map(fruit => fruit.name)).toEqual(['Lime'])
+
+      const byName = await request(app)
+        .get('/api/v1/fruits?tag=Tropical&sort=name')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+      expect(byName.body.map(fruit => fruit.name)).toEqual(['Lime', 'Mango'])
+
+      const unknown = await request(app)
+        .get('/api/v1/fruits?tag=crunchy')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+      expect(unknown.body).toHaveLength(0)
+    })
+  })
+})
@@ -0,0 +1,216 @@
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8085, () => console.log('Testing Two-Factor on PORT 8085'))
+const User = require('../models/user')
+const Session = require('../models/session')
+const LoginAttempt = require('../models/loginAttempt')
+const totp = require('../services/totp')
+let mongoServer
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Session.deleteMany({})
+  await LoginAttempt.deleteMany({})
+})
+
+describe('Two-Factor Authentication Tests', () => {
+  let user, token
+
+  // codes are single use, so later steps use the code from the next time window
+  const nextCode = (secret) => totp.generate(secret, Date.now() + 30 * 1000)
+
+  const enable = async () => {
+    const enroll = await request(app)
+      .post('/api/v1/users/2fa/enroll')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+    const confirm = await request(app)
+      .post('/api/v1/users/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totp.generate(enroll.body.secret) })
+      .expect(200)
+    return { secret: enroll.body.secret, backupCodes: confirm.body.backupCodes }
+  }
+
+  const login = () => request(app)
+    .post('/api/v1/users/login')
+    .send({ email: 'john.doe@example.com', password: 'password123' })
+
+  beforeEach(async () => {
+    user = new User({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123'
+    })
+    await user.save()
+    token = await user.generateAuthToken()
+  })
+
+  describe('Enrollment', () => {
+    test('should return a provisioning uri', async () => {
+      const response = await request(app)
+        .post('/api/v1/users/2fa/enroll')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.body.secret).toMatch(/^[A-Z2-7]+$/)
+      expect(response.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//)
+      expect(response.body.otpauthUrl).toContain(`secret=${response.body.secret}`)
+    })
+
+    test('should only switch on after a valid code', async () => {
+      await request(app)
+        .post('/api/v1/users/2fa/enroll')
+        .set('Authorization', `Bearer ${token}`)
+
+      await request(app)
+        .post('/api/v1/users/2fa/confirm')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' })
+        .expect(400)
+
+      expect((await User.findById(user._id)).twoFactor.enabled).toBe(false)
+    })
+
+    test('should hand out backup codes and hide the secret', async () => {
+      const { backupCodes } = await enable()
+
+      expect(backupCodes).toHaveLength(10)
+
+      const profile = await request(app)
+        .get('/api/v1/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(profile.body.user.twoFactor).toEqual({ enabled: true })
+    })
+  })
+
+  describe('Login with 2FA', () => {
+    test('should return a challenge instead of a token', async () => {
+      await enable()
+
+      const response = await login().expect(200)
+
+      expect(response.body.twoFactorRequired).toBe(true)
+      expect(response.body).toHaveProperty('challenge')
+      expect(response.body.token).toBeUndefined()
+    })
+
+    test('should not accept the challenge as an access token', async () => {
+      await enable()
+      const { body } = await login()
+
+      await request(app)
+        .get('/api/v1/users/profile')
+        .set('Authorization', `Bearer ${body.challenge}`)
+        .expect(401)
+    })
+
+    test('should issue tokens for a valid code', async () => {
+      const { secret } = await enable()
+      const { body } = await login()
+
+      const response = await request(app)
+        .post('/api/v1/users/login/2fa')
+        .send({ challenge: body.challenge, code: nextCode(secret) })
+        .expect(200)
+
+      expect(response.body).toHaveProperty('token')
+      expect(response.body).toHaveProperty('refreshToken')
+    })
+
+    test('should refuse a wrong or reused code', async () => {
+      const { secret } = await enable()
+      const { body } = await login()
+
+      await request(app)
+        .post('/api/v1/users/login/2fa')
+        .send({ challenge: body.challenge, code: '000000' })
+        .expect(401)
+
+      // the code used to confirm enrollment can't be played again
+      await request(app)
+        .post('/api/v1/users/login/2fa')
+        .send({ challenge: body.challenge, code: totp.generate(secret) })
+        .expect(401)
+    })
+
+    test('should accept a code only once when it is sent twice at the same time', async () => {
+      const { secret } = await enable()
+      const { body } = await login()
+      const code = nextCode(secret)
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/v1/users/login/2fa')
+        .send({ challenge: body.challenge, code })))
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401])
+    })
+
+    test('should accept each backup code once', async () => {
+      const { backupCodes } = await enable()
+      const { body } = await login()
+
+      await request(app)
+        .post('/api/v1/users/login/2fa')
+        .send({ challenge: body.challenge, code: backupCodes[0] })
+        .expect(200)
+
+      await request(app)
+        .post('/api/v1/users/login/2fa')
+        .send({ challenge: body.challenge, code: backupCodes[0] })
+        .expect(401)
+    })
+
+    test('should handle the second step in the web sign in flow', async () => {
+      const { secret } = await enable()
+
+      const signIn = await request(app)
+        .post('/users/login')
+        .type('form')
+        .send({ email: 'john.doe@example.com', password: 'password123' })
+        .expect(200)
+
+      expect(signIn.text).toMatch(/Two-Factor Sign In/)
+      const challenge = signIn.text.match(/name="challenge" value="([^"]+)"/)[1]
+
+      const response = await request(app)
+        .post('/users/login/2fa')
+        .type('form')
+        .send({ challenge, code: nextCode(secret) })
+        .expect(302)
+
+      expect(response.headers.location).toBe('/fruits')
+      expect(response.headers['set-cookie'].some(c => c.startsWith('token='))).toBe(true)
+    })
+  })
+
+  describe('Disabling', () => {
+    test('should turn 2FA off with a valid code', async () => {
+      const { secret } = await enable()
+
+      await request(app)
+        .post('/api/v1/users/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: nextCode(secret) })
+        .expect(200)
+
+      const response = await login().expect(200)
+      expect(response.body).toHaveProperty('token')
+    })
+  })
+})
@@ -3,7 +3,12 @@ const mongoose = require('mongoose')
 const { MongoMemoryServer } = require('mongodb-memory-server')
 const app = require('../app')
 const server = app.listen(8080, () => console.log('Testing on PORT 8080'))
+const jwt = require('jsonwebtoken')
 const User = require('../models/user')
+const Session = require('../models/session')
+const UserToken = require('../models/userToken')
+const LoginAttempt = require('../models/loginAttempt')
+const mailer = require('../services/mailer')
 let mongoServer
 
 beforeAll(async () => {
@@ -19,6 +24,10 @@ afterAll(async () => {
 
 afterEach(async () => {
   await User.deleteMany({})
+  await Session.deleteMany({})
+  await UserToken.deleteMany({})
+  await LoginAttempt.deleteMany({})
+  mailer.getTransport().outbox.length = 0
 })
 
 describe('User API Tests', () => {
@@ -31,7 +40,7 @@ describe('User API Tests', () => {
       }
 
       const response = await request(app)
-        .post('/api/users')
+        .post('/api/v1/users')
         .send(userData)
         .expect(201)
 
@@ -42,18 +51,61 @@ describe('User API Tests', () => {
       expect(response.body.user.password).toBeUndefined() // Password should not be returned
     })
 
-    test('should return 400 for invalid user data', async () => {
+    test('should return 422 for invalid user data', async () => {
       const invalidUserData = {
         name: 'John Doe'
         // Missing email and password
       }
 
       const response = await request(app)
-        .post('/api/users')
+        .post('/api/v1/users')
         .send(invalidUserData)
-        .expect(400)
+        .expect(422)
 
-      expect(response.body).toHaveProperty('message')
+      expect(response.body.error).toHaveProperty('message')
+      expect(response.body.error.fields).toEqual({
+        email: 'is required',
+        password: 'is required'
+      })
+    })
+
+    test('should normalize the email address', async () => {
+      const response = await request(app)
+        .post('/api/v1/users')
+        .send({ name: '  John Doe ', email: ' John.Doe@Example.com ', password: 'password123' })
+        .expect(201)
+
+      expect(response.body.user.name).toBe('John Doe')
+      expect(response.body.user.email).toBe('john.doe@example.com')
+    })
+
+    test('should refuse a duplicate email', async () => {
+      await new User({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123' }).save()
+
+      const response = await request(app)
+        .post('/api/v1/users')
+        .send({ name: 'Other John', email: 'JOHN.DOE@example.com', password: 'password123' })
+        .expect(409)
+
+      expect(response.body.error.fields.email).toBe('is already in use')
+    })
+
+    test('should refuse a weak password', async () => {
+      const response = await request(app)
+        .post('/api/v1/users')
+        .send({ name: 'John Doe', email: 'john.doe@example.com', password: 'short' })
+        .expect(422)
+
+      expect(response.body.error.fields.password).toBe('must be at least 8 characters')
+    })
+
+    test('should refuse unknown fields', async () => {
+      const response = await request(app)
+        .post('/api/v1/users')
+        .send({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123', role: 'admin' })
+        .expect(422)
+
+      expect(response.body.error.fields.role).toBe('is not an allowed field')
     })
   })
 
@@ -74,13 +126,14 @@ describe('User API Tests', () => {
       }
 
       const response = await request(app)
-        .post('/api/users/login')
+        .post('/api/v1/users/login')
         .send(loginData)
         .expect(200)
 
       expect(response.body).toHaveProperty('user')
       expect(response.body).toHaveProperty('token')
       expect(response.body.user.email).toBe(loginData.email)
+      expect(response.body).toHaveProperty('refreshToken')
     })
 
     test('should return 400 for invalid credentials', async () => {
@@ -90,12 +143,11 @@ describe('User API Tests', () => {
       }
 
       const response = await request(app)
-        .post('/api/users/login')
+        .post('/api/v1/users/login')
         .send(invalidLoginData)
-        .expect(400)
+        .expect(401)
 
-      expect(response.body).toHaveProperty('message')
-      expect(response.body.message).toBe('Invalid login credentials')
+      expect(response.body.error.message).toBe('Invalid login credentials')
     })
   })
 
@@ -114,7 +166,7 @@ describe('User API Tests', () => {
 
     test('should get user profile with valid token', async () => {
       const response = await request(app)
-        .get('/api/users/profile')
+        .get('/api/v1/users/profile')
         .set('Authorization', `Bearer ${token}`)
         .expect(200)
 
@@ -125,19 +177,19 @@ describe('User API Tests', () => {
 
     test('should return 401 without token', async () => {
       const response = await request(app)
-        .get('/api/users/profile')
+        .get('/api/v1/users/profile')
         .expect(401)
 
-      expect(response.text).toBe('Not authorized')
+      expect(response.body.error.message).toBe('Not authorized')
     })
 
     test('should return 401 with invalid token', async () => {
       const response = await request(app)
-        .get('/api/users/profile')
+        .get('/api/v1/users/profile')
         .set('Authorization', 'Bearer invalidtoken')
         .expect(401)
 
-      expect(response.text).toBe('Not authorized')
+      expect(response.body.error.message).toBe('Not authorized')
     })
   })
 
@@ -161,7 +213,7 @@ describe('User API Tests', () => {
       }
 
       const response = await request(app)
-        .put(`/api/users/${user._id}`)
+        .put(`/api/v1/users/${user._id}`)
         .set('Authorization', `Bearer ${token}`)
         .send(updateData)
         .expect(200)
@@ -175,13 +227,40 @@ describe('User API Tests', () => {
       const updateData = { name: 'Jane Doe' }
 
       const response = await request(app)
-        .put(`/api/users/${fakeId}`)
+        .put(`/api/v1/users/${fakeId}`)
         .set('Authorization', `Bearer ${token}`)
         .send(updateData)
         .expect(404)
 
-      expect(response.body).toHaveProperty('message')
-      expect(response.body.message).toBe('User not found')
+      expect(response.body.error.message).toBe('User not found')
+    })
+
+    test('should not let arbitrary fields be set', async () => {
+      const response = await request(app)
+        .put(`/api/v1/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ fruits: [new mongoose.Types.ObjectId()] })
+        .expect(422)
+
+      expect(response.body.error.fields.fruits).toBe('is not an allowed field')
+    })
+
+    test('should return 403 when updating another user', async () => {
+      const otherUser = new User({
+        name: 'Jane Doe',
+        email: 'jane.doe@example.com',
+        password: 'password123'
+      })
+      await otherUser.save()
+
+      await request(app)
+        .put(`/api/v1/users/${otherUser._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Hacked' })
+        .expect(403)
+
+      const unchanged = await User.findById(otherUser._id)
+      expect(unchanged.name).toBe('Jane Doe')
     })
   })
 
@@ -200,7 +279,7 @@ describe('User API Tests', () => {
 
     test('should delete user successfully', async () => {
       const response = await request(app)
-        .delete(`/api/users/${user._id}`)
+        .delete(`/api/v1/users/${user._id}`)
         .set('Authorization', `Bearer ${token}`)
         .expect(200)
 
@@ -212,12 +291,550 @@ describe('User API Tests', () => {
       expect(deletedUser).toBeNull()
     })
 
+    test('should take the account\'s sessions, mailed tokens and login failures with it', async () => {
+      await UserToken.issue(user, 'password-reset', 60 * 60 * 1000)
+      await LoginAttempt.create({ key: 'account:john.doe@example.com', failures: 2, expiresAt: new Date(Date.now() + 60 * 60 * 1000) })
+
+      await request(app)
+        .delete(`/api/v1/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(await Session.countDocuments({ user: user._id })).toBe(0)
+      expect(await UserToken.countDocuments({ user: user._id })).toBe(0)
+      expect(await LoginAttempt.countDocuments()).toBe(0)
+    })
+
     test('should return 401 without token', async () => {
       const response = await request(app)
-        .delete(`/api/users/${user._id}`)
+        .delete(`/api/v1/users/${user._id}`)
+        .expect(401)
+
+      expect(response.body.error.message).toBe('Not authorized')
+    })
+  })
+
+  describe('Web session cookie', () => {
+    let user
+
+    beforeEach(async () => {
+      user = new User({
+        name: 'John Doe',
+        email: 'john.doe@example.com',
+        password: 'password123'
+      })
+      await user.save()
+    })
+
+    test('should send a new user to sign in without opening a session', async () => {
+      const response = await request(app)
+        .post('/users')
+        .type('form')
+        .send({ name: 'Jane Doe', email: 'jane.doe@example.com', password: 'password123' })
+        .expect(302)
+
+      expect(response.headers.location).toBe('/users/login')
+      const jane = await User.findOne({ email: 'jane.doe@example.com' })
+      expect(await Session.countDocuments({ user: jane._id })).toBe(0)
+    })
+
+    test('should set an httpOnly session cookie on login', async () => {
+      const response = await request(app)
+        .post('/users/login')
+        .type('form')
+        .send({ email: 'john.doe@example.com', password: 'password123' })
+        .expect(302)
+
+      expect(response.headers.location).toBe('/fruits')
+      const cookie = response.headers['set-cookie'].find(c => c.startsWith('token='))
+      expect(cookie).toMatch(/HttpOnly/)
+      expect(cookie).toMatch(/Secure/)
+    })
+
+    test('should authenticate web routes with the session cookie', async () => {
+      const token = await user.generateAuthToken()
+
+      await request(app)
+        .get('/fruits')
+        .set('Cookie', `token=${token}`)
+        .expect(200)
+    })
+
+    test('should no longer accept the token as a query parameter', async () => {
+      const token = await user.generateAuthToken()
+
+      await request(app)
+        .get(`/fruits?token=${token}`)
+        .expect(401)
+    })
+
+    test('should clear the session cookie on logout', async () => {
+      const response = await request(app)
+        .post('/users/logout')
+        .expect(302)
+
+      expect(response.headers['set-cookie'][0]).toMatch(/^token=;/)
+    })
+  })
+
+  describe('Token expiry, refresh and logout', () => {
+    let user, token, refreshToken
+
+    beforeEach(async () => {
+      user = new User({
+        name: 'John Doe',
+        email: 'john.doe@example.com',
+        password: 'password123'
+      })
+      await user.save()
+      const response = await request(app)
+        .post('/api/v1/users/login')
+        .send({ email: 'john.doe@example.com', password: 'password123' })
+      token = response.body.token
+      refreshToken = response.body.refreshToken
+    })
+
+    test('should issue access tokens that expire', () => {
+      const data = jwt.decode(token)
+      expect(data.exp).toBeDefined()
+      expect(data.sid).toBeDefined()
+    })
+
+    test('should reject an expired access token with a reason', async () => {
+      const expired = jwt.sign({ _id: user._id, sid: jwt.decode(token).sid }, 'secret', { expiresIn: -10 })
+
+      const response = await request(app)
+        .get('/api/v1/users/profile')
+        .set('Authorization', `Bearer ${expired}`)
+        .expect(401)
+
+      expect(response.body.error.message).toBe('Token expired')
+    })
+
+    test('should swap a refresh token for a new token pair', async () => {
+      const response = await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken })
+        .expect(200)
+
+      expect(response.body).toHaveProperty('token')
+      expect(response.body.refreshToken).not.toBe(refreshToken)
+
+      await request(app)
+        .get('/api/v1/users/profile')
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200)
+    })
+
+    test('should only accept a refresh token once', async () => {
+      await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken })
+        .expect(200)
+
+      const response = await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken })
+        .expect(401)
+
+      expect(response.body.error.message).toBe('Invalid refresh token')
+    })
+
+    test('should revoke the session when a used refresh token comes back', async () => {
+      const refreshed = await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken })
+        .expect(200)
+
+      await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken })
+        .expect(401)
+
+      const response = await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken: refreshed.body.refreshToken })
+        .expect(401)
+
+      expect(response.body.error.message).toBe('Token revoked')
+
+      await request(app)
+        .get('/api/v1/users/profile')
+        .set('Authorization', `Bearer ${refreshed.body.token}`)
+        .expect(401)
+    })
+
+    test('should let only one of two refreshes at the same time through', async () => {
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken })))
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401])
+    })
+
+    test('should revoke the current session on logout', async () => {
+      await request(app)
+        .post('/api/v1/users/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      const response = await request(app)
+        .get('/api/v1/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401)
+
+      expect(response.body.error.message).toBe('Token revoked')
+
+      await request(app)
+        .post('/api/v1/users/token/refresh')
+        .send({ refreshToken })
+        .expect(401)
+    })
+
+    test('should revoke every session on logout everywhere', async () => {
+      const otherToken = await user.generateAuthToken()
+
+      await request(app)
+        .post('/api/v1/users/logout/all')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      const response = await request(app)
+        .get('/api/v1/users/profile')
+        .set('Authorization', `Bearer ${otherToken}`)
         .expect(401)
 
-      expect(response.text).toBe('Not authorized')
+      expect(response.body.error.message).toBe('Token revoked')
     })
   })
-})
\ No newline at end of file
+
+  describe('Password reset', () => {
+    let user
+
+    const resetTokenFromMail = () => mailer.getTransport().outbox[0].text.match(/token=(\w+)/)[1]
+
+    beforeEach(async () => {
+      user = new User({
+        name: 'John Doe',
+        email: 'john.doe@example.com',
+        password: 'password123'
+      })
+      await user.save()
+    })
+
+    test('should email a reset link for a known account', async () => {
+      await request(app)
+        .post('/api/v1/users/password/forgot')
+        .send({ email: 'john.doe@example.com' })
+        .expect(202)
+
+      const outbox = mailer.getTransport().outbox
+      expect(outbox).toHaveLength(1)
+      expect(outbox[0].to).toBe('john.doe@example.com')
+      expect(outbox[0].text).toMatch(/\/users\/password\/reset\?token=/)
+    })
+
+    test('should answer the same way for an unknown email', async () => {
+      const response = await request(app)
+        .post('/api/v1/users/password/forgot')
+        .send({ email: 'nobody@example.com' })
+        .expect(202)
+
+      expect(response.body.message).toBe('If that account exists, a reset link is on its way')
+      expect(mailer.getTransport().outbox).toHaveLength(0)
+    })
+
+    test('should keep the reset link out of the server log', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {})
+      try {
+        await mailer.createTransport('console').send({ to: 'john.doe@example.com', subject: 'Reset', text: 'token=secret' })
+        expect(log).toHaveBeenCalledWith('[mail] to: john.doe@example.com subject: Reset')
+        expect(log.mock.calls.flat().join(' ')).not.toContain('token=secret')
+      } finally {
+        log.mockRestore()
+      }
+    })
+
+    test('should reset the password once with the emailed token', async () => {
+      await request(app)
+        .post('/api/v1/users/password/forgot')
+        .send({ email: 'john.doe@example.com' })
+      const token = resetTokenFromMail()
+
+      await request(app)
+        .post('/api/v1/users/password/reset')
+        .send({ token, password: 'newpassword456' })
+        .expect(200)
+
+      await request(app)
+        .post('/api/v1/users/login')
+        .send({ email: 'john.doe@example.com', password: 'newpassword456' })
+        .expect(200)
+
+      const reused = await request(app)
+        .post('/api/v1/users/password/reset')
+        .send({ token, password: 'anotherpassword789' })
+        .expect(400)
+
+      expect(reused.body.error.message).toBe('Invalid or expired reset token')
+    })
+
+    test('should refuse an expired reset token', async () => {
+      await request(app)
+        .post('/api/v1/users/password/forgot')
+        .send({ email: 'john.doe@example.com' })
+      const token = resetTokenFromMail()
+      await UserToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) })
+
+      await request(app)
+        .post('/api/v1/users/password/reset')
+        .send({ token, password: 'newpassword456' })
+        .expect(400)
+    })
+
+    test('should log out existing sessions after a reset', async () => {
+      const oldToken = await user.generateAuthToken()
+      await request(app)
+        .post('/api/v1/users/password/forgot')
+        .send({ email: 'john.doe@example.com' })
+
+      await request(app)
+        .post('/api/v1/users/password/reset')
+        .send({ token: resetTokenFromMail(), password: 'newpassword456' })
+        .expect(200)
+
+      await request(app)
+        .get('/api/v1/users/profile')
+        .set('Authorization', `Bearer ${oldToken}`)
+        .expect(401)
+    })
+
+    test('should render the reset page from the emailed link', async () => {
+      const response = await request(app)
+        .get('/users/password/reset?token=abc123')
+        .expect(200)
+
+      expect(response.text).toMatch(/value="abc123"/)
+    })
+  })
+
+  describe('Email verification', () => {
+    const verifyTokenFromMail = () => mailer.getTransport().outbox[0].text.match(/token=(\w+)/)[1]
+
+    test('should start new accounts unverified and email a link', async () => {
+      const response = await request(app)
+        .post('/api/v1/users')
+        .send({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123' })
+        .expect(201)
+
+      expect(response.body.user.emailVerified).toBe(false)
+      const outbox = mailer.getTransport().outbox
+      expect(outbox).toHaveLength(1)
+      expect(outbox[0].text).toMatch(/\/users\/verify\?token=/)
+    })
+
+    test('should verify the email with the emailed token', async () => {
+      await request(app)
+        .post('/api/v1/users')
+        .send({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123' })
+
+      await request(app)
+        .post('/api/v1/users/verify')
+        .send({ token: verifyTokenFromMail() })
+        .expect(200)
+
+      const user = await User.findOne({ email: 'john.doe@example.com' })
+      expect(user.emailVerified).toBe(true)
+    })
+
+    test('should verify through the web link', async () => {
+      await request(app)
+        .post('/api/v1/users')
+        .send({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123' })
+
+      const token = verifyTokenFromMail()
+      const page = await request(app)
+        .get(`/users/verify?token=${token}`)
+        .expect(200)
+
+      expect(page.text).toContain(`name="token" value="${token}"`)
+
+      const response = await request(app)
+        .post('/users/verify')
+        .type('form')
+        .send({ token })
+        .expect(200)
+
+      expect(response.text).toMatch(/Your email address is verified/)
+    })
+
+    test('should not use up the token when the link is only opened', async () => {
+      await request(app)
+        .post('/api/v1/users')
+        .send({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123' })
+
+      await request(app)
+        .get(`/users/verify?token=${verifyTokenFromMail()}`)
+        .expect(200)
+
+      expect((await User.findOne({ email: 'john.doe@example.com' })).emailVerified).toBe(false)
+
+      await request(app)
+        .post('/api/v1/users/verify')
+        .send({ token: verifyTokenFromMail() })
+        .expect(200)
+    })
+
+    test('should show unverified users a page instead of the fruit forms', async () => {
+      const user = await User.create({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123' })
+      const token = await user.generateAuthToken()
+
+      for (const path of ['/fruits/new', '/fruits/import']) {
+        const response = await request(app)
+          .get(path)
+          .set('Cookie', `token=${token}`)
+          .expect(403)
+
+        expect(response.headers['content-type']).toMatch(/html/)
+        expect(response.text).toContain('Please verify your email address first')
+        expect(response.text).toContain('action="/users/verification/resend"')
+      }
+    })
+
+    test('should not let users mark themselves verified', async () => {
+      const response = await request(app)
+        .post('/api/v1/users')
+        .send({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123', emailVerified: true })
+        .expect(422)
+
+      expect(response.body.error.fields.emailVerified).toBe('is not an allowed field')
+    })
+
+    test('should resend the verification email', async () => {
+      const user = new User({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123' })
+      await user.save()
+      const token = await user.generateAuthToken()
+
+      await request(app)
+        .post('/api/v1/users/verification/resend')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(202)
+
+      expect(mailer.getTransport().outbox).toHaveLength(1)
+    })
+
+    test('should ask for verification again after an email change', async () => {
+      const user = new User({ name: 'John Doe', email: 'john.doe@example.com', password: 'password123', emailVerified: true })
+      await user.save()
+      const token = await user.generateAuthToken()
+
+      const response = await request(app)
+        .put(`/api/v1/users/${user._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ email: 'john.new@example.com' })
+        .expect(200)
+
+      expect(response.body.emailVerified).toBe(false)
+      expect(mailer.getTransport().outbox[0].to).toBe('john.new@example.com')
+    })
+  })
+
+  describe('Login brute-force protection', () => {
+    const badLogin = () => request(app)
+      .post('/api/v1/users/login')
+      .send({ email: 'john.doe@example.com', password: 'wrongpassword' })
+
+    beforeEach(async () => {
+      const user = new User({
+        name: 'John Doe',
+        email: 'john.doe@example.com',
+        password: 'password123'
+      })
+      await user.save()
+    })
+
+    test('should slow down guesses after a few failures', async () => {
+      for (let i = 0; i < 4; i++) {
+        await badLogin().expect(401)
+      }
+
+      const response = await request(app)
+        .post('/api/v1/users/login')
+        .send({ email: 'john.doe@example.com', password: 'password123' })
+        .expect(429)
+
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0)
+      expect(response.body.error).toHaveProperty('retryAfter')
+    })
+
+    test('should keep the failure count in mongo', async () => {
+      await badLogin().expect(401)
+      await badLogin().expect(401)
+
+      const attempt = await LoginAttempt.findOne({ key: 'account:john.doe@example.com' })
+      expect(attempt.failures).toBe(2)
+    })
+
+    test('should lock the account out after too many failures', async () => {
+      await LoginAttempt.create({
+        key: 'account:john.doe@example.com',
+        failures: 10,
+        lastFailureAt: new Date(),
+        lockedUntil: new Date(Date.now() + 15 * 60 * 1000),
+        expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+      })
+
+      const response = await request(app)
+        .post('/api/v1/users/login')
+        .send({ email: 'john.doe@example.com', password: 'password123' })
+        .expect(429)
+
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(800)
+    })
+
+    test('should let the account in again once the lockout is over', async () => {
+      await LoginAttempt.create({
+        key: 'account:john.doe@example.com',
+        failures: 10,
+        lastFailureAt: new Date(Date.now() - 20 * 60 * 1000),
+        lockedUntil: new Date(Date.now() - 5 * 60 * 1000),
+        expiresAt: new Date(Date.now() + 60 * 1000)
+      })
+
+      await request(app)
+        .post('/api/v1/users/login')
+        .send({ email: 'john.doe@example.com', password: 'password123' })
+        .expect(200)
+    })
+
+    test('should clear the account failures after a good login', async () => {
+      await badLogin().expect(401)
+
+      await request(app)
+        .post('/api/v1/users/login')
+        .send({ email: 'john.doe@example.com', password: 'password123' })
+        .expect(200)
+
+      expect(await LoginAttempt.findOne({ key: 'account:john.doe@example.com' })).toBeNull()
+    })
+
+    test('should show a readable error on the sign in page', async () => {
+      for (let i = 0; i < 4; i++) {
+        await request(app)
+          .post('/users/login')
+          .type('form')
+          .send({ email: 'john.doe@example.com', password: 'wrongpassword' })
+          .expect(400)
+      }
+
+      const response = await request(app)
+        .post('/users/login')
+        .type('form')
+        .send({ email: 'john.doe@example.com', password: 'password123' })
+        .expect(429)
+
+      expect(response.headers['retry-after']).toBeDefined()
+      expect(response.text).toMatch(/Too many failed sign in attempts/)
+    })
+  })
+})
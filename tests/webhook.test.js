@@ -0,0 +1,457 @@
+const http = require('http')
+const crypto = require('crypto')
+const sharp = require('sharp')
+const request = require('supertest')
+const mongoose = require('mongoose')
+const { MongoMemoryServer } = require('mongodb-memory-server')
+const app = require('../app')
+const server = app.listen(8098, () => console.log('Testing Webhooks on PORT 8098'))
+const User = require('../models/user')
+const Fruit = require('../models/fruit')
+const FruitRevision = require('../models/fruitRevision')
+const Webhook = require('../models/webhook')
+const WebhookDelivery = require('../models/webhookDelivery')
+const webhooks = require('../services/webhooks')
+const fruitLifecycle = require('../services/fruitLifecycle')
+let mongoServer
+
+// a local endpoint that records what it is sent and answers with status
+let received = []
+let status = 200
+const receiver = http.createServer((req, res) => {
+  let body = ''
+  req.on('data', chunk => { body += chunk })
+  req.on('end', () => {
+    received.push({ headers: req.headers, body })
+    res.writeHead(status).end('thanks')
+  })
+})
+let receiverUrl
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create()
+  await mongoose.connect(mongoServer.getUri(), { useNewUrlParser: true, useUnifiedTopology: true })
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve))
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`
+})
+
+afterAll(async () => {
+  await mongoose.connection.close()
+  mongoServer.stop()
+  server.close()
+  receiver.close()
+})
+
+afterEach(async () => {
+  await User.deleteMany({})
+  await Fruit.deleteMany({})
+  await FruitRevision.deleteMany({})
+  await Webhook.deleteMany({})
+  await WebhookDelivery.deleteMany({})
+  received = []
+  status = 200
+  webhooks.setAllowPrivate(true)
+})
+
+// deliveries are first tried in the background, this waits for that attempt
+const attempted = async (filter = {}) => {
+  for (let i = 0; i < 100; i++) {
+    const delivery = await WebhookDelivery.findOne(filter)
+    if (delivery && delivery.attempts.length) {
+      return delivery
+    }
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+  throw new Error('the delivery was never attempted')
+}
+
+// waits until count deliveries were queued and each had its first attempt
+const allAttempted = async (count) => {
+  for (let i = 0; i < 100; i++) {
+    const deliveries = await WebhookDelivery.find()
+    if (deliveries.length === count && deliveries.every(delivery => delivery.attempts.length)) {
+      return deliveries
+    }
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+  throw new Error(`${count} deliveries were never attempted`)
+}
+
+// what the receiver was sent, as [event, fruit name] in a fixed order
+const sentEvents = () => received
+  .map(({ body }) => JSON.parse(body))
+  .map(({ event, fruit }) => [event, fruit.name])
+  .sort()
+
+const hours = (count) => new Date(Date.now() + count * 60 * 60 * 1000)
+
+describe('Webhook Tests', () => {
+  let user, token
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'John Doe',
+      email: 'john.doe@example.com',
+      password: 'password123',
+      emailVerified: true
+    })
+    token = await user.generateAuthToken()
+  })
+
+  const register = (body) => request(app)
+    .post('/api/v1/webhooks')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body)
+
+  const createFruit = () => request(app)
+    .post('/api/v1/fruits')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'Apple', color: 'Red' })
+    .expect(201)
+
+  describe('POST /api/v1/webhooks', () => {
+    test('should show the secret only when the webhook is created', async () => {
+      const response = await register({ url: receiverUrl, events: ['fruit.created'] }).expect(201)
+
+      expect(response.body.secret).toMatch(/^whsec_/)
+      expect(response.body).toMatchObject({ url: receiverUrl, events: ['fruit.created'], active: true })
+
+      const shown = await request(app)
+        .get(`/api/v1/webhooks/${response.body._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(shown.body.secret).toBeUndefined()
+    })
+
+    test('should need an http url and known events', async () => {
+      const response = await register({ url: 'ftp://example.com', events: ['fruit.eaten'] }).expect(422)
+
+      expect(Object.keys(response.body.error.fields)).toEqual(expect.arrayContaining(['url']))
+      expect(await Webhook.countDocuments()).toBe(0)
+    })
+
+    test('should refuse urls that reach local or private addresses', async () => {
+      webhooks.setAllowPrivate(false)
+
+      for (const url of [receiverUrl, 'http://localhost/hook', 'http://169.254.169.254/latest', 'http://[::ffff:10.0.0.1]/hook']) {
+        const response = await register({ url, events: ['fruit.created'] }).expect(422)
+        expect(response.body.error.fields.url).toBe('must not point at a local or private address')
+      }
+      expect(await Webhook.countDocuments()).toBe(0)
+    })
+  })
+
+  describe('deliveries', () => {
+    test('should send a signed event when a fruit is created', async () => {
+      const { body: webhook } = await register({ url: receiverUrl, events: ['fruit.created'] }).expect(201)
+
+      const { body: fruit } = await createFruit()
+      const delivery = await attempted()
+
+      expect(delivery.status).toBe('delivered')
+      expect(delivery.attempts[0]).toMatchObject({ responseStatus: 200 })
+      expect(delivery.attempts[0].responseBody).toBeUndefined()
+      const [{ headers, body }] = received
+      expect(headers['x-fruits-event']).toBe('fruit.created')
+      expect(headers['x-fruits-delivery']).toBe(delivery._id.toString())
+      const expected = 'sha256=' + crypto.createHmac('sha256', webhook.secret)
+        .update(`${headers['x-fruits-timestamp']}.${body}`)
+        .digest('hex')
+      expect(headers['x-fruits-signature']).toBe(expected)
+      expect(JSON.parse(body)).toMatchObject({
+        event: 'fruit.created',
+        actor: user._id.toString(),
+        fruit: { _id: fruit._id, name: 'Apple', color: 'Red' }
+      })
+    })
+
+    test('should send updates and deletes', async () => {
+      await register({ url: receiverUrl, events: ['fruit.updated', 'fruit.deleted'] }).expect(201)
+      const fruit = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+
+      await request(app)
+        .patch(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .type('application/merge-patch+json')
+        .send({ color: 'Green' })
+        .expect(200)
+      await attempted({ event: 'fruit.updated' })
+
+      await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+      await attempted({ event: 'fruit.deleted' })
+
+      expect(received.map(({ body }) => JSON.parse(body).fruit.color)).toEqual(['Green', 'Green'])
+    })
+
+    test('should leave out who the fruit is shared with', async () => {
+      await register({ url: receiverUrl, events: ['fruit.updated'] }).expect(201)
+      const friend = await User.create({ name: 'Jane Doe', email: 'jane.doe@example.com', password: 'password123' })
+      const fruit = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id, shares: [{ user: friend._id, permission: 'editor' }] })
+
+      await request(app)
+        .patch(`/api/v1/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .type('application/merge-patch+json')
+        .send({ color: 'Green' })
+        .expect(200)
+      await attempted()
+
+      const sent = JSON.parse(received[0].body).fruit
+      expect(sent).toMatchObject({ name: 'Apple', color: 'Green' })
+      expect(sent.shares).toBeUndefined()
+    })
+
+    test('should only send the events a webhook listens to', async () => {
+      await register({ url: receiverUrl, events: ['fruit.deleted'] }).expect(201)
+      await register({ url: receiverUrl, events: ['fruit.created'], active: false }).expect(201)
+
+      await createFruit()
+
+      expect(await WebhookDelivery.countDocuments()).toBe(0)
+    })
+
+    test('should retry a failed delivery later, waiting longer each time', async () => {
+      status = 500
+      await register({ url: receiverUrl, events: ['fruit.created'] }).expect(201)
+      await createFruit()
+
+      let delivery = await attempted()
+      expect(delivery.status).toBe('pending')
+      expect(delivery.finishedAt).toBeUndefined()
+      expect(delivery.nextAttemptAt - delivery.attempts[0].at).toBe(webhooks.retryDelay(1))
+      expect(webhooks.retryDelay(2)).toBe(2 * webhooks.retryDelay(1))
+
+      // not due yet
+      expect(await webhooks.deliverDue()).toEqual({ delivered: 0, retrying: 0, failed: 0 })
+
+      status = 200
+      expect(await webhooks.deliverDue(hours(1))).toEqual({ delivered: 1, retrying: 0, failed: 0 })
+      delivery = await WebhookDelivery.findById(delivery._id)
+      expect(delivery.status).toBe('delivered')
+      expect(delivery.finishedAt).toEqual(delivery.deliveredAt)
+      expect(delivery.attempts.map(attempt => attempt.responseStatus)).toEqual([500, 200])
+    })
+
+    test('should give up after the last attempt', async () => {
+      status = 500
+      await register({ url: receiverUrl, events: ['fruit.created'] }).expect(201)
+      await createFruit()
+      await attempted()
+
+      for (let attempt = 2; attempt <= webhooks.MAX_ATTEMPTS; attempt++) {
+        await webhooks.deliverDue(hours(attempt * 6))
+      }
+
+      const delivery = await WebhookDelivery.findOne()
+      expect(delivery.status).toBe('failed')
+      expect(delivery.nextAttemptAt).toBeNull()
+      expect(delivery.finishedAt).toBeInstanceOf(Date)
+      expect(delivery.attempts).toHaveLength(webhooks.MAX_ATTEMPTS)
+    })
+
+    test('should only let finished deliveries expire from the log', () => {
+      const expiring = WebhookDelivery.schema.indexes().filter(([, options]) => options.expireAfterSeconds !== undefined)
+      expect(expiring.map(([fields]) => fields)).toEqual([{ finishedAt: 1 }])
+    })
+
+    test('should record receivers that can not be reached', async () => {
+      const closed = http.createServer()
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve))
+      const url = `http://127.0.0.1:${closed.address().port}/hook`
+      await new Promise(resolve => closed.close(resolve))
+      await register({ url, events: ['fruit.created'] }).expect(201)
+
+      await createFruit()
+      const delivery = await attempted()
+
+      expect(delivery.status).toBe('pending')
+      expect(delivery.attempts[0].responseStatus).toBeUndefined()
+      expect(delivery.attempts[0].error).toBeTruthy()
+    })
+
+    test('should not send to a url that has come to reach a private address', async () => {
+      await register({ url: receiverUrl, events: ['fruit.created'] }).expect(201)
+      webhooks.setAllowPrivate(false)
+
+      await createFruit()
+      const delivery = await attempted()
+
+      expect(delivery.status).toBe('pending')
+      expect(delivery.attempts[0].error).toBe('the url must not point at a local or private address')
+      expect(received).toHaveLength(0)
+    })
+  })
+
+  describe('events from other changes', () => {
+    beforeEach(async () => {
+      await register({ url: receiverUrl, events: ['fruit.created', 'fruit.updated', 'fruit.deleted'] }).expect(201)
+    })
+
+    test('should send the events of a bulk batch', async () => {
+      const pear = await Fruit.create({ name: 'Pear', color: 'Green', owner: user._id })
+
+      await request(app)
+        .post('/api/v1/fruits/bulk')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          operations: [
+            { op: 'create', data: { name: 'Kiwi', color: 'Brown' } },
+            { op: 'update', id: pear._id, data: { color: 'Yellow' } },
+            { op: 'delete', id: pear._id }
+          ]
+        })
+        .expect(200)
+      await allAttempted(3)
+
+      expect(sentEvents()).toEqual([['fruit.created', 'Kiwi'], ['fruit.deleted', 'Pear'], ['fruit.updated', 'Pear']])
+    })
+
+    test('should send the events of an import', async () => {
+      await Fruit.create({ name: 'Pear', color: 'Green', owner: user._id })
+
+      await request(app)
+        .post('/api/v1/fruits/import')
+        .set('Authorization', `Bearer ${token}`)
+        .field('duplicates', 'update')
+        .attach('file', Buffer.from('name,color\nKiwi,Brown\nPear,Yellow'), 'fruits.csv')
+        .expect(200)
+      await allAttempted(2)
+
+      expect(sentEvents()).toEqual([['fruit.created', 'Kiwi'], ['fruit.updated', 'Pear']])
+    })
+
+    test('should send an update when the photo changes', async () => {
+      const fruit = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+      const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: { r: 200, g: 30, b: 30 } } }).png().toBuffer()
+
+      await request(app)
+        .post(`/api/v1/fruits/${fruit._id}/image`)
+        .set('Authorization', `Bearer ${token}`)
+        .attach('image', png, { filename: 'apple.png', contentType: 'image/png' })
+        .expect(200)
+      await request(app)
+        .delete(`/api/v1/fruits/${fruit._id}/image`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+      await allAttempted(2)
+
+      const images = received.map(({ body }) => JSON.parse(body).fruit.image)
+      expect(images.filter(Boolean)).toHaveLength(1)
+      expect(sentEvents()).toEqual([['fruit.updated', 'Apple'], ['fruit.updated', 'Apple']])
+    })
+
+    test('should send a delete when an admin deletes a fruit', async () => {
+      const admin = await User.create({ name: 'Ada Admin', email: 'admin@example.com', password: 'password123', role: 'admin' })
+      const fruit = await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id })
+
+      await request(app)
+        .delete(`/api/v1/admin/fruits/${fruit._id}`)
+        .set('Authorization', `Bearer ${await admin.generateAuthToken()}`)
+        .expect(200)
+      const [delivery] = await allAttempted(1)
+
+      expect(delivery.event).toBe('fruit.deleted')
+      expect(String(delivery.payload.actor)).toBe(admin._id.toString())
+    })
+
+    test('should not send anything more when the trash is emptied', async () => {
+      await Fruit.create({ name: 'Apple', color: 'Red', owner: user._id, deletedAt: new Date(0) })
+
+      expect(await fruitLifecycle.purgeTrash()).toEqual({ purged: 1 })
+      expect(await WebhookDelivery.countDocuments()).toBe(0)
+    })
+  })
+
+  describe('delivery log', () => {
+    let webhook
+
+    beforeEach(async () => {
+      ({ body: webhook } = await register({ url: receiverUrl, events: ['fruit.created'] }).expect(201))
+    })
+
+    test('should list deliveries newest first', async () => {
+      await createFruit()
+      await attempted()
+      status = 500
+      await createFruit()
+      await attempted({ status: 'pending' })
+
+      const response = await request(app)
+        .get(`/api/v1/webhooks/${webhook._id}/deliveries`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(response.body.map(delivery => delivery.status)).toEqual(['pending', 'delivered'])
+
+      const failing = await request(app)
+        .get(`/api/v1/webhooks/${webhook._id}/deliveries?status=pending`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(failing.body).toHaveLength(1)
+      expect(failing.body[0].attempts[0].responseStatus).toBe(500)
+    })
+
+    test('should redeliver the same payload as a new delivery', async () => {
+      await createFruit()
+      const delivery = await attempted()
+
+      const response = await request(app)
+        .post(`/api/v1/webhooks/${webhook._id}/deliveries/${delivery._id}/redeliver`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(202)
+
+      expect(response.body.redeliveryOf).toBe(delivery._id.toString())
+      await attempted({ _id: response.body._id })
+      expect(received).toHaveLength(2)
+      expect(received[1].body).toBe(received[0].body)
+      expect(received[1].headers['x-fruits-delivery']).toBe(response.body._id)
+    })
+
+    test('should stop signing with a rotated secret', async () => {
+      const rotated = await request(app)
+        .post(`/api/v1/webhooks/${webhook._id}/secret`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(rotated.body.secret).not.toBe(webhook.secret)
+
+      await createFruit()
+      await attempted()
+      const [{ headers, body }] = received
+      const expected = webhooks.sign(rotated.body.secret, headers['x-fruits-timestamp'], body)
+      expect(headers['x-fruits-signature']).toBe(expected)
+    })
+
+    test("should not show someone else's webhook", async () => {
+      const otherUser = await User.create({ name: 'Jane Doe', email: 'jane.doe@example.com', password: 'password123' })
+      const otherToken = await otherUser.generateAuthToken()
+
+      await request(app)
+        .get(`/api/v1/webhooks/${webhook._id}/deliveries`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404)
+
+      await request(app)
+        .delete(`/api/v1/webhooks/${webhook._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404)
+    })
+
+    test('should drop the log with the webhook', async () => {
+      await createFruit()
+      await attempted()
+
+      await request(app)
+        .delete(`/api/v1/webhooks/${webhook._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+
+      expect(await WebhookDelivery.countDocuments()).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,50 @@
+const multer = require('multer')
+const { ValidationError } = require('../errors')
+
+// multipart image uploads. the file is kept in memory (req.file.buffer) for
+// services/fruitImages.js to check and resize, other form fields land in req.body
+const IMAGE_FIELD = 'image'
+const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter(req, file, done) {
+    // a refused type is remembered so validateImage can say why there is no file
+    req.imageRejected = !IMAGE_TYPES.includes(file.mimetype)
+    done(null, !req.imageRejected)
+  }
+}).single(IMAGE_FIELD)
+
+const uploadError = (req, error) => {
+  if (error && error.code === 'LIMIT_FILE_SIZE') {
+    return `must be at most ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB`
+  }
+  if (error) {
+    return 'could not be uploaded'
+  }
+  if (req.imageRejected) {
+    return 'must be a jpeg, png or webp image'
+  }
+  return null
+}
+
+// same contract as validateBody: 422 with { image: message } for api routes,
+// render(req, res, errors) for web forms. required: true for the upload endpoint
+const validateImage = ({ required = false, render } = {}) => (req, res, next) => {
+  upload(req, res, (error) => {
+    const message = uploadError(req, error) || (required && !req.file ? 'is required' : null)
+    if (message) {
+      const errors = { [IMAGE_FIELD]: message }
+      if (!render) {
+        return next(new ValidationError(errors))
+      }
+      res.status(422)
+      return render(req, res, errors)
+    }
+    next()
+  })
+}
+
+module.exports = { validateImage, MAX_IMAGE_BYTES, IMAGE_TYPES }
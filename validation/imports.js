@@ -0,0 +1,56 @@
+const path = require('path')
+const multer = require('multer')
+const { ValidationError } = require('../errors')
+
+// the csv or json file for POST /api/fruits/import, kept in memory
+// (req.file.buffer) for services/fruitTransfer.js. the import options sent
+// with it land in req.body
+const FILE_FIELD = 'file'
+const MAX_IMPORT_BYTES = Number(process.env.MAX_IMPORT_BYTES) || 1024 * 1024
+// spreadsheets on windows send csv files as application/vnd.ms-excel
+const IMPORT_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'application/json', 'text/plain']
+const IMPORT_EXTENSIONS = ['.csv', '.json']
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+  fileFilter(req, file, done) {
+    const extension = path.extname(file.originalname || '').toLowerCase()
+    req.importRejected = !IMPORT_EXTENSIONS.includes(extension) && !IMPORT_TYPES.includes(file.mimetype)
+    done(null, !req.importRejected)
+  }
+}).single(FILE_FIELD)
+
+const uploadError = (req, error) => {
+  if (error && error.code === 'LIMIT_FILE_SIZE') {
+    return `must be at most ${Math.round(MAX_IMPORT_BYTES / 1024 / 1024)} MB`
+  }
+  if (error) {
+    return 'could not be uploaded'
+  }
+  if (req.importRejected) {
+    return 'must be a csv or json file'
+  }
+  if (!req.file) {
+    return 'is required'
+  }
+  return null
+}
+
+// same contract as validateImage, the file is always required
+const validateImportFile = ({ render } = {}) => (req, res, next) => {
+  upload(req, res, (error) => {
+    const message = uploadError(req, error)
+    if (message) {
+      const errors = { [FILE_FIELD]: message }
+      if (!render) {
+        return next(new ValidationError(errors))
+      }
+      res.status(422)
+      return render(req, res, errors)
+    }
+    next()
+  })
+}
+
+module.exports = { validateImportFile, MAX_IMPORT_BYTES }
@@ -0,0 +1,225 @@
+// a schema maps every allowed field to a rule, for example
+//   name: { type: 'string', required: true, maxLength: 50 }
+// validate() returns the cleaned up payload plus a { field: message } map of
+// everything wrong with it. fields missing from the schema are rejected
+const { ValidationError, fieldErrors } = require('../errors')
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i
+const URL_PATTERN = /^https?:\/\/[^\s/]+\S*$/i
+const PASSWORD_MIN_LENGTH = 8
+const PASSWORD_MAX_LENGTH = 128
+// exports join a fruit's tag names with it, so a name can't contain one
+const TAG_SEPARATOR = ';'
+const TAG_NAME_MAX_LENGTH = 30
+
+const isBlank = (input) => input === undefined || input === null || input === ''
+
+const types = {
+  string(input, rule) {
+    if (typeof input !== 'string') {
+      return { error: 'must be a string' }
+    }
+    let value = rule.trim === false ? input : input.trim()
+    if (rule.lowercase) {
+      value = value.toLowerCase()
+    }
+    if (rule.required && value === '') {
+      return { error: 'is required' }
+    }
+    if (rule.minLength && value.length < rule.minLength) {
+      return { error: `must be at least ${rule.minLength} characters` }
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return { error: `must be at most ${rule.maxLength} characters` }
+    }
+    if (rule.of && !rule.of.includes(value)) {
+      return { error: `must be one of ${rule.of.join(', ')}` }
+    }
+    return { value }
+  },
+
+  email(input) {
+    const { value, error } = types.string(input, { lowercase: true, maxLength: 254 })
+    if (error) {
+      return { error }
+    }
+    if (!EMAIL_PATTERN.test(value)) {
+      return { error: 'must be a valid email address' }
+    }
+    return { value }
+  },
+
+  password(input) {
+    if (typeof input !== 'string') {
+      return { error: 'must be a string' }
+    }
+    if (input.length < PASSWORD_MIN_LENGTH) {
+      return { error: `must be at least ${PASSWORD_MIN_LENGTH} characters` }
+    }
+    if (input.length > PASSWORD_MAX_LENGTH) {
+      return { error: `must be at most ${PASSWORD_MAX_LENGTH} characters` }
+    }
+    if (!/[a-zA-Z]/.test(input) || !/[0-9]/.test(input)) {
+      return { error: 'must contain at least one letter and one number' }
+    }
+    return { value: input }
+  },
+
+  // an absolute http or https address, like a webhook endpoint
+  url(input) {
+    const { value, error } = types.string(input, { maxLength: 2000 })
+    if (error) {
+      return { error }
+    }
+    if (!URL_PATTERN.test(value) || !URL.canParse(value)) {
+      return { error: 'must be an http or https url' }
+    }
+    return { value }
+  },
+
+  tagName(input, rule) {
+    const { value, error } = types.string(input, { required: rule.required, maxLength: TAG_NAME_MAX_LENGTH })
+    if (error) {
+      return { error }
+    }
+    if (value.includes(TAG_SEPARATOR)) {
+      return { error: `must not contain ${TAG_SEPARATOR}` }
+    }
+    return { value }
+  },
+
+  // form posts send numbers as strings
+  number(input, rule) {
+    const value = typeof input === 'string' ? Number(input) : input
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return { error: 'must be a number' }
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      return { error: 'must be a whole number' }
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      return { error: `must be at least ${rule.min}` }
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return { error: `must be at most ${rule.max}` }
+    }
+    return { value }
+  },
+
+  // a mongo id, whether it exists is up to the caller
+  objectId(input) {
+    if (typeof input !== 'string' || !OBJECT_ID_PATTERN.test(input)) {
+      return { error: 'must be a valid id' }
+    }
+    return { value: input }
+  },
+
+  // iso strings from json clients or yyyy-mm-dd from date inputs
+  date(input) {
+    const value = input instanceof Date ? input : new Date(input)
+    if ((typeof input !== 'string' && !(input instanceof Date)) || Number.isNaN(value.getTime())) {
+      return { error: 'must be a valid date' }
+    }
+    return { value }
+  },
+
+  // a list of values picked from rule.of, or of rule.items typed values. a single
+  // form value becomes a list of one and empty form values are dropped.
+  // with neither rule the items are left for the caller to check
+  array(input, rule) {
+    const list = (Array.isArray(input) ? input : [input]).filter(item => item !== '')
+    if (rule.required && list.length === 0) {
+      return { error: 'is required' }
+    }
+    if (rule.maxItems && list.length > rule.maxItems) {
+      return { error: `must have at most ${rule.maxItems} items` }
+    }
+    if (rule.items) {
+      const invalid = list.find(item => types[rule.items](item, {}).error)
+      if (invalid !== undefined) {
+        return { error: `each item ${types[rule.items](invalid, {}).error}` }
+      }
+      return { value: [...new Set(list)] }
+    }
+    if (!rule.of) {
+      return { value: list }
+    }
+    const invalid = list.filter(item => !rule.of.includes(item))
+    if (invalid.length) {
+      return { error: `must only contain ${rule.of.join(', ')}` }
+    }
+    return { value: [...new Set(list)] }
+  },
+
+  // html checkboxes send 'on', json clients send real booleans
+  boolean(input) {
+    if (input === true || input === 'on' || input === 'true') {
+      return { value: true }
+    }
+    if (input === false || input === 'off' || input === 'false') {
+      return { value: false }
+    }
+    return { error: 'must be true or false' }
+  }
+}
+
+// partial: true skips required checks, used for updates that only send some fields.
+// allowUnknown: true ignores extra fields instead of refusing them (query strings)
+const validate = (schema, payload, { partial = false, allowUnknown = false } = {}) => {
+  const body = payload || {}
+  const errors = {}
+  const value = {}
+
+  Object.keys(body).forEach(field => {
+    if (!schema[field] && !allowUnknown) {
+      errors[field] = 'is not an allowed field'
+    }
+  })
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    // forms send an empty value for "none of these", so a list can be emptied
+    const input = rule.type === 'array' && body[field] === '' ? [] : body[field]
+    if (isBlank(input)) {
+      // partial updates may leave a required field out, but not blank it
+      if (rule.required && (!partial || field in body)) {
+        errors[field] = 'is required'
+      }
+      return
+    }
+    const result = types[rule.type](input, rule)
+    if (result.error) {
+      errors[field] = result.error
+    } else {
+      value[field] = result.value
+    }
+  })
+
+  return { value, errors: Object.keys(errors).length ? errors : null }
+}
+
+// express middleware. api routes answer 422 with the field map, web routes
+// pass a render function to show the form again with the errors on it
+const validateBody = (schema, { partial = false, render } = {}) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, { partial })
+  if (errors) {
+    if (!render) {
+      return next(new ValidationError(errors))
+    }
+    res.status(422)
+    return render(req, res, errors)
+  }
+  req.body = value
+  next()
+}
+
+module.exports = {
+  validate,
+  validateBody,
+  fieldErrors,
+  EMAIL_PATTERN,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+  TAG_SEPARATOR,
+  TAG_NAME_MAX_LENGTH
+}
@@ -0,0 +1,213 @@
+const Ajv = require('ajv')
+const addFormats = require('ajv-formats')
+const { NotFoundError, ValidationError } = require('../errors')
+const { EMAIL_PATTERN, PASSWORD_MIN_LENGTH, PASSWORD_MAX_LENGTH, TAG_SEPARATOR, TAG_NAME_MAX_LENGTH } = require('./index')
+
+// the openapi document describes request bodies and query strings with json
+// schema built from the rules in validation/schemas.js, so the docs say what
+// validate() accepts. validateRequest below then checks every api request
+// against the document, a route the document gets wrong fails in the tests
+const NOT_BLANK = '\\S'
+const PASSWORD_PATTERN = '^(?=.*[a-zA-Z])(?=.*[0-9])'
+// validate() trims emails before checking them
+const EMAIL = `^\\s*${EMAIL_PATTERN.source.slice(1, -1)}\\s*$`
+const OBJECT_ID_SCHEMA = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }
+// URL_PATTERN in validation/index.js, trimmed and without the i flag ajv can't take
+const HTTP_URL = '^\\s*[hH][tT][tT][pP][sS]?:\\/\\/[^\\s/]+\\S*\\s*$'
+const NO_TAG_SEPARATOR = `^[^${TAG_SEPARATOR}]*$`
+
+const rules = {
+  string(rule) {
+    return {
+      type: 'string',
+      ...(rule.required && { pattern: NOT_BLANK }),
+      ...(rule.minLength && { minLength: rule.minLength }),
+      ...(rule.maxLength && { maxLength: rule.maxLength }),
+      ...(rule.of && { enum: rule.of })
+    }
+  },
+  email: () => ({ type: 'string', maxLength: 254, pattern: EMAIL, description: 'stored lowercase' }),
+  url: () => ({ type: 'string', maxLength: 2000, pattern: HTTP_URL, description: 'an http or https url' }),
+  password: () => ({
+    type: 'string',
+    minLength: PASSWORD_MIN_LENGTH,
+    maxLength: PASSWORD_MAX_LENGTH,
+    pattern: PASSWORD_PATTERN,
+    description: 'at least one letter and one number'
+  }),
+  // in an allOf so it can sit next to the not blank pattern of a required name
+  tagName: (rule) => ({
+    ...rules.string({ ...rule, maxLength: TAG_NAME_MAX_LENGTH }),
+    allOf: [{ pattern: NO_TAG_SEPARATOR }]
+  }),
+  number(rule) {
+    return {
+      type: rule.integer ? 'integer' : 'number',
+      ...(rule.min !== undefined && { minimum: rule.min }),
+      ...(rule.max !== undefined && { maximum: rule.max })
+    }
+  },
+  objectId: () => ({ ...OBJECT_ID_SCHEMA }),
+  date: () => ({ type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] }),
+  array(rule) {
+    return {
+      type: 'array',
+      items: rule.of ? { type: 'string', enum: rule.of } : rule.items ? rules[rule.items]({}) : {},
+      ...(rule.required && { minItems: 1 }),
+      ...(rule.maxItems && { maxItems: rule.maxItems })
+    }
+  },
+  // html checkboxes send 'on' and 'off', validate() takes those too
+  boolean: (rule) => ({ anyOf: [{ type: 'boolean', nullable: !rule.required }, { type: 'string', enum: ['on', 'off'] }] })
+}
+
+// validate() lets optional fields be null, required ones never. a schema that
+// is only an anyOf says so in its first choice
+const toFieldSchema = (rule) => {
+  const schema = rules[rule.type](rule)
+  return schema.type && !rule.required ? { ...schema, nullable: true } : schema
+}
+
+// partial: true leaves out the required list, as validateBody does for updates
+const toJsonSchema = (schema, { partial = false } = {}) => {
+  const required = partial ? [] : Object.keys(schema).filter(field => schema[field].required)
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(schema).map(([field, rule]) => [field, toFieldSchema(rule)])),
+    ...(required.length && { required }),
+    additionalProperties: false
+  }
+}
+
+// query strings are parameters in openapi, one per field
+const toParameters = (schema) => Object.entries(schema).map(([name, rule]) => ({
+  name,
+  in: 'query',
+  required: Boolean(rule.required),
+  schema: rules[rule.type](rule)
+}))
+
+const PATTERN_MESSAGES = {
+  [NOT_BLANK]: 'is required',
+  [EMAIL]: 'must be a valid email address',
+  [HTTP_URL]: 'must be an http or https url',
+  [PASSWORD_PATTERN]: 'must contain at least one letter and one number',
+  [OBJECT_ID_SCHEMA.pattern]: 'must be a valid id',
+  [NO_TAG_SEPARATOR]: `must not contain ${TAG_SEPARATOR}`
+}
+
+const TYPE_MESSAGES = {
+  string: 'must be a string',
+  number: 'must be a number',
+  integer: 'must be a whole number',
+  boolean: 'must be true or false',
+  array: 'must be a list',
+  object: 'must be an object'
+}
+
+// ajv errors in the words validate() uses, so a client gets the same message
+// whichever of the two caught the problem
+const messageFor = (error, inList) => {
+  const { keyword, params } = error
+  const prefix = inList ? 'each item ' : ''
+  switch (keyword) {
+    case 'required': return 'is required'
+    case 'additionalProperties': return 'is not an allowed field'
+    case 'type': return prefix + (TYPE_MESSAGES[params.type] || `must be ${params.type}`)
+    case 'minLength': return params.limit === 1 ? 'is required' : `${prefix}must be at least ${params.limit} characters`
+    case 'maxLength': return `${prefix}must be at most ${params.limit} characters`
+    case 'minimum': return `${prefix}must be at least ${params.limit}`
+    case 'maximum': return `${prefix}must be at most ${params.limit}`
+    case 'minItems': return params.limit === 1 ? 'is required' : `must have at least ${params.limit} items`
+    case 'maxItems': return `must have at most ${params.limit} items`
+    case 'enum': return `${inList ? 'must only contain' : 'must be one of'} ${params.allowedValues.join(', ')}`
+    case 'pattern': return prefix + (PATTERN_MESSAGES[params.pattern] || 'is not valid')
+    case 'format': return prefix + (['date', 'date-time'].includes(params.format) ? 'must be a valid date' : 'is not valid')
+    default: return prefix + error.message
+  }
+}
+
+// { field: message } with the first problem found for each field
+const toFields = (errors) => {
+  const fields = {}
+  errors.forEach(error => {
+    const [field, ...rest] = error.instancePath.split('/').slice(1)
+    const name = error.keyword === 'required' ? error.params.missingProperty
+      : error.keyword === 'additionalProperties' ? error.params.additionalProperty
+      : field
+    if (name && !fields[name]) {
+      fields[name] = messageFor(error, rest.length > 0)
+    }
+  })
+  return fields
+}
+
+// openapi paths use {id}, express routes :id
+const routeKey = (method, path) => `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete']
+
+// one compiled checker per operation, keyed by method and express route
+const compile = (spec) => {
+  // coerceTypes: query strings and form style bodies send everything as text,
+  // validate() converts those too. the checks run on copies so the request is
+  // left for validateBody to clean up
+  const ajv = new Ajv({ allErrors: true, coerceTypes: 'array', strict: false })
+  addFormats(ajv, ['date', 'date-time'])
+  const objectOf = (parameters) => ({
+    type: 'object',
+    properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+    required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+  })
+
+  const checkers = new Map()
+  Object.entries(spec.paths).forEach(([path, operations]) => {
+    METHODS.filter(method => operations[method]).forEach(method => {
+      const { parameters = [], requestBody } = operations[method]
+      // json bodies, and the +json types of PATCH bodies
+      const bodies = Object.entries(requestBody ? requestBody.content : {})
+        .filter(([type]) => type === 'application/json' || type.endsWith('+json'))
+      checkers.set(routeKey(method, path), {
+        params: ajv.compile(objectOf(parameters.filter(parameter => parameter.in === 'path'))),
+        query: ajv.compile(objectOf(parameters.filter(parameter => parameter.in === 'query'))),
+        bodies: Object.fromEntries(bodies.map(([type, { schema }]) => [type, ajv.compile(schema)]))
+      })
+    })
+  })
+  return checkers
+}
+
+// express middleware checking requests against the openapi document. it goes
+// on every api route after authentication, so logged out clients still get a
+// 401 first. a path parameter that does not fit can't name anything, so it is
+// a 404 like any other unknown id
+const validateRequest = (spec) => {
+  const checkers = compile(spec)
+  return (req, res, next) => {
+    const checker = checkers.get(routeKey(req.method, req.route.path))
+    if (!checker) {
+      return next(new Error(`${req.method} ${req.route.path} is missing from the openapi document`))
+    }
+    if (!checker.params({ ...req.params })) {
+      const name = checker.params.errors[0].instancePath.slice(1)
+      return next(new NotFoundError(`could not locate a record with the ${name} ${req.params[name]}`))
+    }
+    const errors = []
+    if (!checker.query({ ...req.query })) {
+      errors.push(...checker.query.errors)
+    }
+    // the body is checked against the schema for its content type, json if
+    // the operation has no schema for that type
+    const types = Object.keys(checker.bodies)
+    const body = types.length ? checker.bodies[req.is(types)] || checker.bodies['application/json'] : null
+    if (body && !body(structuredClone(req.body || {}))) {
+      errors.push(...body.errors)
+    }
+    if (errors.length) {
+      return next(new ValidationError(toFields(errors)))
+    }
+    next()
+  }
+}
+
+module.exports = { toJsonSchema, toParameters, validateRequest, OBJECT_ID_SCHEMA }
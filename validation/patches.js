@@ -0,0 +1,190 @@
+const { BadRequestError, ConflictError, UnsupportedMediaTypeError } = require('../errors')
+
+// PATCH bodies. both kinds are applied to a copy of the record's editable
+// fields, so a patch that fails halfway leaves nothing changed:
+//   application/merge-patch+json  RFC 7396, the fields to change, null removes one
+//   application/json-patch+json   RFC 6902, a list of operations like
+//                                 { op: 'replace', path: '/color', value: 'Red' }
+const MERGE_PATCH = 'application/merge-patch+json'
+const JSON_PATCH = 'application/json-patch+json'
+const PATCH_TYPES = [MERGE_PATCH, JSON_PATCH]
+const JSON_PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test']
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const mergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return structuredClone(patch)
+  }
+  const result = isObject(target) ? { ...target } : {}
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key]
+    } else {
+      result[key] = mergePatch(result[key], value)
+    }
+  })
+  return result
+}
+
+// a json pointer (RFC 6901) split into its unescaped parts, '' is the whole document
+const tokensOf = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new BadRequestError(`${pointer} is not a json pointer`)
+  }
+  return pointer === '' ? [] : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/
+
+const exists = (parent, key) => Array.isArray(parent)
+  ? ARRAY_INDEX.test(key) && Number(key) < parent.length
+  : Object.prototype.hasOwnProperty.call(parent, key)
+
+// the object or array holding what pointer names, and its key in there.
+// everything above it has to exist already
+const locate = (document, pointer) => {
+  const tokens = tokensOf(pointer)
+  const key = tokens.pop()
+  let parent = document
+  tokens.forEach(token => {
+    parent = typeof parent === 'object' && parent !== null && exists(parent, token) ? parent[token] : undefined
+  })
+  if (key !== undefined && (parent === null || typeof parent !== 'object')) {
+    throw new ConflictError(`${pointer} does not exist`)
+  }
+  return { parent, key }
+}
+
+const valueAt = (document, pointer) => {
+  const { parent, key } = locate(document, pointer)
+  if (key === undefined) {
+    return document
+  }
+  if (!exists(parent, key)) {
+    throw new ConflictError(`${pointer} does not exist`)
+  }
+  return parent[key]
+}
+
+// each of these returns the document after the change, which is only a new
+// one when the whole document is replaced
+const add = (document, pointer, value) => {
+  const { parent, key } = locate(document, pointer)
+  if (key === undefined) {
+    return value
+  }
+  if (!Array.isArray(parent)) {
+    parent[key] = value
+    return document
+  }
+  const index = key === '-' ? parent.length : Number(key)
+  if ((key !== '-' && !ARRAY_INDEX.test(key)) || index > parent.length) {
+    throw new ConflictError(`${pointer} is past the end of the list`)
+  }
+  parent.splice(index, 0, value)
+  return document
+}
+
+const remove = (document, pointer) => {
+  const { parent, key } = locate(document, pointer)
+  if (key === undefined) {
+    throw new ConflictError('the whole document can not be removed')
+  }
+  if (!exists(parent, key)) {
+    throw new ConflictError(`${pointer} does not exist`)
+  }
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1)
+  } else {
+    delete parent[key]
+  }
+  return document
+}
+
+// dates and numbers compare by value, key order does not matter
+const equal = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => equal(item, b[index]))
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every(key => exists(b, key) && equal(a[key], b[key]))
+  }
+  return a === b
+}
+
+const OPERATIONS = {
+  add: (document, { path, value }) => add(document, path, value),
+  remove: (document, { path }) => remove(document, path),
+  replace: (document, { path, value }) => {
+    valueAt(document, path)
+    const { parent, key } = locate(document, path)
+    if (key === undefined) {
+      return value
+    }
+    parent[key] = value
+    return document
+  },
+  move: (document, { from, path }) => {
+    if (path !== from && path.startsWith(`${from}/`)) {
+      throw new ConflictError(`${from} can not be moved into itself`)
+    }
+    const value = valueAt(document, from)
+    return add(remove(document, from), path, value)
+  },
+  copy: (document, { from, path }) => add(document, path, structuredClone(valueAt(document, from))),
+  test: (document, { path, value }) => {
+    if (!equal(valueAt(document, path), value)) {
+      throw new ConflictError(`${path} is not ${JSON.stringify(value)}`)
+    }
+    return document
+  }
+}
+
+// what each op needs besides a path
+const NEEDS = { add: ['value'], remove: [], replace: ['value'], move: ['from'], copy: ['from'], test: ['value'] }
+
+const jsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new BadRequestError('A json patch must be a list of operations')
+  }
+  return operations.reduce((document, operation, index) => {
+    const perform = isObject(operation) && OPERATIONS[operation.op]
+    if (!perform) {
+      throw new BadRequestError(`operation ${index} must have an op of ${JSON_PATCH_OPS.join(', ')}`)
+    }
+    const missing = ['path', ...NEEDS[operation.op]].find(member => operation[member] === undefined)
+    if (missing) {
+      throw new BadRequestError(`operation ${index} (${operation.op}) is missing ${missing}`)
+    }
+    try {
+      return perform(document, operation)
+    } catch (error) {
+      error.message = `operation ${index} (${operation.op} ${operation.path}): ${error.message}`
+      throw error
+    }
+  }, structuredClone(target))
+}
+
+// express middleware for PATCH routes, before anything is looked up
+const validatePatch = (req, res, next) => {
+  if (!req.is(PATCH_TYPES)) {
+    res.set('Accept-Patch', PATCH_TYPES.join(', '))
+    return next(new UnsupportedMediaTypeError(`PATCH takes ${PATCH_TYPES.join(' or ')}`))
+  }
+  next()
+}
+
+// req.body applied to document (a plain object) as its content type says.
+// throws a 400 for a malformed patch and a 409 for one that does not fit the
+// document, the result still has to be validated
+const applyPatch = (req, document) => {
+  const patched = req.is(JSON_PATCH) ? jsonPatch(document, req.body) : mergePatch(document, req.body)
+  if (!isObject(patched)) {
+    throw new BadRequestError('The patched document must be an object')
+  }
+  return patched
+}
+
+module.exports = { validatePatch, applyPatch, PATCH_TYPES, JSON_PATCH_OPS }
@@ -0,0 +1,131 @@
+// payload schemas shared by the api and the web forms, see validation/index.js
+const AccessToken = require('../models/accessToken')
+const CollectionShare = require('../models/collectionShare')
+const Webhook = require('../models/webhook')
+const WebhookDelivery = require('../models/webhookDelivery')
+
+const name = { type: 'string', required: true, maxLength: 100 }
+
+exports.createUser = {
+  name,
+  email: { type: 'email', required: true },
+  password: { type: 'password', required: true }
+}
+
+// same fields as signup, all optional. anything else (fruits, role...) is refused
+exports.updateUser = exports.createUser
+
+// an account after a PATCH, the password only when the patch sets one
+exports.patchedUser = {
+  ...exports.createUser,
+  password: { type: 'password' }
+}
+
+// no strength check here, people with older passwords still need to log in
+exports.login = {
+  email: { type: 'email', required: true },
+  password: { type: 'string', required: true, trim: false }
+}
+
+exports.refreshToken = {
+  refreshToken: { type: 'string', required: true }
+}
+
+exports.forgotPassword = {
+  email: { type: 'email', required: true }
+}
+
+exports.resetPassword = {
+  token: { type: 'string', required: true },
+  password: { type: 'password', required: true }
+}
+
+exports.verifyEmail = {
+  token: { type: 'string', required: true }
+}
+
+exports.twoFactorCode = {
+  code: { type: 'string', required: true, maxLength: 20 }
+}
+
+exports.twoFactorLogin = {
+  challenge: { type: 'string', required: true },
+  code: { type: 'string', required: true, maxLength: 20 }
+}
+
+exports.createAccessToken = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  scopes: { type: 'array', required: true, of: AccessToken.SCOPES },
+  expiresInDays: { type: 'number', integer: true, min: 1, max: 365 }
+}
+
+exports.fruit = {
+  name: { type: 'string', required: true, maxLength: 50 },
+  color: { type: 'string', required: true, maxLength: 30 },
+  readyToEat: { type: 'boolean' },
+  quantity: { type: 'number', integer: true, min: 0, max: 10000 },
+  purchasedAt: { type: 'date' },
+  ripeAt: { type: 'date' },
+  expiresAt: { type: 'date' },
+  tags: { type: 'array', items: 'objectId', maxItems: 20 }
+}
+
+// one row of an imported file, tags are given by name, see services/fruitTransfer.js
+exports.fruitImport = {
+  ...exports.fruit,
+  tags: { type: 'array', items: 'tagName', maxItems: 20 }
+}
+
+// options sent along with the file on POST /api/fruits/import
+exports.importFruits = {
+  format: { type: 'string', of: ['csv', 'json'] },
+  duplicates: { type: 'string', of: ['skip', 'update', 'create'] },
+  dryRun: { type: 'boolean' }
+}
+
+// GET /api/fruits/export
+exports.exportFruits = {
+  format: { type: 'string', of: ['csv', 'json'] }
+}
+
+exports.tag = {
+  name: { type: 'tagName', required: true }
+}
+
+// sharing one fruit or a whole collection with another user
+exports.share = {
+  email: { type: 'email', required: true },
+  permission: { type: 'string', required: true, of: CollectionShare.PERMISSIONS }
+}
+
+// a webhook endpoint and the fruit events it gets, see services/webhooks.js
+exports.webhook = {
+  url: { type: 'url', required: true },
+  events: { type: 'array', required: true, of: Webhook.EVENTS },
+  description: { type: 'string', maxLength: 100 },
+  active: { type: 'boolean' }
+}
+
+// GET /api/webhooks/:id/deliveries
+exports.webhookDeliveryQuery = {
+  status: { type: 'string', of: WebhookDelivery.STATUSES },
+  limit: { type: 'number', integer: true, min: 1, max: 100 }
+}
+
+// POST /api/fruits/bulk, every operation in the list is checked by services/bulkFruits.js
+exports.bulkFruits = {
+  atomic: { type: 'boolean' },
+  operations: { type: 'array', required: true, maxItems: 500 }
+}
+
+// GET /api/fruits filters, sorting and paging
+exports.fruitQuery = {
+  color: { type: 'string', maxLength: 30 },
+  readyToEat: { type: 'boolean' },
+  q: { type: 'string', maxLength: 50 },
+  expiringWithin: { type: 'number', integer: true, min: 1, max: 365 },
+  tag: { type: 'string', maxLength: 30 },
+  sort: { type: 'string', maxLength: 100 },
+  page: { type: 'number', integer: true, min: 1 },
+  limit: { type: 'number', integer: true, min: 1, max: 100 }
+}
@@ -0,0 +1,22 @@
+const React = require('react')
+
+// swagger ui, loaded from swagger-ui-dist and pointed at the openapi document
+function Docs (props){
+    const init = `window.ui = SwaggerUIBundle({ url: ${JSON.stringify(props.specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true })`
+    return (
+        <html>
+            <head>
+                <title>Fruits API - Docs</title>
+                <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+                <link rel="stylesheet" href={`${props.assetsUrl}/swagger-ui.css`} />
+            </head>
+            <body>
+                <div id="swagger-ui"></div>
+                <script src={`${props.assetsUrl}/swagger-ui-bundle.js`}></script>
+                <script dangerouslySetInnerHTML={{ __html: init }}></script>
+            </body>
+        </html>
+    )
+}
+
+module.exports = Docs
@@ -0,0 +1,46 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+
+function ForgotPassword (props) {
+    return(
+        <Layout>
+            <h1>🔑 Forgot Password</h1>
+            
+            {props.sent ? (
+                <div className="text-center">
+                    <p>If an account exists for that email, a reset link is on its way. Check your inbox!</p>
+                    <a href="/users/login" className="btn btn-secondary">
+                        ← Back to Sign In
+                    </a>
+                </div>
+            ) : (
+                <form action="/users/password/forgot" method="POST">
+                    <p>Enter your email and we'll send you a link to choose a new password.</p>
+                    
+                    <div className="form-group">
+                        <label htmlFor="email">Email:</label>
+                        <input 
+                            type="email" 
+                            id="email"
+                            name="email" 
+                            placeholder="Enter your email..."
+                            required 
+                        />
+                        {props.errors && props.errors.email && <small className="field-error">Email {props.errors.email}</small>}
+                    </div>
+                    
+                    <div className="d-flex gap-2">
+                        <button type="submit" className="btn btn-primary">
+                            📧 Send Reset Link
+                        </button>
+                        <a href="/users/login" className="btn btn-secondary">
+                            ← Back to Sign In
+                        </a>
+                    </div>
+                </form>
+            )}
+        </Layout>
+    )
+}
+
+module.exports = ForgotPassword
\ No newline at end of file
@@ -0,0 +1,41 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+
+function ResetPassword (props) {
+    return(
+        <Layout>
+            <h1>🔑 Reset Password</h1>
+            
+            {props.error && (
+                <p className="text-center">⚠️ {props.error} <a href="/users/password/forgot">Request a new link</a></p>
+            )}
+            
+            <form action="/users/password/reset" method="POST">
+                <input type="hidden" name="token" value={props.token || ''} />
+                
+                <div className="form-group">
+                    <label htmlFor="password">New Password:</label>
+                    <input 
+                        type="password" 
+                        id="password"
+                        name="password" 
+                        placeholder="Choose a new password..."
+                        required 
+                    />
+                    {props.errors && props.errors.password && <small className="field-error">Password {props.errors.password}</small>}
+                </div>
+                
+                <div className="d-flex gap-2">
+                    <button type="submit" className="btn btn-primary">
+                        💾 Save New Password
+                    </button>
+                    <a href="/users/login" className="btn btn-secondary">
+                        ← Back to Sign In
+                    </a>
+                </div>
+            </form>
+        </Layout>
+    )
+}
+
+module.exports = ResetPassword
\ No newline at end of file
@@ -8,6 +8,10 @@ function SignIn (props) {
             
             <h2 className="text-center mb-3">Welcome Back!</h2>
             
+            {props.error && (
+                <p className="text-center">⚠️ {props.error}</p>
+            )}
+            
             <form action="/users/login" method="POST">
                 <div className="form-group">
                     <label htmlFor="email">Email:</label>
@@ -15,6 +19,7 @@ function SignIn (props) {
                         type="email" 
                         id="email"
                         name="email" 
+                        defaultValue={props.email}
                         placeholder="Enter your email..."
                         required 
                     />
@@ -43,6 +48,7 @@ function SignIn (props) {
             
             <div className="text-center mt-3">
                 <p>Don't have an account? <a href="/users/signup">Sign up here</a></p>
+                <p><a href="/users/password/forgot">Forgot your password?</a></p>
             </div>
         </Layout>
     )
@@ -2,6 +2,8 @@ const React = require('react')
 const Layout = require('../layouts/Layout')
 
 function SignUp (props) {
+    const errors = props.errors || {}
+    const values = props.values || {}
     return(
         <Layout>
             <h1>📝 Sign Up</h1>
@@ -15,9 +17,11 @@ function SignUp (props) {
                         type="text" 
                         id="name"
                         name="name" 
+                        defaultValue={values.name}
                         placeholder="Enter your full name..."
                         required 
                     />
+                    {errors.name && <small className="field-error">Name {errors.name}</small>}
                 </div>
                 
                 <div className="form-group">
@@ -26,9 +30,11 @@ function SignUp (props) {
                         type="email" 
                         id="email"
                         name="email" 
+                        defaultValue={values.email}
                         placeholder="Enter your email..."
                         required 
                     />
+                    {errors.email && <small className="field-error">Email {errors.email}</small>}
                 </div>
                 
                 <div className="form-group">
@@ -40,6 +46,7 @@ function SignUp (props) {
                         placeholder="Enter your password..."
                         required 
                     />
+                    {errors.password && <small className="field-error">Password {errors.password}</small>}
                 </div>
                 
                 <div className="d-flex gap-2">
@@ -0,0 +1,45 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+
+function TwoFactor (props) {
+    return(
+        <Layout>
+            <h1>🔐 Two-Factor Sign In</h1>
+            
+            <h2 className="text-center mb-3">One More Step!</h2>
+            
+            {props.error && (
+                <p className="text-center">⚠️ {props.error}</p>
+            )}
+            
+            <form action="/users/login/2fa" method="POST">
+                <input type="hidden" name="challenge" value={props.challenge || ''} />
+                
+                <div className="form-group">
+                    <label htmlFor="code">Authentication Code:</label>
+                    <input 
+                        type="text" 
+                        id="code"
+                        name="code" 
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        placeholder="Enter the 6 digit code or a backup code..."
+                        required 
+                        autoFocus
+                    />
+                </div>
+                
+                <div className="d-flex gap-2">
+                    <button type="submit" className="btn btn-primary">
+                        ✅ Verify
+                    </button>
+                    <a href="/users/login" className="btn btn-secondary">
+                        ← Start Over
+                    </a>
+                </div>
+            </form>
+        </Layout>
+    )
+}
+
+module.exports = TwoFactor
\ No newline at end of file
@@ -0,0 +1,49 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+
+function Verify (props) {
+    return(
+        <Layout>
+            <h1>📧 Verify Email</h1>
+            
+            {props.unverified ? (
+                <div className="text-center">
+                    <p>Please verify your email address first, the link is in the email we sent when you signed up.</p>
+                    <form action="/users/verification/resend" method="POST">
+                        <button type="submit" className="btn btn-secondary">
+                            Resend Email
+                        </button>
+                    </form>
+                    <a href="/fruits" className="btn btn-primary">
+                        🍎 Back to Your Fruits
+                    </a>
+                </div>
+            ) : props.verified ? (
+                <div className="text-center">
+                    <p>Thanks! Your email address is verified and you can start adding fruits.</p>
+                    <a href="/fruits" className="btn btn-primary">
+                        🍎 Go to Your Fruits
+                    </a>
+                </div>
+            ) : props.token ? (
+                <form action="/users/verify" method="POST" className="text-center">
+                    <input type="hidden" name="token" value={props.token} />
+                    <p>Confirm that this is your email address to start adding fruits.</p>
+                    <button type="submit" className="btn btn-primary">
+                        ✅ Verify My Email
+                    </button>
+                </form>
+            ) : (
+                <div className="text-center">
+                    <p>This verification link is invalid or has expired.</p>
+                    <p>Sign in and use the resend button on your fruits page to get a new one.</p>
+                    <a href="/users/login" className="btn btn-secondary">
+                        🔐 Sign In
+                    </a>
+                </div>
+            )}
+        </Layout>
+    )
+}
+
+module.exports = Verify
\ No newline at end of file
@@ -1,14 +1,35 @@
 const React = require('react')
 const Layout = require('../layouts/Layout')
+const { toDateInput } = require('./dates')
 
 function Edit (props) {
-    const { name, _id, readyToEat, color } = props.fruit
+    const { name, _id, readyToEat, color, quantity, purchasedAt, ripeAt, expiresAt } = props.fruit
+    const errors = props.errors || {}
+    const tags = props.tags || []
+    // populated tags when loaded, plain ids when the form comes back with errors
+    const selectedTags = [].concat(props.fruit.tags || []).map(tag => String(tag._id || tag))
+    // the version the form was opened at, saving fails if the fruit moved on since
+    const version = props.version === undefined ? props.fruit.version : props.version
+    const current = props.current
 
     return(
         <Layout fruit={props.fruit}>
             <h1>✏️ Edit {name}</h1>
+
+            {current && (
+                <div className="conflict-warning">
+                    <strong>⚠️ Someone else changed this fruit after you opened this form, so your changes were not saved.</strong>
+                    <p>
+                        It is now: {current.name}, {current.color}, quantity {current.quantity}
+                        {current.readyToEat ? ', ready to eat' : ''}
+                        {current.tags && current.tags.length > 0 && `, tagged ${current.tags.map(tag => tag.name).join(', ')}`}.
+                        Save again to replace that with what is in the form below.
+                    </p>
+                </div>
+            )}
             
-            <form action={`/fruits/${_id}?_method=PUT&token=${props.token}`} method="POST">
+            <form action={`/fruits/${_id}?_method=PUT`} method="POST" encType="multipart/form-data">
+                {version !== undefined && <input type="hidden" name="version" value={version} />}
                 <div className="form-group">
                     <label htmlFor="name">Fruit Name:</label>
                     <input 
@@ -19,6 +40,7 @@ function Edit (props) {
                         placeholder="Enter fruit name..."
                         required 
                     />
+                    {errors.name && <small className="field-error">Name {errors.name}</small>}
                 </div>
                 
                 <div className="form-group">
@@ -31,6 +53,88 @@ function Edit (props) {
                         placeholder="Enter fruit color..."
                         required 
                     />
+                    {errors.color && <small className="field-error">Color {errors.color}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="quantity">Quantity:</label>
+                    <input 
+                        type="number" 
+                        id="quantity"
+                        name="quantity" 
+                        min="0"
+                        defaultValue={quantity === undefined ? 1 : quantity}
+                    />
+                    {errors.quantity && <small className="field-error">Quantity {errors.quantity}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="purchasedAt">Purchased On:</label>
+                    <input 
+                        type="date" 
+                        id="purchasedAt"
+                        name="purchasedAt" 
+                        defaultValue={toDateInput(purchasedAt)}
+                    />
+                    {errors.purchasedAt && <small className="field-error">Purchased On {errors.purchasedAt}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="ripeAt">Ripe On:</label>
+                    <input 
+                        type="date" 
+                        id="ripeAt"
+                        name="ripeAt" 
+                        defaultValue={toDateInput(ripeAt)}
+                    />
+                    {errors.ripeAt && <small className="field-error">Ripe On {errors.ripeAt}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="expiresAt">Expires On:</label>
+                    <input 
+                        type="date" 
+                        id="expiresAt"
+                        name="expiresAt" 
+                        defaultValue={toDateInput(expiresAt)}
+                    />
+                    {errors.expiresAt && <small className="field-error">Expires On {errors.expiresAt}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="image">Photo:</label>
+                    {props.fruit.image && (
+                        <img src={props.fruit.image.thumbnailUrl} alt={name} className="fruit-thumbnail" />
+                    )}
+                    <input 
+                        type="file" 
+                        id="image"
+                        name="image" 
+                        accept="image/jpeg,image/png,image/webp"
+                    />
+                    {errors.image && <small className="field-error">Photo {errors.image}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label>Tags:</label>
+                    {/* sent even with nothing ticked, so unticking every tag clears them */}
+                    <input type="hidden" name="tags" value="" />
+                    <div className="d-flex gap-2">
+                        {tags.map((tag) => (
+                            <label key={tag._id} htmlFor={`tag-${tag._id}`}>
+                                <input 
+                                    type="checkbox" 
+                                    id={`tag-${tag._id}`}
+                                    name="tags" 
+                                    value={String(tag._id)}
+                                    defaultChecked={selectedTags.includes(String(tag._id))}
+                                />
+                                {tag.name}
+                            </label>
+                        ))}
+                        <a href="/tags">Manage tags</a>
+                    </div>
+                    {errors.tags && <small className="field-error">Tags {errors.tags}</small>}
                 </div>
                 
                 <div className="form-group">
@@ -57,7 +161,7 @@ function Edit (props) {
                     <button type="submit" className="btn btn-primary">
                         💾 Update Fruit
                     </button>
-                    <a href={`/fruits/${_id}?token=${props.token}`} className="btn btn-secondary">
+                    <a href={`/fruits/${_id}`} className="btn btn-secondary">
                         ← Back to {name}
                     </a>
                 </div>
@@ -0,0 +1,95 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+
+const STATUS_LABELS = {
+    created: '➕ Created',
+    updated: '✏️ Updated',
+    skipped: '⏭️ Skipped',
+    invalid: '⚠️ Invalid'
+}
+
+function Import (props){
+    const errors = props.errors || {}
+    const values = props.values || {}
+    const report = props.report
+    return (
+        <Layout>
+            <h1>⬆️ Import Fruits</h1>
+
+            <div className="d-flex justify-between align-center mb-3">
+                <p>Upload a CSV or JSON file with the same columns as an export: name, color, readyToEat, quantity, purchasedAt, ripeAt, expiresAt and tags (separated by ;). One file can add at most 100 new tags.</p>
+                <a href="/fruits" className="btn btn-secondary">
+                    ← Back to All Fruits
+                </a>
+            </div>
+
+            <form action="/fruits/import" method="POST" encType="multipart/form-data">
+                <div className="form-group">
+                    <label htmlFor="file">File:</label>
+                    <input
+                        type="file"
+                        id="file"
+                        name="file"
+                        accept=".csv,.json,text/csv,application/json"
+                        required
+                    />
+                    {errors.file && <small className="field-error">File {errors.file}</small>}
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="duplicates">When a fruit with the same name exists:</label>
+                    <select id="duplicates" name="duplicates" defaultValue={values.duplicates || 'skip'}>
+                        <option value="skip">Skip it</option>
+                        <option value="update">Update it</option>
+                        <option value="create">Add another one</option>
+                    </select>
+                    {errors.duplicates && <small className="field-error">Duplicates {errors.duplicates}</small>}
+                </div>
+
+                <div className="form-group">
+                    <label htmlFor="dryRun">
+                        <input
+                            type="checkbox"
+                            id="dryRun"
+                            name="dryRun"
+                            defaultChecked={values.dryRun !== false}
+                        />
+                        Preview only, don't save anything
+                    </label>
+                </div>
+
+                <button type="submit" className="btn btn-primary">
+                    ⬆️ Import
+                </button>
+            </form>
+
+            {report && (
+                <div className="mt-3">
+                    <h2>{report.dryRun ? 'Preview' : 'Import Done'}</h2>
+                    <p>
+                        Created: {report.created}, updated: {report.updated}, skipped: {report.skipped},
+                        invalid: {report.invalid} ({report.total} rows).
+                        {report.dryRun && ' Nothing was saved, untick the preview box to import.'}
+                    </p>
+                    <ul className="history">
+                        {report.rows.map((row) => (
+                            <li key={row.row} className="history-entry">
+                                <strong>Row {row.row}</strong> {STATUS_LABELS[row.status]}
+                                {row.name && ` ${row.name}`}
+                                {row.errors && (
+                                    <ul>
+                                        {Object.entries(row.errors).map(([field, message]) => (
+                                            <li key={field}>{field} {message}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </Layout>
+    )
+}
+
+module.exports = Import
@@ -1,23 +1,74 @@
 const React = require('react')
 const Layout = require('../layouts/Layout')
+const { formatDate } = require('./dates')
 
 function Index (props){
     const fruits = props.fruits
+    // keep the expiring soon and tag filters when paging
+    const pageHref = (page) => {
+        const params = new URLSearchParams()
+        if (props.expiringWithin) params.set('expiringWithin', props.expiringWithin)
+        if (props.tag) params.set('tag', props.tag)
+        params.set('page', page)
+        return `/fruits?${params}`
+    }
     return (
         <Layout>
             <h1>🍎 All Fruits</h1>
             
+            {props.user && !props.user.emailVerified && (
+                <div className="d-flex justify-between align-center mb-3">
+                    <p>📧 Check your inbox and verify your email address to start adding fruits.</p>
+                    <form action="/users/verification/resend" method="POST">
+                        <button type="submit" className="btn btn-secondary">
+                            Resend Email
+                        </button>
+                    </form>
+                </div>
+            )}
+            
             <div className="d-flex justify-between align-center mb-3">
-                <h2>Your Fruit Collection</h2>
-                <a href={`/fruits/new?token=${props.token}`} className="btn btn-primary">
-                    ➕ Add New Fruit
-                </a>
+                <h2>{props.expiringWithin ? 'Expiring Soon' : 'Your Fruit Collection'}</h2>
+                <div className="d-flex gap-2">
+                    {(props.expiringWithin || props.tag) ? (
+                        <a href="/fruits" className="btn btn-secondary">
+                            📋 All Fruits
+                        </a>
+                    ) : (
+                        <a href="/fruits?expiringWithin=3" className="btn btn-secondary">
+                            ⏰ Expiring Soon
+                        </a>
+                    )}
+                    <a href="/fruits/new" className="btn btn-primary">
+                        ➕ Add New Fruit
+                    </a>
+                    <a href="/tags" className="btn btn-secondary">
+                        🏷️ Tags
+                    </a>
+                    <a href="/fruits/export?format=csv" className="btn btn-secondary">
+                        ⬇️ Export CSV
+                    </a>
+                    <a href="/fruits/export?format=json" className="btn btn-secondary">
+                        ⬇️ Export JSON
+                    </a>
+                    <a href="/fruits/import" className="btn btn-secondary">
+                        ⬆️ Import
+                    </a>
+                    <a href="/fruits/trash" className="btn btn-secondary">
+                        🗑️ Trash
+                    </a>
+                    <form action="/users/logout" method="POST">
+                        <button type="submit" className="btn btn-secondary">
+                            🚪 Sign Out
+                        </button>
+                    </form>
+                </div>
             </div>
             
             {fruits.length === 0 ? (
                 <div className="text-center">
-                    <p>No fruits yet! Add your first fruit to get started.</p>
-                    <a href={`/fruits/new?token=${props.token}`} className="btn btn-primary">
+                    <p>{props.expiringWithin ? 'Nothing is about to expire.' : 'No fruits yet! Add your first fruit to get started.'}</p>
+                    <a href="/fruits/new" className="btn btn-primary">
                         Add Your First Fruit
                     </a>
                 </div>
@@ -25,23 +76,63 @@ function Index (props){
                 <div className="fruits-grid">
                     {fruits.map((fruit) => (
                         <div key={fruit._id} className="fruit-card">
+                            {fruit.image && (
+                                <img src={fruit.image.thumbnailUrl} alt={fruit.name} className="fruit-thumbnail" />
+                            )}
                             <div className="fruit-name">{fruit.name}</div>
                             <div className="fruit-color">Color: {fruit.color}</div>
-                            <div className={`fruit-status ${fruit.readyToEat ? 'ready' : 'not-ready'}`}>
-                                {fruit.readyToEat ? '🍎 Ready to Eat' : '⏳ Not Ready Yet'}
-                            </div>
+                            {fruit.tags && fruit.tags.length > 0 && (
+                                <div className="tags">
+                                    {fruit.tags.map((tag) => (
+                                        <a key={tag._id} href={`/fruits?tag=${tag._id}`} className="tag">
+                                            {tag.name}
+                                        </a>
+                                    ))}
+                                </div>
+                            )}
+                            {fruit.shared && (
+                                <div className="fruit-color">👥 Shared with you ({fruit.permission})</div>
+                            )}
+                            {fruit.expiresAt && (
+                                <div className="fruit-color">Expires: {formatDate(fruit.expiresAt)}</div>
+                            )}
+                            {fruit.expired ? (
+                                <div className="fruit-status not-ready">🗑️ Expired</div>
+                            ) : (
+                                <div className={`fruit-status ${fruit.readyToEat ? 'ready' : 'not-ready'}`}>
+                                    {fruit.readyToEat ? '🍎 Ready to Eat' : '⏳ Not Ready Yet'}
+                                </div>
+                            )}
                             <div className="d-flex gap-2">
-                                <a href={`/fruits/${fruit._id}?token=${props.token}`} className="btn btn-secondary">
+                                <a href={`/fruits/${fruit._id}`} className="btn btn-secondary">
                                     👁️ View
                                 </a>
-                                <a href={`/fruits/${fruit._id}/edit?token=${props.token}`} className="btn btn-primary">
-                                    ✏️ Edit
-                                </a>
+                                {fruit.permission !== 'viewer' && (
+                                    <a href={`/fruits/${fruit._id}/edit`} className="btn btn-primary">
+                                        ✏️ Edit
+                                    </a>
+                                )}
                             </div>
                         </div>
                     ))}
                 </div>
             )}
+            
+            {props.pagination && props.pagination.pages > 1 && (
+                <div className="d-flex justify-between align-center mt-3">
+                    {props.pagination.page > 1 ? (
+                        <a href={pageHref(props.pagination.page - 1)} className="btn btn-secondary">
+                            ← Previous
+                        </a>
+                    ) : <span />}
+                    <span>Page {props.pagination.page} of {props.pagination.pages}</span>
+                    {props.pagination.page < props.pagination.pages ? (
+                        <a href={pageHref(props.pagination.page + 1)} className="btn btn-secondary">
+                            Next →
+                        </a>
+                    ) : <span />}
+                </div>
+            )}
         </Layout>
     )
 }
@@ -1,21 +1,28 @@
 const React = require('react')
 const Layout = require('../layouts/Layout')
+const { toDateInput } = require('./dates')
 
 function New (props) {
+    const errors = props.errors || {}
+    const values = props.values || {}
+    const tags = props.tags || []
+    const selectedTags = [].concat(values.tags || []).map(String)
     return(
         <Layout>
             <h1>🍎 Add New Fruit</h1>
             
-            <form action={`/fruits?token=${props.token}`} method="POST">
+            <form action="/fruits" method="POST" encType="multipart/form-data">
                 <div className="form-group">
                     <label htmlFor="name">Fruit Name:</label>
                     <input 
                         type="text" 
                         id="name"
                         name="name" 
+                        defaultValue={values.name}
                         placeholder="Enter fruit name..."
                         required 
                     />
+                    {errors.name && <small className="field-error">Name {errors.name}</small>}
                 </div>
                 
                 <div className="form-group">
@@ -24,9 +31,89 @@ function New (props) {
                         type="text" 
                         id="color"
                         name="color" 
+                        defaultValue={values.color}
                         placeholder="Enter fruit color..."
                         required 
                     />
+                    {errors.color && <small className="field-error">Color {errors.color}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="quantity">Quantity:</label>
+                    <input 
+                        type="number" 
+                        id="quantity"
+                        name="quantity" 
+                        min="0"
+                        defaultValue={values.quantity === undefined ? 1 : values.quantity}
+                    />
+                    {errors.quantity && <small className="field-error">Quantity {errors.quantity}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="purchasedAt">Purchased On:</label>
+                    <input 
+                        type="date" 
+                        id="purchasedAt"
+                        name="purchasedAt" 
+                        defaultValue={toDateInput(values.purchasedAt)}
+                    />
+                    {errors.purchasedAt && <small className="field-error">Purchased On {errors.purchasedAt}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="ripeAt">Ripe On:</label>
+                    <input 
+                        type="date" 
+                        id="ripeAt"
+                        name="ripeAt" 
+                        defaultValue={toDateInput(values.ripeAt)}
+                    />
+                    {errors.ripeAt && <small className="field-error">Ripe On {errors.ripeAt}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="expiresAt">Expires On:</label>
+                    <input 
+                        type="date" 
+                        id="expiresAt"
+                        name="expiresAt" 
+                        defaultValue={toDateInput(values.expiresAt)}
+                    />
+                    {errors.expiresAt && <small className="field-error">Expires On {errors.expiresAt}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label htmlFor="image">Photo:</label>
+                    <input 
+                        type="file" 
+                        id="image"
+                        name="image" 
+                        accept="image/jpeg,image/png,image/webp"
+                    />
+                    {errors.image && <small className="field-error">Photo {errors.image}</small>}
+                </div>
+                
+                <div className="form-group">
+                    <label>Tags:</label>
+                    {/* sent even with nothing ticked, so unticking every tag clears them */}
+                    <input type="hidden" name="tags" value="" />
+                    <div className="d-flex gap-2">
+                        {tags.map((tag) => (
+                            <label key={tag._id} htmlFor={`tag-${tag._id}`}>
+                                <input 
+                                    type="checkbox" 
+                                    id={`tag-${tag._id}`}
+                                    name="tags" 
+                                    value={String(tag._id)}
+                                    defaultChecked={selectedTags.includes(String(tag._id))}
+                                />
+                                {tag.name}
+                            </label>
+                        ))}
+                        <a href="/tags">Manage tags</a>
+                    </div>
+                    {errors.tags && <small className="field-error">Tags {errors.tags}</small>}
                 </div>
                 
                 <div className="form-group">
@@ -44,7 +131,7 @@ function New (props) {
                     <button type="submit" className="btn btn-primary">
                         ➕ Create Fruit
                     </button>
-                    <a href={`/fruits?token=${props.token}`} className="btn btn-secondary">
+                    <a href="/fruits" className="btn btn-secondary">
                         ← Back to All Fruits
                     </a>
                 </div>
@@ -1,17 +1,42 @@
 const React = require('react')
 const Layout = require('../layouts/Layout')
+const { formatDate, formatValue } = require('./dates')
 
 function Show(props){
+    const canEdit = props.fruit.permission !== 'viewer'
     return(
         <Layout fruit={props.fruit}>
             <h1>🍎 {props.fruit.name}</h1>
             
             <div className="fruit-card">
+                {props.fruit.image && (
+                    <img src={props.fruit.image.url} alt={props.fruit.name} className="fruit-photo" />
+                )}
                 <div className="fruit-name">{props.fruit.name}</div>
                 <div className="fruit-color">Color: {props.fruit.color}</div>
-                <div className={`fruit-status ${props.fruit.readyToEat ? 'ready' : 'not-ready'}`}>
-                    {props.fruit.readyToEat ? '🍎 Ready to Eat' : '⏳ Not Ready Yet'}
-                </div>
+                <div className="fruit-color">Quantity: {props.fruit.quantity}</div>
+                <div className="fruit-color">Purchased: {formatDate(props.fruit.purchasedAt)}</div>
+                <div className="fruit-color">Ripe: {formatDate(props.fruit.ripeAt)}</div>
+                <div className="fruit-color">Expires: {formatDate(props.fruit.expiresAt)}</div>
+                {props.fruit.tags && props.fruit.tags.length > 0 && (
+                    <div className="tags">
+                        {props.fruit.tags.map((tag) => (
+                            <a key={tag._id} href={`/fruits?tag=${tag._id}`} className="tag">
+                                {tag.name}
+                            </a>
+                        ))}
+                    </div>
+                )}
+                {props.fruit.shared && (
+                    <div className="fruit-color">👥 Shared with you ({props.fruit.permission})</div>
+                )}
+                {props.fruit.expired ? (
+                    <div className="fruit-status not-ready">🗑️ Expired</div>
+                ) : (
+                    <div className={`fruit-status ${props.fruit.readyToEat ? 'ready' : 'not-ready'}`}>
+                        {props.fruit.readyToEat ? '🍎 Ready to Eat' : '⏳ Not Ready Yet'}
+                    </div>
+                )}
                 
                 <p className="mb-3">
                     The {props.fruit.name} is {props.fruit.color} and 
@@ -19,22 +44,102 @@ function Show(props){
                 </p>
                 
                 <div className="d-flex gap-2">
-                    <a href={`/fruits?token=${props.token}`} className="btn btn-secondary">
+                    <a href="/fruits" className="btn btn-secondary">
                         ← Back to All Fruits
                     </a>
-                    <a href={`/fruits/${props.fruit._id}/edit?token=${props.token}`} className="btn btn-primary">
-                        ✏️ Edit {props.fruit.name}
-                    </a>
+                    {canEdit && (
+                        <a href={`/fruits/${props.fruit._id}/edit`} className="btn btn-primary">
+                            ✏️ Edit {props.fruit.name}
+                        </a>
+                    )}
                 </div>
                 
-                <div className="mt-3">
-                    <form action={`/fruits/${props.fruit._id}?_method=DELETE&token=${props.token}`} method="POST">
-                        <button type="submit" className="btn btn-danger">
-                            🗑️ Delete {props.fruit.name}
+                {canEdit && (
+                    <div className="mt-3">
+                        <form action={`/fruits/${props.fruit._id}?_method=DELETE`} method="POST">
+                            <button type="submit" className="btn btn-danger">
+                                🗑️ Move {props.fruit.name} to Trash
+                            </button>
+                        </form>
+                    </div>
+                )}
+            </div>
+            
+            {props.fruit.permission === 'owner' && (
+                <div className="fruit-card mt-3">
+                    <h2>👥 Sharing</h2>
+                    <ul className="history">
+                        {props.fruit.shares.map((share) => (
+                            <li key={share.user._id} className="history-entry d-flex justify-between align-center">
+                                <span>{share.user.name || share.user.email} · {share.permission}</span>
+                                <form action={`/fruits/${props.fruit._id}/shares/${share.user._id}?_method=DELETE`} method="POST">
+                                    <button type="submit" className="btn btn-secondary">
+                                        Stop Sharing
+                                    </button>
+                                </form>
+                            </li>
+                        ))}
+                    </ul>
+                    <form action={`/fruits/${props.fruit._id}/shares`} method="POST">
+                        <div className="form-group">
+                            <label htmlFor="email">Share with (email):</label>
+                            <input 
+                                type="email" 
+                                id="email"
+                                name="email" 
+                                placeholder="Enter their email..."
+                                required 
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="permission">Permission:</label>
+                            <select id="permission" name="permission" defaultValue="viewer">
+                                <option value="viewer">Viewer</option>
+                                <option value="editor">Editor</option>
+                            </select>
+                        </div>
+                        <button type="submit" className="btn btn-primary">
+                            👥 Share
                         </button>
                     </form>
                 </div>
-            </div>
+            )}
+            
+            {props.history && props.history.length > 0 && (
+                <div className="fruit-card mt-3">
+                    <h2>📜 History</h2>
+                    <ul className="history">
+                        {props.history.map((revision) => (
+                            <li key={revision.version} className="history-entry">
+                                <div className="d-flex justify-between align-center">
+                                    <strong>
+                                        v{revision.version} · {revision.action}
+                                        {revision.revertedTo ? ` to v${revision.revertedTo}` : ''}
+                                        {revision.actor ? ` by ${revision.actor.name || revision.actor.email}` : ''}
+                                        {' · '}{formatDate(revision.createdAt)}
+                                    </strong>
+                                    {canEdit && revision.version !== props.fruit.version && (
+                                        <form action={`/fruits/${props.fruit._id}/revert/${revision.version}`} method="POST">
+                                            <button type="submit" className="btn btn-secondary">
+                                                ↩️ Revert to v{revision.version}
+                                            </button>
+                                        </form>
+                                    )}
+                                </div>
+                                {revision.action !== 'create' && (
+                                    <ul>
+                                        {revision.changes.map((change) => (
+                                            <li key={change.field}>
+                                                {change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
         </Layout>
     )
 }
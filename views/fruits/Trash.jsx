@@ -0,0 +1,42 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+const { formatDate } = require('./dates')
+
+function Trash (props){
+    const fruits = props.fruits
+    return (
+        <Layout>
+            <h1>🗑️ Trash</h1>
+            
+            <div className="d-flex justify-between align-center mb-3">
+                <p>Deleted fruits stay here for {props.retentionDays} days before they are removed for good.</p>
+                <a href="/fruits" className="btn btn-secondary">
+                    ← Back to All Fruits
+                </a>
+            </div>
+            
+            {fruits.length === 0 ? (
+                <div className="text-center">
+                    <p>The trash is empty.</p>
+                </div>
+            ) : (
+                <div className="fruits-grid">
+                    {fruits.map((fruit) => (
+                        <div key={fruit._id} className="fruit-card">
+                            <div className="fruit-name">{fruit.name}</div>
+                            <div className="fruit-color">Color: {fruit.color}</div>
+                            <div className="fruit-color">Deleted: {formatDate(fruit.deletedAt)}</div>
+                            <form action={`/fruits/${fruit._id}/restore`} method="POST">
+                                <button type="submit" className="btn btn-primary">
+                                    ♻️ Restore
+                                </button>
+                            </form>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </Layout>
+    )
+}
+
+module.exports = Trash
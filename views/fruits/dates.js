@@ -0,0 +1,21 @@
+// shared by the fruit views. dates arrive as Date objects from mongo or as
+// strings when a form is shown again with errors
+
+// yyyy-mm-dd for <input type="date">
+const toDateInput = (value) => {
+  if (!value) return ''
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10)
+}
+
+const formatDate = (value) => value ? new Date(value).toDateString() : '—'
+
+// how a value from the fruit history reads, dates come back as iso strings
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—'
+  if (typeof value === 'boolean') return value ? 'yes' : 'no'
+  if (value instanceof Date || /^\d{4}-\d{2}-\d{2}T/.test(value)) return formatDate(value)
+  return String(value)
+}
+
+module.exports = { toDateInput, formatDate, formatValue }
@@ -0,0 +1,68 @@
+const React = require('react')
+const Layout = require('../layouts/Layout')
+
+function Index (props){
+    const tags = props.tags
+    const errors = props.errors || {}
+    return (
+        <Layout>
+            <h1>🏷️ Your Tags</h1>
+            
+            <div className="d-flex justify-between align-center mb-3">
+                <p>Tags group your fruits, for example "tropical" or "for smoothies".</p>
+                <a href="/fruits" className="btn btn-secondary">
+                    ← Back to All Fruits
+                </a>
+            </div>
+            
+            <form action="/tags" method="POST" className="mb-3">
+                <div className="form-group">
+                    <label htmlFor="name">New Tag:</label>
+                    <input 
+                        type="text" 
+                        id="name"
+                        name="name" 
+                        placeholder="Enter tag name..."
+                        required 
+                    />
+                    {errors.name && !props.editing && <small className="field-error">Name {errors.name}</small>}
+                </div>
+                <button type="submit" className="btn btn-primary">
+                    ➕ Add Tag
+                </button>
+            </form>
+            
+            {tags.length === 0 ? (
+                <div className="text-center">
+                    <p>No tags yet.</p>
+                </div>
+            ) : (
+                <ul className="history">
+                    {tags.map((tag) => (
+                        <li key={tag._id} className="history-entry d-flex justify-between align-center gap-2">
+                            <form action={`/tags/${tag._id}?_method=PUT`} method="POST" className="d-flex gap-2 align-center">
+                                <input 
+                                    type="text" 
+                                    name="name" 
+                                    defaultValue={tag.name}
+                                    required 
+                                />
+                                <button type="submit" className="btn btn-secondary">
+                                    ✏️ Rename
+                                </button>
+                                {errors.name && props.editing === String(tag._id) && <small className="field-error">Name {errors.name}</small>}
+                            </form>
+                            <form action={`/tags/${tag._id}?_method=DELETE`} method="POST">
+                                <button type="submit" className="btn btn-danger">
+                                    🗑️ Delete
+                                </button>
+                            </form>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </Layout>
+    )
+}
+
+module.exports = Index